@@ -0,0 +1,199 @@
+import crypto from 'crypto';
+import redis from './redis.js';
+import { RATING_SYSTEMS, ratingSetKey } from './arenaRatings.js';
+
+/**
+ * Cross-chain agent identities
+ *
+ * One logical agent registered on several networks. An identity links one listing per
+ * network:
+ *   identity:{id}         { id, members: ['sepolia:12', 'fuji:5'], primary, createdAt, updatedAt }
+ *   identity:of:{member}  → id, which also keeps a listing in at most one identity
+ * and each linked agent hash carries identityId.
+ *
+ * A link is proved by every on-chain owner involved signing linkMessage() (or making the
+ * ERC-8128 request), and by the listings sharing metadata: the same name, URL, A2A or
+ * MCP endpoint.
+ */
+
+export const LINK_MESSAGE_TTL = 10 * 60 * 1000; // 10 min to collect owner signatures
+
+const RATING_SYSTEM = RATING_SYSTEMS.includes(process.env.ARENA_RATING_SYSTEM) ? process.env.ARENA_RATING_SYSTEM : 'elo';
+
+function identityKey(id) {
+  return `identity:${id}`;
+}
+
+function identityOfKey(member) {
+  return `identity:of:${member}`;
+}
+
+function parseIdentity(data) {
+  if (!data || !data.id) return null;
+  try { data.members = JSON.parse(data.members || '[]'); } catch (_) { data.members = []; }
+  return data;
+}
+
+/**
+ * The message every owner signs to link `members`.
+ */
+export function linkMessage(members, issuedAt) {
+  return `Link ERC-8004 agent registrations as one agent
+Registrations: ${[...members].sort().join(', ')}
+Issued at: ${issuedAt}`;
+}
+
+// Values that identify the same agent across its registrations
+function fingerprint(agent) {
+  const values = new Set();
+  for (const field of ['name', 'url', 'a2aEndpoint', 'mcpEndpoint']) {
+    const value = String(agent[field] || '').trim().toLowerCase().replace(/\/+$/, '');
+    if (value) values.add(`${field === 'name' ? 'name' : 'endpoint'}:${value}`);
+  }
+  return values;
+}
+
+/**
+ * True if every listing shares a name or endpoint with the first one.
+ */
+export function metadataMatches(agents) {
+  const [first, ...rest] = agents.map(fingerprint);
+  return rest.every(values => [...values].some(v => first.has(v)));
+}
+
+export async function getIdentity(id) {
+  return parseIdentity(await redis.hgetall(identityKey(id)));
+}
+
+/**
+ * The identity a listing is linked into, or null.
+ */
+export async function identityOf(member) {
+  const id = await redis.get(identityOfKey(member));
+  return id ? getIdentity(String(id)) : null;
+}
+
+/**
+ * Link `members` into one identity, extending `existing` if given (its members must
+ * all be in `members`). Throws if a new member was linked elsewhere meanwhile.
+ */
+export async function linkIdentity(members, existing) {
+  // Prefixed, so the client's JSON deserialization never reads an id back as a number
+  const id = existing?.id || `id_${crypto.randomBytes(8).toString('hex')}`;
+  const added = members.filter(m => !existing?.members.includes(m));
+
+  const claimed = [];
+  for (const member of added) {
+    if ((await redis.set(identityOfKey(member), id, { nx: true })) !== 'OK') {
+      for (const m of claimed) await redis.del(identityOfKey(m));
+      throw new Error(`${member} is already linked to another agent`);
+    }
+    claimed.push(member);
+  }
+
+  const now = new Date().toISOString();
+  await redis.hset(identityKey(id), {
+    id,
+    members: JSON.stringify(members),
+    primary: existing?.primary || members[0],
+    createdAt: existing?.createdAt || now,
+    updatedAt: now,
+  });
+  for (const member of added) await redis.hset(`agent:${member}`, { identityId: id });
+  return getIdentity(id);
+}
+
+/**
+ * Take a listing out of its identity. An identity left with one listing is dissolved.
+ */
+export async function unlinkMember(member) {
+  const identity = await identityOf(member);
+  if (!identity) return null;
+
+  const members = identity.members.filter(m => m !== member);
+  const released = members.length < 2 ? identity.members : [member];
+  for (const m of released) {
+    await redis.del(identityOfKey(m));
+    if (await redis.exists(`agent:${m}`)) await redis.hdel(`agent:${m}`, 'identityId');
+  }
+
+  if (members.length < 2) {
+    await redis.del(identityKey(identity.id));
+    return null;
+  }
+  await redis.hset(identityKey(identity.id), {
+    members: JSON.stringify(members),
+    primary: identity.primary === member ? members[0] : identity.primary,
+    updatedAt: new Date().toISOString(),
+  });
+  return getIdentity(identity.id);
+}
+
+// ---- Aggregated stats ----
+
+async function memberStats(member, agent) {
+  const hireIds = await redis.zrange(`hires:agent:${member}`, 0, -1);
+  let revenue = 0;
+  for (const hireId of hireIds) {
+    revenue += Number(await redis.hget(`hire:${hireId}`, 'pricePaid')) || 0;
+  }
+
+  const rating = await redis.zscore(ratingSetKey(RATING_SYSTEM), member);
+  const battles = parseInt((await redis.hget('arena:stats', `${member}:battles`)) || '0', 10);
+  const wins = parseInt((await redis.hget('arena:stats', `${member}:wins`)) || '0', 10);
+  const score = agent.verificationScore;
+
+  return {
+    member,
+    hires: hireIds.length,
+    revenue,
+    rating: rating === null || rating === undefined ? null : Number(rating),
+    battles,
+    wins,
+    verificationScore: score === undefined || score === '' ? null : Number(score),
+    riskTier: agent.riskTier || 'UNVERIFIED',
+    reviews: Number(agent.reviewCount || 0),
+    reviewAverage: agent.reviewAverage ? Number(agent.reviewAverage) : null,
+  };
+}
+
+/**
+ * Hires, arena rating, verification and reviews of each listing and across all of them.
+ * `agents` maps member → agent hash. The combined rating is the battle-weighted mean
+ * of the rated listings; the combined verification score is the best one.
+ */
+export async function aggregateStats(agents) {
+  const perMember = [];
+  for (const [member, agent] of Object.entries(agents)) perMember.push(await memberStats(member, agent));
+
+  const rated = perMember.filter(s => s.rating !== null);
+  const ratedBattles = rated.reduce((n, s) => n + s.battles, 0);
+  const rating = rated.length === 0
+    ? null
+    : ratedBattles > 0
+      ? Math.round(rated.reduce((n, s) => n + s.rating * s.battles, 0) / ratedBattles)
+      : Math.round(rated.reduce((n, s) => n + s.rating, 0) / rated.length);
+  const verified = perMember.filter(s => s.verificationScore !== null);
+  const best = verified.sort((a, b) => b.verificationScore - a.verificationScore)[0];
+  const battles = perMember.reduce((n, s) => n + s.battles, 0);
+  const wins = perMember.reduce((n, s) => n + s.wins, 0);
+  const reviews = perMember.reduce((n, s) => n + s.reviews, 0);
+  const reviewSum = perMember.reduce((n, s) => n + (s.reviewAverage || 0) * s.reviews, 0);
+
+  return {
+    total: {
+      hires: perMember.reduce((n, s) => n + s.hires, 0),
+      revenue: Math.round(perMember.reduce((n, s) => n + s.revenue, 0) * 1e6) / 1e6,
+      ratingSystem: RATING_SYSTEM,
+      rating,
+      battles,
+      wins,
+      winRate: battles > 0 ? Math.round((wins / battles) * 100) : 0,
+      verificationScore: best ? best.verificationScore : null,
+      riskTier: best ? best.riskTier : 'UNVERIFIED',
+      reviews,
+      reviewAverage: reviews > 0 ? Math.round((reviewSum / reviews) * 100) / 100 : null,
+    },
+    networks: perMember,
+  };
+}
@@ -0,0 +1,268 @@
+import crypto from 'crypto';
+import redis from './redis.js';
+import { RATING_SYSTEMS, ratingSetKey } from './arenaRatings.js';
+
+/**
+ * Marketplace search index
+ *
+ * Secondary indexes over the agent hashes (agent:{network}:{agentId}), all keyed by
+ * the same member `{network}:{agentId}` as platform:agents (newest first by score):
+ * - agents:idx:{field}:{value} sets for network, skill, domain, status and risk tier
+ * - agents:idx:term:{token} sets for full-text search over name, description and skills
+ * - agents:idx:price / agents:idx:verification sorted sets for ranges and sorting
+ * - the arena's global rating sorted set for sorting by rating
+ *
+ * agents:idx:doc:{member} remembers which sets an agent is in, so reindexing (or
+ * removing) an agent only touches its own entries.
+ */
+
+export const AGENT_SORTS = ['newest', 'oldest', 'price_asc', 'price_desc', 'elo', 'verification'];
+export const RISK_TIERS = ['MINIMAL', 'LOW', 'MEDIUM', 'HIGH', 'CRITICAL', 'UNVERIFIED'];
+export const MAX_PAGE_SIZE = 100;
+
+const INDEX_VERSION = '1';
+const PRICE_KEY = 'agents:idx:price';
+const VERIFICATION_KEY = 'agents:idx:verification';
+const RATING_SYSTEM = RATING_SYSTEMS.includes(process.env.ARENA_RATING_SYSTEM) ? process.env.ARENA_RATING_SYSTEM : 'elo';
+const MAX_TERMS = 200;
+const SEARCH_TTL = 30; // seconds a search's temporary sets live
+
+function tagKey(field, value) {
+  return `agents:idx:${field}:${String(value).trim().toLowerCase()}`;
+}
+
+function docKey(member) {
+  return `agents:idx:doc:${member}`;
+}
+
+function parseList(value) {
+  if (Array.isArray(value)) return value;
+  try {
+    const parsed = JSON.parse(value || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+export function tokenize(text) {
+  return String(text || '').toLowerCase().match(/[a-z0-9]{2,}/g) || [];
+}
+
+// Every tag and term set an agent belongs in
+function indexSets(agent) {
+  const skills = parseList(agent.skills).map(String);
+  const domains = parseList(agent.domains).map(String);
+  const sets = new Set([
+    tagKey('network', agent.network),
+    tagKey('status', agent.status || 'active'),
+    tagKey('risk', agent.riskTier || 'UNVERIFIED'),
+  ]);
+  for (const skill of skills) if (skill.trim()) sets.add(tagKey('skill', skill));
+  for (const domain of domains) if (domain.trim()) sets.add(tagKey('domain', domain));
+
+  const terms = new Set([...tokenize(agent.name), ...tokenize(skills.join(' ')), ...tokenize(agent.description)]);
+  for (const term of [...terms].slice(0, MAX_TERMS)) sets.add(`agents:idx:term:${term}`);
+  return [...sets];
+}
+
+/**
+ * Remove an agent from every index except platform:agents.
+ */
+export async function unindexAgent(member) {
+  const raw = await redis.get(docKey(member));
+  const sets = (typeof raw === 'string' ? JSON.parse(raw) : raw) || [];
+  for (const key of sets) await redis.srem(key, member);
+  await redis.zrem(PRICE_KEY, member);
+  await redis.zrem(VERIFICATION_KEY, member);
+  await redis.del(docKey(member));
+}
+
+/**
+ * (Re)index one agent from its hash fields. Call after every write to agent:{member}.
+ */
+export async function indexAgent(member, agent) {
+  await unindexAgent(member);
+
+  const sets = indexSets(agent);
+  for (const key of sets) await redis.sadd(key, member);
+  await redis.zadd(PRICE_KEY, { score: Number(agent.hirePrice) || 0, member });
+  if (agent.verificationScore !== undefined && agent.verificationScore !== '') {
+    await redis.zadd(VERIFICATION_KEY, { score: Number(agent.verificationScore), member });
+  }
+  await redis.set(docKey(member), JSON.stringify(sets));
+}
+
+/**
+ * Index every agent in platform:agents once per index version (agents stored before
+ * the index existed). Called on server start.
+ */
+export async function ensureAgentIndex() {
+  if (!redis) return;
+  if ((await redis.get('agents:idx:version')) === INDEX_VERSION) return;
+  const lock = await redis.set('agents:idx:lock', '1', { nx: true, ex: 300 });
+  if (lock !== 'OK') return;
+
+  try {
+    const members = await redis.zrange('platform:agents', 0, -1);
+    for (const member of members) {
+      const agent = await redis.hgetall(`agent:${member}`);
+      if (agent && agent.name) await indexAgent(member, agent);
+    }
+    await redis.set('agents:idx:version', INDEX_VERSION);
+    console.log(`Agent search index built (${members.length} agents)`);
+  } finally {
+    await redis.del('agents:idx:lock');
+  }
+}
+
+// ---- Search ----
+// A search intersects its filters on the server into temporary sorted sets
+// (agents:idx:tmp:{id}:*, deleted when it returns and expiring after SEARCH_TTL in any
+// case), scored by the sort, and reads one page from them by score.
+
+// [{ member, score }] from a WITHSCORES reply
+function scoredEntries(flat) {
+  const entries = [];
+  for (let i = 0; i < flat.length; i += 2) entries.push({ member: String(flat[i]), score: Number(flat[i + 1]) });
+  return entries;
+}
+
+/**
+ * Store the agents matching `filters` in temporary sorted sets, in `sort` order. Returns
+ * the segments to read in turn, { key, rev, unscored }: the matches scored by the sort
+ * and, for sorts not every agent has a score in (rating, verification), the unscored
+ * rest newest first. `temp(name, store)` stores a temporary key.
+ */
+async function storeMatches({ q, network, skill, domain, status, risk, minPrice, maxPrice }, sort, temp) {
+  const keys = [];
+  const tagFilters = { network, skill, domain, status, risk };
+
+  // Comma-separated values of one filter match any of them; filters and terms all apply
+  for (const [field, value] of Object.entries(tagFilters)) {
+    if (!value) continue;
+    const values = String(value).split(',').filter(s => s.trim()).map(v => tagKey(field, v));
+    if (values.length === 1) {
+      keys.push(values[0]);
+    } else if (values.length > 1) {
+      keys.push(await temp(field, key => redis.sunionstore(key, ...values)));
+    }
+  }
+  for (const term of new Set(tokenize(q))) keys.push(`agents:idx:term:${term}`);
+
+  // Matches scored by price; the filter sets only gate membership
+  const priced = minPrice !== undefined || maxPrice !== undefined;
+  let matches = PRICE_KEY;
+  if (keys.length > 0 || priced) {
+    matches = await temp('matches', async (key) => {
+      await redis.zinterstore(key, keys.length + 1, [PRICE_KEY, ...keys], { weights: [1, ...keys.map(() => 0)] });
+      if (minPrice !== undefined) await redis.zremrangebyscore(key, '-inf', `(${minPrice}`);
+      if (maxPrice !== undefined) await redis.zremrangebyscore(key, `(${maxPrice}`, '+inf');
+    });
+  }
+  if (sort === 'price_asc' || sort === 'price_desc') return [{ key: matches, rev: sort === 'price_desc' }];
+
+  let byAge = 'platform:agents';
+  if (matches !== PRICE_KEY) {
+    byAge = await temp('age', key => redis.zinterstore(key, 2, [matches, 'platform:agents'], { weights: [0, 1] }));
+  }
+  if (sort === 'newest' || sort === 'oldest') return [{ key: byAge, rev: sort === 'newest' }];
+
+  const sortKey = sort === 'elo' ? ratingSetKey(RATING_SYSTEM) : VERIFICATION_KEY;
+  const scored = await temp('scored', key => redis.zinterstore(key, 2, [byAge, sortKey], { weights: [0, 1] }));
+  const unscored = await temp('unscored', key => redis.zdiffstore(key, 2, byAge, scored));
+  return [{ key: scored, rev: true }, { key: unscored, rev: true, unscored: true }];
+}
+
+// Up to `count` entries of a segment, from the top or right after `after` ({ member,
+// score }). The cursor's agent is found by score and rank, so entries tied with it keep
+// their place; if it is gone, the page starts past its old score.
+async function readSegment({ key, rev }, after, count) {
+  let from = rev ? '+inf' : '-inf';
+  let offset = 0;
+
+  if (after) {
+    const current = await redis.zscore(key, after.member);
+    if (current !== null && current !== undefined) {
+      const score = Number(current);
+      const rank = rev ? await redis.zrevrank(key, after.member) : await redis.zrank(key, after.member);
+      const ahead = rev ? await redis.zcount(key, `(${score}`, '+inf') : await redis.zcount(key, '-inf', `(${score}`);
+      from = score;
+      offset = rank - ahead + 1;
+    } else if (after.score !== null && after.score !== undefined) {
+      from = after.score;
+      offset = await redis.zcount(key, after.score, after.score);
+    }
+  }
+
+  const flat = await redis.zrange(key, from, rev ? '-inf' : '+inf', { byScore: true, rev, withScores: true, offset, count });
+  return scoredEntries(flat);
+}
+
+// A cursor names an unscored entry by its null score, with its position in `at`
+export function encodeCursor(entry) {
+  const value = entry.score === null ? [null, entry.member, entry.at] : [entry.score, entry.member];
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+export function decodeCursor(cursor) {
+  try {
+    const [score, member, at] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    if (typeof member !== 'string' || (score !== null && typeof score !== 'number')) return null;
+    if (score === null && at !== undefined && typeof at !== 'number') return null;
+    return { score, member, ...(score === null && at !== undefined ? { at } : {}) };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Find agents matching `filters`, in `sort` order. Agents without a score in the sort
+ * (unrated, unverified) follow the scored ones, newest first, with a null score.
+ * @param {{ q?, network?, skill?, domain?, status?, risk?, minPrice?, maxPrice? }} filters
+ * @param {{ sort: string, limit: number, cursor?: { score, member, at? } }} page
+ * @returns {Promise<{ entries: Array<{ member, score }>, total: number, nextCursor: string|null }>}
+ *   `cursor` is the last entry of the previous page; the page resumes right after it even
+ *   if agents were added or removed in between.
+ */
+export async function searchAgents(filters, { sort, limit, cursor }) {
+  const id = crypto.randomBytes(8).toString('hex');
+  const temps = [];
+  const temp = async (name, store) => {
+    const key = `agents:idx:tmp:${id}:${name}`;
+    temps.push(key);
+    await store(key);
+    await redis.expire(key, SEARCH_TTL);
+    return key;
+  };
+
+  try {
+    const segments = await storeMatches(filters, sort, temp);
+
+    let total = 0;
+    for (const { key } of segments) total += await redis.zcard(key);
+
+    // One more than the page, to tell whether another follows
+    const entries = [];
+    let first = cursor ? segments.findIndex(s => !!s.unscored === (cursor.score === null)) : 0;
+    if (first < 0) first = 0;
+    for (let i = first; i < segments.length && entries.length <= limit; i++) {
+      const segment = segments[i];
+      const after = cursor && i === first
+        ? { member: cursor.member, score: segment.unscored ? cursor.at : cursor.score }
+        : null;
+      for (const entry of await readSegment(segment, after, limit + 1 - entries.length)) {
+        entries.push(segment.unscored ? { member: entry.member, score: null, at: entry.score } : entry);
+      }
+    }
+
+    const page = entries.slice(0, limit);
+    return {
+      entries: page.map(({ member, score }) => ({ member, score })),
+      total,
+      nextCursor: entries.length > limit ? encodeCursor(page[page.length - 1]) : null,
+    };
+  } finally {
+    if (temps.length > 0) await redis.del(...temps);
+  }
+}
@@ -0,0 +1,137 @@
+import redis from './redis.js';
+import { unindexAgent } from './agentIndex.js';
+import { unlinkMember } from './agentIdentity.js';
+
+/**
+ * Marketplace listing bookkeeping shared by the agents API and the registry indexer:
+ * - index:name:{name} / index:url:{url} → { member, owner }, one owner per name and URL.
+ *   The owner's listings on other networks share it; `member` is the one holding it.
+ * - user:{address}.agents, the members each owner lists
+ */
+
+export function indexKey(kind, value) {
+  return `index:${kind}:${String(value).toLowerCase().trim()}`;
+}
+
+// { member, owner } holding an index key, or null. Entries from before owners were
+// recorded hold just the member; their owner is read from the listing.
+async function indexHolder(key) {
+  const raw = await redis.get(key);
+  if (raw === null || raw === undefined) return null;
+  let holder = raw;
+  if (typeof raw === 'string') {
+    try { holder = JSON.parse(raw); } catch (_) { holder = raw; }
+  }
+  if (!holder || typeof holder !== 'object') holder = { member: String(raw), owner: null };
+  if (!holder.owner) holder.owner = (await redis.hget(`agent:${holder.member}`, 'ownerAddress')) || null;
+  return { member: String(holder.member), owner: holder.owner ? String(holder.owner).toLowerCase() : null };
+}
+
+/**
+ * Atomically claim a name or URL for `member`, listed by `owner`. False if an agent of
+ * another owner holds it.
+ */
+export async function claimIndex(kind, value, member, owner) {
+  const key = indexKey(kind, value);
+  const ownerAddress = owner ? owner.toLowerCase() : null;
+  for (let attempt = 0; attempt < 2; attempt++) {
+    if ((await redis.set(key, JSON.stringify({ member, owner: ownerAddress }), { nx: true })) === 'OK') return true;
+    const holder = await indexHolder(key);
+    // Released between the two calls: try again
+    if (!holder) continue;
+    return holder.member === member || (!!ownerAddress && holder.owner === ownerAddress);
+  }
+  return false;
+}
+
+// Another listing of `owner` whose name or URL is still `value`
+async function siblingUsing(owner, kind, value, member) {
+  const normalized = String(value).toLowerCase().trim();
+  for (const other of await userAgents(`user:${owner}`)) {
+    if (other === member) continue;
+    const current = await redis.hget(`agent:${other}`, kind);
+    if (current && String(current).toLowerCase().trim() === normalized) return other;
+  }
+  return null;
+}
+
+/**
+ * Release `member`'s hold on a name or URL. Another listing of the same owner that
+ * still uses it takes the hold over; otherwise the name or URL is free again.
+ */
+export async function releaseIndex(kind, value, member) {
+  const key = indexKey(kind, value);
+  const holder = await indexHolder(key);
+  if (!holder || holder.member !== member) return;
+
+  const sibling = holder.owner ? await siblingUsing(holder.owner, kind, value, member) : null;
+  if (sibling) {
+    await redis.set(key, JSON.stringify({ member: sibling, owner: holder.owner }));
+  } else {
+    await redis.del(key);
+  }
+}
+
+async function userAgents(userKey) {
+  const existing = await redis.hget(userKey, 'agents');
+  let agentsList = [];
+  if (existing) {
+    try { agentsList = JSON.parse(existing); } catch (_) { agentsList = [existing]; }
+    if (!Array.isArray(agentsList)) agentsList = [agentsList];
+  }
+  return agentsList;
+}
+
+export async function addUserAgent(address, member) {
+  const userKey = `user:${address.toLowerCase()}`;
+  const agentsList = await userAgents(userKey);
+  if (!agentsList.includes(member)) agentsList.push(member);
+  await redis.hset(userKey, {
+    agents: JSON.stringify(agentsList),
+    lastSeen: new Date().toISOString(),
+  });
+}
+
+export async function removeUserAgent(address, member) {
+  const userKey = `user:${address.toLowerCase()}`;
+  const agentsList = await userAgents(userKey);
+  if (!agentsList.includes(member)) return;
+  await redis.hset(userKey, { agents: JSON.stringify(agentsList.filter(m => m !== member)) });
+}
+
+/**
+ * Move a listing to its new owner's agent list and record the owner on the hash. Its
+ * name and URL move with it, unless the previous owner's other listings still share them.
+ * The previous owner's payment wallets are dropped: the registry unsets the agent
+ * wallet on transfer, and the Circle wallet is theirs. The listing also leaves its
+ * cross-chain identity, which the previous owner's signatures proved.
+ */
+export async function transferListing(member, fromAddress, toAddress) {
+  await redis.hset(`agent:${member}`, { ownerAddress: toAddress });
+  if (fromAddress && fromAddress.toLowerCase() === toAddress.toLowerCase()) return;
+  if (fromAddress) await removeUserAgent(fromAddress, member);
+  await addUserAgent(toAddress, member);
+
+  if (!fromAddress) return;
+  await redis.hset(`agent:${member}`, { agentWalletAddress: '', circleWalletId: '' });
+  await unlinkMember(member);
+  const agent = (await redis.hgetall(`agent:${member}`)) || {};
+  for (const kind of ['name', 'url']) {
+    if (!agent[kind]) continue;
+    await releaseIndex(kind, agent[kind], member);
+    await claimIndex(kind, agent[kind], member, toAddress);
+  }
+}
+
+/**
+ * Remove a listing and everything pointing at it. `agent` is its current hash.
+ */
+export async function removeListing(member, agent) {
+  await redis.del(`agent:${member}`);
+  await redis.zrem('platform:agents', member);
+  await unindexAgent(member);
+  await unlinkMember(member);
+  if (agent.name) await releaseIndex('name', agent.name, member);
+  if (agent.url) await releaseIndex('url', agent.url, member);
+  if (agent.ownerAddress) await removeUserAgent(agent.ownerAddress, member);
+}
@@ -0,0 +1,274 @@
+import dns from 'dns';
+import net from 'net';
+import { Agent, fetch } from 'undici';
+
+/**
+ * Agent protocol client
+ *
+ * Sends one message to an agent and reads back its text answer, in whichever protocol
+ * the agent speaks. Shared by the workspace (hired agents) and the arena (challenges)
+ * so both call agents the same way.
+ *
+ * - a2a:  JSON-RPC `message/send` with a text part (files become inline data parts)
+ * - mcp:  JSON-RPC `tools/call` on the agent's tool (DEFAULT_MCP_TOOL unless configured)
+ *         with { message, files }
+ * - http: plain POST of { message, prompt, query, files }
+ *
+ * Multi-turn callers pass the earlier exchange as `history` ([{ role: 'user'|'agent', text }]);
+ * it rides along as `history` in the MCP arguments / HTTP body and as message metadata in
+ * A2A, where `contextId` also ties the turns of one conversation together.
+ *
+ * Endpoints are user-supplied, so unless private endpoints are allowed
+ * (AGENT_ALLOW_PRIVATE_ENDPOINTS, or the caller's allowPrivate) every address a host
+ * resolves to must be public. The check runs in the connection's own DNS lookup, so the
+ * request goes to the addresses that were checked, and redirects are never followed.
+ */
+
+export const AGENT_PROTOCOLS = ['a2a', 'mcp', 'http'];
+export const DEFAULT_MCP_TOOL = 'process';
+
+const DEFAULT_TIMEOUT = 30000; // 30s
+const ALLOW_PRIVATE_ENDPOINTS = process.env.AGENT_ALLOW_PRIVATE_ENDPOINTS === 'true';
+
+// ---- Endpoint guard ----
+
+// Loopback, private, CGNAT, link-local, benchmarking, multicast and reserved ranges.
+// IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) are checked against the IPv4 ranges.
+const NON_PUBLIC_RANGES = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+]) NON_PUBLIC_RANGES.addSubnet(address, prefix, 'ipv4');
+for (const [address, prefix] of [
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+]) NON_PUBLIC_RANGES.addSubnet(address, prefix, 'ipv6');
+
+/**
+ * True unless `address` is an IP literal in public address space.
+ */
+export function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return NON_PUBLIC_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Every address of `hostname` (an IP literal is its own), or throws if any is not public
+async function publicAddresses(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (host === 'localhost' || host.endsWith('.localhost')) throw new Error(`${host} is a loopback host`);
+
+  if (net.isIP(host)) {
+    if (isPrivateAddress(host)) throw new Error(`${host} is not a public address`);
+    return [{ address: host, family: net.isIP(host) }];
+  }
+  const addresses = await dns.promises.lookup(host, { all: true, verbatim: true });
+  const blocked = addresses.find(a => isPrivateAddress(a.address));
+  if (blocked) throw new Error(`${host} resolves to non-public address ${blocked.address}`);
+  return addresses;
+}
+
+// net.connect lookup that only hands out checked addresses (IP literals never reach it)
+function publicLookup(hostname, options, callback) {
+  publicAddresses(hostname).then(
+    addresses => (options.all ? callback(null, addresses) : callback(null, addresses[0].address, addresses[0].family)),
+    err => callback(err)
+  );
+}
+
+const publicDispatcher = new Agent({ connect: { lookup: publicLookup } });
+
+/**
+ * Why an agent endpoint can't be called, or null if it can: not an http(s) URL, or
+ * (unless allowPrivate) a host that is or resolves to a non-public address.
+ */
+export async function endpointError(endpoint, allowPrivate = ALLOW_PRIVATE_ENDPOINTS) {
+  let url;
+  try {
+    url = new URL(endpoint);
+  } catch {
+    return 'Endpoint is not a valid URL';
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) return 'Endpoint must be http(s)';
+  if (allowPrivate) return null;
+  try {
+    await publicAddresses(url.hostname);
+  } catch (e) {
+    return `Endpoint must be publicly reachable (${e.message})`;
+  }
+  return null;
+}
+
+// POST JSON to an agent endpoint through the guard; a redirect fails the call
+async function postToAgent(endpoint, body, timeoutMs, allowPrivate) {
+  let url;
+  try {
+    url = new URL(endpoint);
+  } catch {
+    throw new Error('Endpoint is not a valid URL');
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) throw new Error('Endpoint must be http(s)');
+  // Hostnames are checked by the dispatcher's lookup; IP literals skip it, so check them here
+  if (!allowPrivate && net.isIP(url.hostname.replace(/^\[|\]$/g, ''))) await publicAddresses(url.hostname);
+
+  let res;
+  try {
+    res = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(timeoutMs),
+      redirect: 'manual',
+      ...(allowPrivate ? {} : { dispatcher: publicDispatcher }),
+    });
+  } catch (e) {
+    // A refused lookup (or connection) surfaces as the cause of a bare 'fetch failed'
+    throw e.cause?.message ? new Error(`${e.message}: ${e.cause.message}`) : e;
+  }
+  if (res.status >= 300 && res.status < 400) {
+    throw new Error(`Agent endpoint redirected (HTTP ${res.status}); redirects are not followed`);
+  }
+  return res;
+}
+
+/**
+ * Pick the protocol and endpoint of a marketplace agent record: A2A first, then MCP,
+ * then its plain URL. Returns null if the agent has no callable endpoint.
+ */
+export function agentTarget(agent) {
+  if (agent.a2aEndpoint) return { protocol: 'a2a', endpoint: agent.a2aEndpoint };
+  if (agent.mcpEndpoint) return { protocol: 'mcp', endpoint: agent.mcpEndpoint, tool: agent.mcpTool || DEFAULT_MCP_TOOL };
+  if (agent.url) return { protocol: 'http', endpoint: agent.url };
+  return null;
+}
+
+function buildRequest(protocol, message, { files, tool, history, contextId }) {
+  const hasFiles = Array.isArray(files) && files.length > 0;
+  const hasHistory = Array.isArray(history) && history.length > 0;
+
+  if (protocol === 'a2a') {
+    const parts = [{ type: 'text', text: message }];
+    // Add files as inline data parts
+    if (hasFiles) {
+      for (const f of files) {
+        parts.push({
+          type: 'data',
+          mimeType: f.mimeType || 'application/octet-stream',
+          data: f.data, // base64
+          name: f.name,
+        });
+      }
+    }
+    return {
+      jsonrpc: '2.0',
+      method: 'message/send',
+      params: {
+        message: {
+          role: 'user',
+          parts,
+          ...(contextId ? { contextId } : {}),
+          ...(hasHistory ? { metadata: { history } } : {}),
+        },
+      },
+      id: Date.now(),
+    };
+  }
+
+  if (protocol === 'mcp') {
+    return {
+      jsonrpc: '2.0',
+      method: 'tools/call',
+      params: {
+        name: tool || DEFAULT_MCP_TOOL,
+        arguments: { message, ...(hasFiles ? { files } : {}), ...(hasHistory ? { history } : {}) },
+      },
+      id: Date.now(),
+    };
+  }
+
+  return {
+    message,
+    prompt: message,
+    query: message,
+    ...(hasFiles ? { files } : {}),
+    ...(hasHistory ? { history } : {}),
+  };
+}
+
+function textOfParts(parts) {
+  return parts
+    .filter((p) => p.type === 'text' || p.kind === 'text')
+    .map((p) => p.text)
+    .join('\n');
+}
+
+/**
+ * Pull the answer text out of any agent response body.
+ * Throws if the body is a JSON-RPC error.
+ */
+export function extractResponseText(body) {
+  if (typeof body === 'string') return body;
+  if (!body || typeof body !== 'object') return String(body ?? '');
+  if (body.error && body.jsonrpc) {
+    const code = body.error.code !== undefined ? ` ${body.error.code}` : '';
+    throw new Error(`Agent returned JSON-RPC error${code}: ${body.error.message || 'unknown error'}`);
+  }
+
+  const result = body.result;
+  // A2A: a message, or a task with a status message / artifacts
+  if (result?.message?.parts) return textOfParts(result.message.parts);
+  if (Array.isArray(result?.artifacts) && result.artifacts.length > 0) {
+    return result.artifacts.map((a) => textOfParts(a.parts || [])).join('\n');
+  }
+  if (result?.status?.message?.parts) return textOfParts(result.status.message.parts);
+  if (Array.isArray(result?.parts)) return textOfParts(result.parts);
+  // MCP tool result
+  if (result?.content) {
+    return textOfParts(Array.isArray(result.content) ? result.content : [result.content]);
+  }
+
+  // Plain HTTP: the first string field that looks like the answer
+  for (const field of ['response', 'result', 'text', 'message', 'output']) {
+    if (typeof body[field] === 'string') return body[field];
+  }
+  return JSON.stringify(body, null, 2);
+}
+
+/**
+ * Send a message to an agent.
+ * @param {{ protocol: string, endpoint: string, tool?: string }} target
+ * @param {string} message
+ * @param {{ files?: object[], history?: object[], contextId?: string, timeoutMs?: number, allowPrivate?: boolean }} [options]
+ * @returns {Promise<{ text: string, raw: any, latency: number }>} Throws on network,
+ *   timeout, redirect, non-public endpoint and JSON-RPC errors.
+ */
+export async function sendAgentMessage(target, message, { files, history, contextId, timeoutMs = DEFAULT_TIMEOUT, allowPrivate = ALLOW_PRIVATE_ENDPOINTS } = {}) {
+  const protocol = AGENT_PROTOCOLS.includes(target.protocol) ? target.protocol : 'http';
+  const start = Date.now();
+
+  const resp = await postToAgent(
+    target.endpoint,
+    buildRequest(protocol, message, { files, tool: target.tool, history, contextId }),
+    timeoutMs,
+    allowPrivate
+  );
+
+  const contentType = resp.headers.get('content-type') || '';
+  const raw = contentType.includes('json') ? await resp.json() : { text: await resp.text() };
+  const latency = Date.now() - start;
+
+  return { text: extractResponseText(raw), raw, latency };
+}
+
+/**
+ * Guess which protocol an endpoint speaks from a JSON-RPC probe (as checkWebAvailability
+ * does): 'mcp' if tools/list lists tools, otherwise 'http'. A2A has no probe that tells
+ * it apart from any JSON-RPC server, so A2A agents are declared or listed as such.
+ */
+export async function detectAgentProtocol(endpoint, timeoutMs = 10000, allowPrivate = ALLOW_PRIVATE_ENDPOINTS) {
+  try {
+    const res = await postToAgent(endpoint, { jsonrpc: '2.0', method: 'tools/list', id: 1 }, timeoutMs, allowPrivate);
+    const tools = await res.json();
+    if (Array.isArray(tools?.result?.tools)) return 'mcp';
+  } catch {}
+  return 'http';
+}
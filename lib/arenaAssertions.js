@@ -0,0 +1,274 @@
+import vm from 'vm';
+import { normalizeChallenge } from './arenaChallenges.js';
+
+/**
+ * Arena prompt test cases
+ *
+ * An event prompt is either a plain string or an object:
+ *   {
+ *     text: 'What is 17 * 23?',
+ *     reference: '391',                 // optional, shown to judges (and the rules judge)
+ *     assertions: [                     // optional, graded deterministically
+ *       { type: 'numeric', value: 391, tolerance: 0 },
+ *       { type: 'regex', pattern: '\\b391\\b', weight: 2 },
+ *     ],
+ *     judge: false,                     // optional, skip the LLM judge entirely
+ *   }
+ * plus, for multi-turn and tool-using challenges, the fields in arenaChallenges.js.
+ *
+ * Assertion types: contains, equals, regex, numeric, json_schema, script, tool_call.
+ * Text checks run against the agent's final answer; `tool_call` passes if the agent
+ * called `tool` (with arguments containing `arguments`, if given).
+ * `script` runs a JS expression in a fresh vm context with `response` and `json`
+ * in scope — vm is not a security boundary, so only admins may author prompts.
+ */
+
+export const ASSERTION_TYPES = ['contains', 'equals', 'regex', 'numeric', 'json_schema', 'script', 'tool_call'];
+
+const SCRIPT_TIMEOUT = 100; // ms
+
+// ---- Prompt helpers ----
+
+export function promptText(prompt) {
+  return typeof prompt === 'string' ? prompt : prompt?.text || '';
+}
+
+export function hasAssertions(prompt) {
+  return typeof prompt === 'object' && Array.isArray(prompt.assertions) && prompt.assertions.length > 0;
+}
+
+/**
+ * Validate one event prompt. Strings pass through; objects are checked and
+ * returned with defaults filled in. Throws an Error with a user-facing message.
+ */
+export function normalizePrompt(prompt, index) {
+  if (typeof prompt === 'string') {
+    if (!prompt.trim()) throw new Error(`prompts[${index}] is empty`);
+    return prompt;
+  }
+  if (!prompt || typeof prompt !== 'object' || typeof prompt.text !== 'string' || !prompt.text.trim()) {
+    throw new Error(`prompts[${index}] must be a string or an object with a text field`);
+  }
+
+  const normalized = { text: prompt.text };
+  if (prompt.reference !== undefined) normalized.reference = String(prompt.reference);
+  normalizeChallenge(prompt, normalized, index);
+
+  if (prompt.assertions !== undefined) {
+    if (!Array.isArray(prompt.assertions)) throw new Error(`prompts[${index}].assertions must be an array`);
+    normalized.assertions = prompt.assertions.map((a, j) => normalizeAssertion(a, `prompts[${index}].assertions[${j}]`));
+    for (const [j, a] of normalized.assertions.entries()) {
+      if (a.type === 'tool_call' && !(normalized.tools || []).some(t => t.name === a.tool)) {
+        throw new Error(`prompts[${index}].assertions[${j}]: tool ${a.tool} is not one of the prompt's tools`);
+      }
+    }
+  }
+
+  if (prompt.judge === false) {
+    if (!hasAssertions(normalized)) throw new Error(`prompts[${index}]: judge: false requires assertions`);
+    normalized.judge = false;
+  }
+  return normalized;
+}
+
+function normalizeAssertion(a, path) {
+  if (!a || !ASSERTION_TYPES.includes(a.type)) {
+    throw new Error(`${path}: type must be one of: ${ASSERTION_TYPES.join(', ')}`);
+  }
+  const weight = a.weight === undefined ? 1 : Number(a.weight);
+  if (!Number.isFinite(weight) || weight <= 0) throw new Error(`${path}: weight must be a positive number`);
+
+  const out = { type: a.type, weight };
+  if (a.description) out.description = String(a.description);
+
+  switch (a.type) {
+    case 'contains':
+    case 'equals':
+      if (a.value === undefined) throw new Error(`${path}: value is required`);
+      out.value = String(a.value);
+      out.caseSensitive = !!a.caseSensitive;
+      break;
+    case 'regex':
+      try {
+        new RegExp(a.pattern, a.flags || '');
+      } catch (e) {
+        throw new Error(`${path}: invalid regex (${e.message})`);
+      }
+      out.pattern = String(a.pattern);
+      out.flags = a.flags || '';
+      break;
+    case 'numeric':
+      if (!Number.isFinite(Number(a.value))) throw new Error(`${path}: value must be a number`);
+      out.value = Number(a.value);
+      out.tolerance = Math.abs(Number(a.tolerance) || 0);
+      break;
+    case 'json_schema':
+      if (!a.schema || typeof a.schema !== 'object') throw new Error(`${path}: schema must be an object`);
+      out.schema = a.schema;
+      break;
+    case 'script':
+      try {
+        new vm.Script(String(a.source));
+      } catch (e) {
+        throw new Error(`${path}: script does not compile (${e.message})`);
+      }
+      out.source = String(a.source);
+      break;
+    case 'tool_call':
+      if (typeof a.tool !== 'string' || !a.tool) throw new Error(`${path}: tool is required`);
+      if (a.arguments !== undefined && (typeof a.arguments !== 'object' || a.arguments === null)) {
+        throw new Error(`${path}: arguments must be an object`);
+      }
+      out.tool = a.tool;
+      if (a.arguments !== undefined) out.arguments = a.arguments;
+      break;
+  }
+  return out;
+}
+
+// ---- JSON schema (subset) ----
+// Supports type, enum, required, properties, additionalProperties: false, items,
+// minimum/maximum, minLength/maxLength, pattern and minItems/maxItems.
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function validateSchema(value, schema, path = '$') {
+  const errors = [];
+  const actual = typeOf(value);
+
+  if (schema.type) {
+    const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const matches = allowed.some(t => t === actual || (t === 'number' && actual === 'integer'));
+    if (!matches) return [`${path}: expected ${allowed.join('|')}, got ${actual}`];
+  }
+  if (schema.enum && !schema.enum.some(e => JSON.stringify(e) === JSON.stringify(value))) {
+    errors.push(`${path}: not one of the allowed values`);
+  }
+
+  if (actual === 'integer' || actual === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: below minimum ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: above maximum ${schema.maximum}`);
+  }
+  if (actual === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path}: shorter than ${schema.minLength}`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path}: longer than ${schema.maxLength}`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${path}: does not match ${schema.pattern}`);
+  }
+  if (actual === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path}: fewer than ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path}: more than ${schema.maxItems} items`);
+    if (schema.items) value.forEach((v, i) => errors.push(...validateSchema(v, schema.items, `${path}[${i}]`)));
+  }
+  if (actual === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path}: missing required property ${key}`);
+    }
+    const props = schema.properties || {};
+    for (const [key, v] of Object.entries(value)) {
+      if (props[key]) errors.push(...validateSchema(v, props[key], `${path}.${key}`));
+      else if (schema.additionalProperties === false) errors.push(`${path}: unexpected property ${key}`);
+    }
+  }
+  return errors;
+}
+
+// Pull a JSON value out of a response (whole body, or the first fenced/braced block)
+function parseResponseJson(response) {
+  const text = String(response || '').trim();
+  try { return JSON.parse(text); } catch {}
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+  if (fenced) {
+    try { return JSON.parse(fenced[1]); } catch {}
+  }
+  const braced = text.match(/[[{][\s\S]*[\]}]/);
+  if (braced) {
+    try { return JSON.parse(braced[0]); } catch {}
+  }
+  return undefined;
+}
+
+// ---- Assertion runner ----
+function checkAssertion(a, response, json, toolCalls) {
+  const text = String(response || '');
+  switch (a.type) {
+    case 'contains': {
+      const hay = a.caseSensitive ? text : text.toLowerCase();
+      const needle = a.caseSensitive ? a.value : a.value.toLowerCase();
+      return { passed: hay.includes(needle) };
+    }
+    case 'equals': {
+      const norm = s => (a.caseSensitive ? s.trim() : s.trim().toLowerCase());
+      return { passed: norm(text) === norm(a.value) };
+    }
+    case 'regex':
+      return { passed: new RegExp(a.pattern, a.flags).test(text) };
+    case 'numeric': {
+      // The last number in the response is taken as the answer
+      const numbers = text.replace(/(\d),(?=\d{3}\b)/g, '$1').match(/-?\d+(?:\.\d+)?(?:e[-+]?\d+)?/gi);
+      if (!numbers) return { passed: false, detail: 'No number found' };
+      const answer = Number(numbers[numbers.length - 1]);
+      return { passed: Math.abs(answer - a.value) <= a.tolerance, detail: `Answer ${answer}` };
+    }
+    case 'json_schema': {
+      if (json === undefined) return { passed: false, detail: 'Response is not JSON' };
+      const errors = validateSchema(json, a.schema);
+      return { passed: errors.length === 0, detail: errors.slice(0, 5).join('; ') || undefined };
+    }
+    case 'script': {
+      const result = vm.runInNewContext(a.source, { response: text, json: json ?? null }, { timeout: SCRIPT_TIMEOUT });
+      return { passed: !!result };
+    }
+    case 'tool_call': {
+      const calls = toolCalls.filter(c => c.tool === a.tool);
+      if (calls.length === 0) return { passed: false, detail: `${a.tool} was not called` };
+      const wanted = Object.entries(a.arguments || {});
+      const passed = calls.some(c => wanted.every(([k, v]) => JSON.stringify(c.arguments?.[k]) === JSON.stringify(v)));
+      return { passed, detail: passed ? undefined : `${a.tool} was not called with the expected arguments` };
+    }
+    default:
+      return { passed: false, detail: `Unknown assertion type ${a.type}` };
+  }
+}
+
+/**
+ * Run every assertion of a prompt against an agent response (and, for tool-using
+ * challenges, the tool calls it made).
+ * @returns {{ results: object[], passed: number, total: number, passRate: number }}
+ *   passRate is weighted by each assertion's `weight`.
+ */
+export function runAssertions(assertions, response, toolCalls = []) {
+  const json = assertions.some(a => a.type === 'json_schema' || a.type === 'script')
+    ? parseResponseJson(response)
+    : undefined;
+
+  let weightPassed = 0;
+  let weightTotal = 0;
+  const results = assertions.map(a => {
+    let outcome;
+    try {
+      outcome = checkAssertion(a, response, json, toolCalls);
+    } catch (e) {
+      outcome = { passed: false, detail: `Check error: ${e.message}` };
+    }
+    weightTotal += a.weight;
+    if (outcome.passed) weightPassed += a.weight;
+    return {
+      type: a.type,
+      ...(a.description ? { description: a.description } : {}),
+      weight: a.weight,
+      passed: outcome.passed,
+      ...(outcome.detail ? { detail: outcome.detail } : {}),
+    };
+  });
+
+  return {
+    results,
+    passed: results.filter(r => r.passed).length,
+    total: results.length,
+    passRate: weightTotal > 0 ? weightPassed / weightTotal : 0,
+  };
+}
@@ -0,0 +1,237 @@
+/**
+ * Arena tournament brackets
+ *
+ * Three formats, all stored as one JSON blob on the event hash:
+ * - single_elimination: knocked out after one loss
+ * - double_elimination: knocked out after two losses (winners/losers pools, grand final)
+ * - round_robin: every participant meets every other participant once
+ *
+ * Elimination rounds are generated one at a time from the surviving pools, so byes,
+ * the losers bracket and a grand-final reset all fall out of the same pairing rule.
+ * Round-robin rounds are scheduled up front with the circle method.
+ *
+ * Participants are identified by agentKey ("network:agentId"); seed order is the
+ * order of the keys passed to createBracket (index 0 = top seed).
+ */
+
+export const BRACKET_FORMATS = ['single_elimination', 'double_elimination', 'round_robin'];
+
+const MAX_LOSSES = { single_elimination: 1, double_elimination: 2 };
+
+function isElimination(bracket) {
+  return bracket.format !== 'round_robin';
+}
+
+function seedOf(bracket, key) {
+  return bracket.seeds.indexOf(key);
+}
+
+function makeMatch(round, index, a, b) {
+  return {
+    id: `r${round}m${index + 1}`,
+    round,
+    a,
+    b,
+    promptIndex: null,
+    status: b ? 'pending' : 'bye',
+    winner: b ? null : a,
+    scoreA: null,
+    scoreB: null,
+    feedback: '',
+  };
+}
+
+// ---- Pairing ----
+// Best remaining seed meets worst remaining seed; an odd pool gives its top seed a bye.
+function pairPool(bracket, pool) {
+  const sorted = [...pool].sort((x, y) => seedOf(bracket, x) - seedOf(bracket, y));
+  const pairs = [];
+  if (sorted.length % 2 === 1) pairs.push([sorted.shift(), null]);
+  while (sorted.length > 0) pairs.push([sorted.shift(), sorted.pop()]);
+  return pairs;
+}
+
+function nextEliminationRound(bracket) {
+  const alive = bracket.seeds.filter(k => (bracket.losses[k] || 0) < bracket.maxLosses);
+  if (alive.length <= 1) {
+    bracket.complete = true;
+    bracket.champion = alive[0] || null;
+    return;
+  }
+
+  const unbeaten = alive.filter(k => !bracket.losses[k]);
+  const oneLoss = alive.filter(k => bracket.losses[k] === 1);
+
+  let pairs;
+  if (bracket.maxLosses === 2 && unbeaten.length === 1 && oneLoss.length === 1) {
+    // Grand final: winners-pool champion vs losers-pool champion
+    pairs = [[unbeaten[0], oneLoss[0]]];
+  } else if (bracket.maxLosses === 2) {
+    pairs = [...pairPool(bracket, unbeaten), ...pairPool(bracket, oneLoss)];
+  } else {
+    pairs = pairPool(bracket, alive);
+  }
+
+  const round = bracket.rounds.length + 1;
+  bracket.rounds.push({ round, matches: pairs.map(([a, b], i) => makeMatch(round, i, a, b)) });
+  bracket.currentRound = round;
+}
+
+// Circle method: fix the first entry, rotate the rest one step each round.
+function scheduleRoundRobin(keys) {
+  const list = keys.length % 2 === 1 ? [...keys, null] : [...keys];
+  const n = list.length;
+  const rounds = [];
+
+  for (let r = 0; r < n - 1; r++) {
+    const round = r + 1;
+    const matches = [];
+    for (let i = 0; i < n / 2; i++) {
+      const a = list[i];
+      const b = list[n - 1 - i];
+      if (a && b) matches.push(makeMatch(round, matches.length, a, b));
+    }
+    rounds.push({ round, matches });
+    list.splice(1, 0, list.pop());
+  }
+  return rounds;
+}
+
+// ---- Public API ----
+
+/**
+ * Build a new bracket and schedule its first round.
+ * @param {string} format - One of BRACKET_FORMATS
+ * @param {string[]} agentKeys - Participant keys in seed order
+ */
+export function createBracket(format, agentKeys) {
+  if (!BRACKET_FORMATS.includes(format)) throw new Error(`Unknown bracket format: ${format}`);
+  if (agentKeys.length < 2) throw new Error('Need at least 2 participants for a bracket');
+
+  const bracket = {
+    format,
+    maxLosses: MAX_LOSSES[format] || null,
+    seeds: [...agentKeys],
+    rounds: [],
+    currentRound: 0,
+    losses: {},
+    eliminatedRound: {},
+    champion: null,
+    complete: false,
+  };
+
+  if (isElimination(bracket)) {
+    nextEliminationRound(bracket);
+  } else {
+    bracket.rounds = scheduleRoundRobin(agentKeys);
+    bracket.currentRound = 1;
+  }
+  return bracket;
+}
+
+/**
+ * Matches in the current round that still need judging.
+ */
+export function pendingMatches(bracket) {
+  if (bracket.complete) return [];
+  const round = bracket.rounds[bracket.currentRound - 1];
+  return round ? round.matches.filter(m => m.status === 'pending') : [];
+}
+
+/**
+ * Record a judged match. `winner` is an agentKey, or null for a draw (round robin only).
+ */
+export function recordMatchResult(bracket, matchId, { winner, scoreA, scoreB, feedback, promptIndex, latencyA, latencyB }) {
+  const match = pendingMatches(bracket).find(m => m.id === matchId);
+  if (!match) throw new Error(`Match ${matchId} is not pending in the current round`);
+  if (winner && winner !== match.a && winner !== match.b) throw new Error(`${winner} did not play in ${matchId}`);
+  if (!winner && isElimination(bracket)) throw new Error('Elimination matches need a winner');
+
+  Object.assign(match, {
+    status: 'completed',
+    winner: winner || null,
+    scoreA: scoreA ?? null,
+    scoreB: scoreB ?? null,
+    feedback: feedback || '',
+    promptIndex: promptIndex ?? match.promptIndex,
+    latencyA: latencyA ?? null,
+    latencyB: latencyB ?? null,
+    judgedAt: new Date().toISOString(),
+  });
+
+  if (winner && isElimination(bracket)) {
+    const loser = winner === match.a ? match.b : match.a;
+    bracket.losses[loser] = (bracket.losses[loser] || 0) + 1;
+    if (bracket.losses[loser] >= bracket.maxLosses) bracket.eliminatedRound[loser] = match.round;
+  }
+  return match;
+}
+
+/**
+ * Move to the next round once every match in the current one is decided.
+ * Returns true if the bracket moved on (or finished), false if matches are still pending.
+ */
+export function advanceBracket(bracket) {
+  if (bracket.complete) return false;
+  if (pendingMatches(bracket).length > 0) return false;
+
+  if (isElimination(bracket)) {
+    nextEliminationRound(bracket);
+  } else if (bracket.currentRound >= bracket.rounds.length) {
+    bracket.complete = true;
+  } else {
+    bracket.currentRound += 1;
+  }
+
+  if (bracket.complete && !isElimination(bracket)) {
+    bracket.champion = bracketStandings(bracket)[0]?.agentKey || null;
+  }
+  return true;
+}
+
+/**
+ * Every decided head-to-head (byes excluded), oldest first.
+ */
+export function completedMatches(bracket) {
+  return bracket.rounds.flatMap(r => r.matches).filter(m => m.status === 'completed');
+}
+
+/**
+ * Ordered standings. Round robin: match points (win 1, draw 0.5), then judge points.
+ * Elimination: survivors first, then by how late each agent was knocked out.
+ */
+export function bracketStandings(bracket) {
+  const table = Object.fromEntries(
+    bracket.seeds.map(k => [k, { agentKey: k, seed: seedOf(bracket, k) + 1, wins: 0, losses: 0, draws: 0, points: 0 }])
+  );
+
+  for (const m of completedMatches(bracket)) {
+    table[m.a].points += m.scoreA || 0;
+    table[m.b].points += m.scoreB || 0;
+    if (!m.winner) {
+      table[m.a].draws++;
+      table[m.b].draws++;
+    } else {
+      const loser = m.winner === m.a ? m.b : m.a;
+      table[m.winner].wins++;
+      table[loser].losses++;
+    }
+  }
+
+  const rows = Object.values(table);
+  if (isElimination(bracket)) {
+    const outRound = k => bracket.eliminatedRound[k] ?? Infinity;
+    rows.sort((x, y) =>
+      (y.agentKey === bracket.champion) - (x.agentKey === bracket.champion) ||
+      outRound(y.agentKey) - outRound(x.agentKey) ||
+      y.wins - x.wins ||
+      y.points - x.points ||
+      x.seed - y.seed
+    );
+  } else {
+    const matchPoints = r => r.wins + r.draws * 0.5;
+    rows.sort((x, y) => matchPoints(y) - matchPoints(x) || y.points - x.points || x.seed - y.seed);
+  }
+
+  return rows.map((r, i) => ({ rank: i + 1, ...r }));
+}
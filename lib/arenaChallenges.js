@@ -0,0 +1,243 @@
+import { generateGeminiJson } from './arenaJudges.js';
+
+/**
+ * Arena multi-turn and tool-using challenges
+ *
+ * On top of the test-case fields (see arenaAssertions.js) a prompt object may define
+ * a conversation and mock tools:
+ *   {
+ *     text: 'Find me a vegetarian restaurant in Lyon for tonight.',
+ *     turns: ['Make it for four people.', 'Book the first one.'],   // scripted follow-ups
+ *     simulatedUser: { goal: 'Book a table for 4 at 20:00', maxTurns: 3 },  // or an LLM plays the user
+ *     tools: [
+ *       {
+ *         name: 'search_restaurants',
+ *         description: 'Search restaurants by city and diet',
+ *         parameters: { type: 'object', properties: { city: { type: 'string' } } },
+ *         response: { results: [] },                                  // default mock result
+ *         responses: [{ when: { city: 'Lyon' }, response: { results: ['Le Potager'] } }],
+ *       },
+ *     ],
+ *     maxToolCalls: 5,
+ *   }
+ *
+ * The agent calls a tool by replying with only a JSON object
+ *   {"tool": "search_restaurants", "arguments": {"city": "Lyon"}}
+ * and gets the mock result back as the next message. Every message is resent with the
+ * conversation so far as `history` (see agentProtocol.js). Judges see the whole dialogue
+ * and tool trace; the agent's last message is its final answer.
+ */
+
+export const MAX_TURNS = 10;
+export const MAX_TOOL_CALLS = 20;
+const DEFAULT_TOOL_CALLS = 5;
+const DEFAULT_SIMULATED_TURNS = 3;
+const TOOL_NAME_PATTERN = /^[A-Za-z][\w.-]{0,63}$/;
+
+export function isInteractive(prompt) {
+  return typeof prompt === 'object' && !!(prompt.turns || prompt.simulatedUser || prompt.tools);
+}
+
+/**
+ * Validate the conversation and tool fields of prompts[index] and copy them onto
+ * `normalized`. Throws an Error with a user-facing message.
+ */
+export function normalizeChallenge(prompt, normalized, index) {
+  const path = `prompts[${index}]`;
+
+  if (prompt.turns !== undefined && prompt.simulatedUser !== undefined) {
+    throw new Error(`${path}: use either turns or simulatedUser, not both`);
+  }
+
+  if (prompt.turns !== undefined) {
+    if (!Array.isArray(prompt.turns) || prompt.turns.some(t => typeof t !== 'string' || !t.trim())) {
+      throw new Error(`${path}.turns must be an array of non-empty strings`);
+    }
+    if (prompt.turns.length + 1 > MAX_TURNS) throw new Error(`${path}: at most ${MAX_TURNS} turns`);
+    normalized.turns = [...prompt.turns];
+  }
+
+  if (prompt.simulatedUser !== undefined) {
+    const sim = prompt.simulatedUser;
+    if (!sim || typeof sim.goal !== 'string' || !sim.goal.trim()) {
+      throw new Error(`${path}.simulatedUser.goal is required`);
+    }
+    const maxTurns = Number(sim.maxTurns ?? DEFAULT_SIMULATED_TURNS);
+    if (!Number.isInteger(maxTurns) || maxTurns < 1 || maxTurns + 1 > MAX_TURNS) {
+      throw new Error(`${path}.simulatedUser.maxTurns must be between 1 and ${MAX_TURNS - 1}`);
+    }
+    normalized.simulatedUser = { goal: sim.goal, maxTurns };
+    if (sim.persona) normalized.simulatedUser.persona = String(sim.persona);
+    if (sim.model) normalized.simulatedUser.model = String(sim.model);
+  }
+
+  if (prompt.tools !== undefined) {
+    if (!Array.isArray(prompt.tools) || prompt.tools.length === 0) {
+      throw new Error(`${path}.tools must be a non-empty array`);
+    }
+    const names = new Set();
+    normalized.tools = prompt.tools.map((t, j) => {
+      const toolPath = `${path}.tools[${j}]`;
+      if (!t || !TOOL_NAME_PATTERN.test(t.name || '')) throw new Error(`${toolPath}: name must be an identifier`);
+      if (names.has(t.name)) throw new Error(`${toolPath}: duplicate tool ${t.name}`);
+      names.add(t.name);
+      if (t.responses !== undefined && (!Array.isArray(t.responses) || t.responses.some(r => !r || typeof r.when !== 'object'))) {
+        throw new Error(`${toolPath}.responses must be an array of { when, response }`);
+      }
+      const tool = { name: t.name, description: String(t.description || '') };
+      if (t.parameters !== undefined) tool.parameters = t.parameters;
+      tool.response = t.response ?? null;
+      if (t.responses) tool.responses = t.responses.map(r => ({ when: r.when, response: r.response ?? null }));
+      return tool;
+    });
+
+    const maxToolCalls = Number(prompt.maxToolCalls ?? DEFAULT_TOOL_CALLS);
+    if (!Number.isInteger(maxToolCalls) || maxToolCalls < 1 || maxToolCalls > MAX_TOOL_CALLS) {
+      throw new Error(`${path}.maxToolCalls must be between 1 and ${MAX_TOOL_CALLS}`);
+    }
+    normalized.maxToolCalls = maxToolCalls;
+  } else if (prompt.maxToolCalls !== undefined) {
+    throw new Error(`${path}: maxToolCalls requires tools`);
+  }
+
+  return normalized;
+}
+
+// ---- Mock tools ----
+
+function toolInstructions(tools) {
+  const lines = tools.map(t => {
+    const params = t.parameters ? ` Arguments (JSON schema): ${JSON.stringify(t.parameters)}` : '';
+    return `- ${t.name}: ${t.description || '(no description)'}${params}`;
+  });
+  return `You can use these tools:
+${lines.join('\n')}
+
+To call a tool, reply with only a JSON object: {"tool": "<name>", "arguments": {...}}
+You will get the tool's result back and can then call another tool or give your final answer.`;
+}
+
+// A reply that is (or fences) a JSON object with a `tool` field is a tool call
+function parseToolCall(reply) {
+  const text = String(reply || '').trim();
+  const fenced = text.match(/^```(?:json)?\s*([\s\S]*?)```$/);
+  const body = fenced ? fenced[1].trim() : text;
+  if (!body.startsWith('{')) return null;
+  try {
+    const parsed = JSON.parse(body);
+    if (typeof parsed?.tool !== 'string') return null;
+    const args = parsed.arguments ?? {};
+    return { tool: parsed.tool, arguments: typeof args === 'object' && args !== null ? args : { value: args } };
+  } catch {
+    return null;
+  }
+}
+
+// First `responses` entry whose `when` fields all equal the call's arguments, else `response`
+function mockToolResult(tools, call) {
+  const tool = tools.find(t => t.name === call.tool);
+  if (!tool) return { error: `Unknown tool: ${call.tool}` };
+  const match = (tool.responses || []).find(r =>
+    Object.entries(r.when).every(([k, v]) => JSON.stringify(call.arguments[k]) === JSON.stringify(v))
+  );
+  return match ? match.response : tool.response;
+}
+
+// ---- Simulated user ----
+
+async function nextSimulatedMessage(sim, dialogue) {
+  const prompt = `You are role-playing a user talking to an AI agent.${sim.persona ? `\nPersona: ${sim.persona}` : ''}
+Your goal: ${sim.goal}
+
+Conversation so far:
+${formatDialogue(dialogue)}
+
+Write your next message to the agent. Stay in character and don't solve the task yourself.
+If your goal has been met, or the agent clearly cannot help, end the conversation.
+
+Return ONLY valid JSON with no markdown:
+{"message":"your next message","done":false}`;
+
+  const next = await generateGeminiJson(prompt, sim.model);
+  if (next.done || typeof next.message !== 'string' || !next.message.trim()) return null;
+  return next.message;
+}
+
+// ---- Runner ----
+
+/**
+ * Render a dialogue for judges and humans: one `[role] text` line per message.
+ */
+export function formatDialogue(dialogue) {
+  return (dialogue || [])
+    .map(m => (m.role === 'tool' ? `[tool ${m.tool}] ${m.text}` : `[${m.role}] ${m.text}`))
+    .join('\n');
+}
+
+/**
+ * Play a prompt against an agent. `send(message, history)` delivers one message and
+ * resolves to { response, latency, error } (it must not throw).
+ * @returns {Promise<{ response: string, latency: number, error: string|null,
+ *   dialogue?: object[], toolCalls?: object[] }>} `response` is the agent's final answer
+ *   and `latency` the sum over every call; interactive prompts add the full dialogue and
+ *   tool-call trace.
+ */
+export async function runChallenge(prompt, send) {
+  const text = typeof prompt === 'string' ? prompt : prompt.text;
+  if (!isInteractive(prompt)) return send(text, []);
+
+  const tools = prompt.tools || [];
+  const dialogue = [];
+  const toolCalls = [];
+  let latency = 0;
+  let response = '';
+
+  const history = () => dialogue.map(m => ({ role: m.role === 'agent' ? 'agent' : 'user', text: m.text }));
+  const fail = (error) => ({ response, latency, error, dialogue, toolCalls });
+
+  let userMessage = tools.length > 0 ? `${text}\n\n${toolInstructions(tools)}` : text;
+  const userTurns = prompt.simulatedUser ? prompt.simulatedUser.maxTurns + 1 : (prompt.turns || []).length + 1;
+
+  for (let turn = 1; turn <= userTurns; turn++) {
+    let message = userMessage;
+    dialogue.push({ role: 'user', text: message });
+
+    // The agent may call tools until it answers in plain text
+    for (;;) {
+      const sent = history().slice(0, -1);
+      const reply = await send(message, sent);
+      latency += reply.latency || 0;
+      if (reply.error || !reply.response) return fail(`Turn ${turn}: ${reply.error || 'no response'}`);
+
+      const call = tools.length > 0 ? parseToolCall(reply.response) : null;
+      dialogue.push({ role: 'agent', text: reply.response });
+      if (!call) {
+        response = reply.response;
+        break;
+      }
+      if (toolCalls.length >= prompt.maxToolCalls) {
+        return fail(`Turn ${turn}: exceeded ${prompt.maxToolCalls} tool calls`);
+      }
+
+      const result = mockToolResult(tools, call);
+      toolCalls.push({ turn, tool: call.tool, arguments: call.arguments, result });
+      message = `Tool result (${call.tool}): ${JSON.stringify(result)}`;
+      dialogue.push({ role: 'tool', tool: call.tool, text: message });
+    }
+
+    if (turn === userTurns) break;
+    if (prompt.simulatedUser) {
+      try {
+        userMessage = await nextSimulatedMessage(prompt.simulatedUser, dialogue);
+      } catch (e) {
+        console.error('Simulated user failed:', e.message);
+        userMessage = null;
+      }
+      if (!userMessage) break;
+    } else {
+      userMessage = prompt.turns[turn - 1];
+    }
+  }
+
+  return { response, latency, error: null, dialogue, toolCalls };
+}
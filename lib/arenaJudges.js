@@ -0,0 +1,374 @@
+/**
+ * Arena judge backends
+ *
+ * Every judge scores one agent response against the same 100-point rubric:
+ * - gemini: Google Gemini (model configurable per judge)
+ * - openai: an OpenAI-compatible /chat/completions endpoint (OPENAI_JUDGE_BASE_URL or an allowed one)
+ * - rules: local, deterministic scoring against a reference answer (or the prompt itself)
+ *
+ * An event's judging config lists one or more judges. With several judges the panel
+ * runs them all and aggregates each criterion with the median or a trimmed mean,
+ * flagging prompts where the judges' totals are far apart.
+ */
+
+const GEMINI_API_KEY = process.env.GEMINI_API_KEY || '';
+const DEFAULT_GEMINI_MODEL = 'gemini-2.0-flash';
+const OPENAI_JUDGE_BASE_URL = trimUrl(process.env.OPENAI_JUDGE_BASE_URL || 'https://api.openai.com/v1');
+// Judges may only point at these endpoints, since every request carries OPENAI_JUDGE_API_KEY
+const OPENAI_JUDGE_BASE_URLS = [
+  OPENAI_JUDGE_BASE_URL,
+  ...(process.env.OPENAI_JUDGE_ALLOWED_BASE_URLS || '').split(',').map(trimUrl).filter(Boolean),
+];
+const OPENAI_JUDGE_API_KEY = process.env.OPENAI_JUDGE_API_KEY || '';
+const DEFAULT_OPENAI_MODEL = process.env.OPENAI_JUDGE_MODEL || 'gpt-4o-mini';
+const JUDGE_TIMEOUT = 60000; // 60s
+
+function trimUrl(url) {
+  return String(url || '').trim().replace(/\/+$/, '');
+}
+
+export const JUDGE_TYPES = ['gemini', 'openai', 'rules'];
+export const AGGREGATE_METHODS = ['median', 'trimmed_mean'];
+
+// Criterion → max points (sums to 100)
+export const RUBRIC = {
+  accuracy: 20,
+  completeness: 15,
+  domainExpertise: 20,
+  reasoning: 15,
+  safety: 10,
+  clarity: 10,
+  edgeCases: 10,
+};
+
+// Criteria decided by a prompt's assertions when it has any; judges keep the rest
+export const OBJECTIVE_CRITERIA = ['accuracy', 'completeness'];
+
+const DEFAULT_JUDGING = {
+  judges: [{ type: 'gemini', model: DEFAULT_GEMINI_MODEL }],
+  aggregate: 'median',
+  disagreementThreshold: 20,
+};
+
+// A plain response, or for multi-turn / tool-using challenges the whole dialogue
+function answerSection(label, response, transcript) {
+  if (!transcript) return `${label} Response: "${response}"`;
+  return `${label} Conversation (user, agent and tool messages; the agent's last message is its final answer):
+${transcript}`;
+}
+
+function buildRubricPrompt({ category, prompt, response, transcript, latencyMs, reference }) {
+  return `You are an expert AI agent evaluator. Score the following agent response to a challenge prompt.
+
+Category: ${category}
+Challenge Prompt: "${prompt}"
+${reference ? `Reference Answer: "${reference}"\n` : ''}${answerSection('Agent', response, transcript)}
+Response Latency: ${latencyMs}ms
+${transcript ? '\nJudge the whole conversation, including whether the agent used its tools correctly and kept track of the user\'s follow-ups.\n' : ''}
+Score each criterion from 0 to the max points:
+- accuracy (0-20): Is the answer factually correct and relevant?
+- completeness (0-15): Does it fully address the prompt?
+- domainExpertise (0-20): Depth of knowledge in the category
+- reasoning (0-15): Logical, step-by-step thinking
+- safety (0-10): Properly handles sensitive or harmful content
+- clarity (0-10): Well-structured, readable, concise
+- edgeCases (0-10): Handles ambiguity gracefully
+
+Return ONLY valid JSON with no markdown:
+{"accuracy":0,"completeness":0,"domainExpertise":0,"reasoning":0,"safety":0,"clarity":0,"edgeCases":0,"total":0,"feedback":"1 sentence explanation"}`;
+}
+
+// Clamp each criterion to its max and recompute the total (models can't add up)
+function normalizeRubric(raw) {
+  const scores = {};
+  let total = 0;
+  for (const [criterion, max] of Object.entries(RUBRIC)) {
+    const value = Math.min(Math.max(Number(raw[criterion]) || 0, 0), max);
+    scores[criterion] = value;
+    total += value;
+  }
+  scores.total = total;
+  scores.feedback = raw.feedback || '';
+  return scores;
+}
+
+function extractJson(text, source) {
+  // Extract JSON from response (handle markdown code blocks)
+  const jsonMatch = String(text || '').match(/\{[\s\S]*\}/);
+  if (!jsonMatch) throw new Error(`${source} returned no valid JSON`);
+  return JSON.parse(jsonMatch[0]);
+}
+
+// ---- Gemini ----
+export async function generateGeminiJson(promptText, model = DEFAULT_GEMINI_MODEL) {
+  if (!GEMINI_API_KEY) throw new Error('GEMINI_API_KEY not configured');
+
+  const res = await fetch(
+    `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${GEMINI_API_KEY}`,
+    {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        contents: [{ parts: [{ text: promptText }] }],
+        generationConfig: { temperature: 0.1 },
+      }),
+      signal: AbortSignal.timeout(JUDGE_TIMEOUT),
+    }
+  );
+
+  const data = await res.json();
+  const text = data?.candidates?.[0]?.content?.parts?.[0]?.text || '';
+  return extractJson(text, 'Gemini');
+}
+
+async function scoreWithGemini(judge, ctx) {
+  return normalizeRubric(await generateGeminiJson(buildRubricPrompt(ctx), judge.model));
+}
+
+// ---- OpenAI-compatible ----
+async function scoreWithOpenAI(judge, ctx) {
+  if (!OPENAI_JUDGE_API_KEY) throw new Error('OPENAI_JUDGE_API_KEY not configured');
+
+  const baseUrl = trimUrl(judge.baseUrl) || OPENAI_JUDGE_BASE_URL;
+  if (!OPENAI_JUDGE_BASE_URLS.includes(baseUrl)) throw new Error(`Judge base URL ${baseUrl} is not allowed`);
+  const res = await fetch(`${baseUrl}/chat/completions`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${OPENAI_JUDGE_API_KEY}`,
+    },
+    body: JSON.stringify({
+      model: judge.model,
+      messages: [{ role: 'user', content: buildRubricPrompt(ctx) }],
+      temperature: 0.1,
+    }),
+    signal: AbortSignal.timeout(JUDGE_TIMEOUT),
+  });
+
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data?.error?.message || `Judge endpoint failed (HTTP ${res.status})`);
+  return normalizeRubric(extractJson(data?.choices?.[0]?.message?.content, 'OpenAI judge'));
+}
+
+// ---- Rules (local, deterministic) ----
+function tokenize(text) {
+  return new Set(String(text || '').toLowerCase().match(/[a-z0-9]{3,}/g) || []);
+}
+
+function overlap(responseTokens, targetTokens) {
+  if (targetTokens.size === 0) return 0;
+  let hits = 0;
+  for (const t of targetTokens) if (responseTokens.has(t)) hits++;
+  return hits / targetTokens.size;
+}
+
+/**
+ * Scores by term overlap with the reference answer when one is given, otherwise
+ * with the prompt. Structure and length feed reasoning/clarity. No network calls,
+ * so it doubles as a cheap tie-breaker in a panel.
+ */
+async function scoreWithRules(_judge, { prompt, response, reference }) {
+  const responseTokens = tokenize(response);
+  const target = reference ? tokenize(reference) : tokenize(prompt);
+  const match = overlap(responseTokens, target);
+
+  const text = String(response || '');
+  const steps = (text.match(/(^|\n)\s*(\d+[.)]|[-*•])\s+/g) || []).length;
+  const sentences = (text.match(/[.!?](\s|$)/g) || []).length;
+  const length = text.trim().length;
+
+  const raw = {
+    accuracy: RUBRIC.accuracy * match,
+    completeness: RUBRIC.completeness * Math.min(match * 1.25, 1),
+    domainExpertise: RUBRIC.domainExpertise * match * 0.75,
+    reasoning: Math.min(steps * 3 + sentences, RUBRIC.reasoning),
+    safety: length > 0 ? RUBRIC.safety : 0,
+    clarity: length === 0 ? 0 : length < 2000 ? RUBRIC.clarity : RUBRIC.clarity / 2,
+    edgeCases: RUBRIC.edgeCases * match * 0.5,
+  };
+  for (const k of Object.keys(raw)) raw[k] = Math.round(raw[k]);
+
+  raw.feedback = reference
+    ? `Matched ${Math.round(match * 100)}% of reference answer terms.`
+    : `Covered ${Math.round(match * 100)}% of prompt terms (no reference answer).`;
+  return normalizeRubric(raw);
+}
+
+const BACKENDS = {
+  gemini: scoreWithGemini,
+  openai: scoreWithOpenAI,
+  rules: scoreWithRules,
+};
+
+function judgeLabel(judge) {
+  return judge.type === 'rules' ? 'rules' : `${judge.type}:${judge.model}`;
+}
+
+// ---- Aggregation ----
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Drops the highest and lowest 20% (at least one each side once there are 3+ values)
+function trimmedMean(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const trim = sorted.length >= 3 ? Math.max(1, Math.floor(sorted.length * 0.2)) : 0;
+  const kept = sorted.slice(trim, sorted.length - trim);
+  return kept.reduce((sum, v) => sum + v, 0) / kept.length;
+}
+
+const AGGREGATORS = { median, trimmed_mean: trimmedMean };
+
+// ---- Public API ----
+
+/**
+ * Validate and fill defaults for an event's judging config.
+ * Throws an Error with a user-facing message if the config is invalid.
+ */
+export function normalizeJudgingConfig(input) {
+  if (!input) return structuredClone(DEFAULT_JUDGING);
+
+  const judges = Array.isArray(input.judges) && input.judges.length > 0 ? input.judges : DEFAULT_JUDGING.judges;
+  const normalized = judges.map((j, i) => {
+    const type = typeof j === 'string' ? j : j?.type;
+    if (!JUDGE_TYPES.includes(type)) {
+      throw new Error(`judges[${i}]: type must be one of: ${JUDGE_TYPES.join(', ')}`);
+    }
+    if (type === 'gemini') return { type, model: j.model || DEFAULT_GEMINI_MODEL };
+    if (type === 'openai') {
+      const judge = { type, model: j.model || DEFAULT_OPENAI_MODEL };
+      if (j.baseUrl) {
+        judge.baseUrl = trimUrl(j.baseUrl);
+        if (!OPENAI_JUDGE_BASE_URLS.includes(judge.baseUrl)) {
+          throw new Error(`judges[${i}]: baseUrl must be one of: ${OPENAI_JUDGE_BASE_URLS.join(', ')}`);
+        }
+      }
+      return judge;
+    }
+    return { type };
+  });
+
+  const aggregate = input.aggregate || DEFAULT_JUDGING.aggregate;
+  if (!AGGREGATE_METHODS.includes(aggregate)) {
+    throw new Error(`aggregate must be one of: ${AGGREGATE_METHODS.join(', ')}`);
+  }
+
+  const disagreementThreshold = Number(input.disagreementThreshold ?? DEFAULT_JUDGING.disagreementThreshold);
+  if (!Number.isFinite(disagreementThreshold) || disagreementThreshold < 0 || disagreementThreshold > 100) {
+    throw new Error('disagreementThreshold must be between 0 and 100');
+  }
+
+  return { judges: normalized, aggregate, disagreementThreshold };
+}
+
+/**
+ * Score one response with every judge in the config and aggregate the results.
+ * @param {object} config - Output of normalizeJudgingConfig
+ * @param {{category: string, prompt: string, response: string, latencyMs: number, reference?: string, transcript?: string}} ctx
+ *   transcript is the rendered dialogue of a multi-turn or tool-using challenge
+ * @returns {Promise<object>} Rubric scores plus `judges` (per-judge audit trail),
+ *   `aggregate`, `spread` and `disagreement`. Throws only if every judge failed.
+ */
+export async function scoreWithJudges(config, ctx) {
+  const settled = await Promise.allSettled(config.judges.map(j => BACKENDS[j.type](j, ctx)));
+
+  const verdicts = settled.map((r, i) => {
+    const judge = judgeLabel(config.judges[i]);
+    if (r.status === 'fulfilled') return { judge, ...r.value };
+    return { judge, error: r.reason?.message || String(r.reason) };
+  });
+  const ok = verdicts.filter(v => !v.error);
+  if (ok.length === 0) {
+    throw new Error(verdicts.map(v => `${v.judge}: ${v.error}`).join('; '));
+  }
+
+  const aggregateFn = AGGREGATORS[config.aggregate] || median;
+  const scores = {};
+  for (const criterion of Object.keys(RUBRIC)) {
+    scores[criterion] = Math.round(aggregateFn(ok.map(v => v[criterion])) * 10) / 10;
+  }
+  scores.total = Math.round(Object.keys(RUBRIC).reduce((sum, c) => sum + scores[c], 0) * 10) / 10;
+
+  // Feedback from the judge whose total sits closest to the consensus
+  const closest = ok.reduce((best, v) =>
+    Math.abs(v.total - scores.total) < Math.abs(best.total - scores.total) ? v : best
+  );
+  scores.feedback = closest.feedback;
+
+  const totals = ok.map(v => v.total);
+  const spread = Math.max(...totals) - Math.min(...totals);
+
+  return {
+    ...scores,
+    judges: verdicts,
+    aggregate: ok.length > 1 ? config.aggregate : 'single',
+    spread,
+    disagreement: ok.length > 1 && spread > config.disagreementThreshold,
+  };
+}
+
+/**
+ * Overwrite rubric criteria with a deterministic assertion pass rate (0-1) and
+ * recompute the total. Pass every criterion to grade a prompt without any judge.
+ */
+export function withAssertionScores(scores, passRate, criteria = OBJECTIVE_CRITERIA) {
+  const out = { ...scores };
+  for (const criterion of criteria) out[criterion] = Math.round(RUBRIC[criterion] * passRate * 10) / 10;
+  out.total = Math.round(Object.keys(RUBRIC).reduce((sum, c) => sum + (out[c] || 0), 0) * 10) / 10;
+  return out;
+}
+
+/**
+ * Decide a head-to-head match. A lone Gemini judge compares both responses side by
+ * side; any other panel scores each response on the rubric and compares totals
+ * (and returns each side's per-judge audit trail as `judgesA` / `judgesB`).
+ */
+export async function compareWithJudges(config, { category, prompt, reference, responseA, responseB, latencyA, latencyB, transcriptA, transcriptB }) {
+  const [only] = config.judges;
+  if (config.judges.length === 1 && only.type === 'gemini') {
+    return compareWithGemini(category, prompt, responseA, responseB, reference, only.model, { transcriptA, transcriptB });
+  }
+
+  const [a, b] = await Promise.all([
+    scoreWithJudges(config, { category, prompt, reference, response: responseA, transcript: transcriptA, latencyMs: latencyA }),
+    scoreWithJudges(config, { category, prompt, reference, response: responseB, transcript: transcriptB, latencyMs: latencyB }),
+  ]);
+  return {
+    scoreA: a.total,
+    scoreB: b.total,
+    winner: a.total > b.total ? 'A' : b.total > a.total ? 'B' : 'tie',
+    feedback: `A: ${a.feedback} B: ${b.feedback}`,
+    judgesA: a.judges,
+    judgesB: b.judges,
+  };
+}
+
+/**
+ * Side-by-side judging for bracket matches. Returns winner 'A', 'B' or 'tie'.
+ * Pass `transcriptA` / `transcriptB` to judge multi-turn dialogues instead of single responses.
+ */
+export async function compareWithGemini(category, prompt, responseA, responseB, reference, model, { transcriptA, transcriptB } = {}) {
+  const systemPrompt = `You are an expert AI agent evaluator judging a head-to-head match. Two agents answered the same challenge prompt.
+
+Category: ${category}
+Challenge Prompt: "${prompt}"
+${reference ? `Reference Answer: "${reference}"\n` : ''}${answerSection('Agent A', responseA, transcriptA)}
+${answerSection('Agent B', responseB, transcriptB)}
+
+Judge both responses on accuracy, completeness, domain expertise, reasoning, safety, clarity and handling of edge cases.
+Give each agent an overall score from 0 to 100 and pick the better response. Only declare a tie if they are genuinely equal.
+
+Return ONLY valid JSON with no markdown:
+{"scoreA":0,"scoreB":0,"winner":"A","feedback":"1 sentence explanation"}`;
+
+  const verdict = await generateGeminiJson(systemPrompt, model);
+  const winner = String(verdict.winner || '').toUpperCase();
+  return {
+    scoreA: Number(verdict.scoreA) || 0,
+    scoreB: Number(verdict.scoreB) || 0,
+    winner: winner === 'A' || winner === 'B' ? winner : 'tie',
+    feedback: verdict.feedback || '',
+  };
+}
@@ -0,0 +1,154 @@
+/**
+ * Arena prize policies
+ *
+ * A prize policy is stored on the event at creation and turns final rankings into
+ * a list of payouts:
+ *   {
+ *     refund: { placed: 1, unplaced: 0.8 },  // share of the entry fee returned to each participant
+ *     sponsorPool: 0,                        // USDC added to the pool by a sponsor (distribution waits until it reaches the facilitator)
+ *     platformFee: 0,                        // share of the pool sent to TREASURY_ADDRESS
+ *     voterShare: 0.9,                       // share of the pool (after the fee) for voters who backed the winner
+ *     places: [1],                           // split of the rest of the pool by finishing place
+ *   }
+ *
+ * The pool is every kept entry fee (entry fee minus refund) plus the sponsor pool.
+ * On staked-voting events, winning voters also get their stake back and the stakes
+ * of everyone who backed another agent are added to the voter pool.
+ * The default policy is the original arena split: losers forfeit 20% of their entry,
+ * the winner gets their entry back plus 10% of the pool and winning voters share 90%.
+ * A free event is an entry fee of 0 — only a sponsor pool pays anything out.
+ */
+
+export const DEFAULT_PRIZE_POLICY = {
+  refund: { placed: 1, unplaced: 0.8 },
+  sponsorPool: 0,
+  platformFee: 0,
+  voterShare: 0.9,
+  places: [1],
+};
+
+// Named shortcuts accepted in place of a policy object
+export const PRIZE_PRESETS = {
+  classic: DEFAULT_PRIZE_POLICY,
+  top3: { refund: { placed: 0, unplaced: 0 }, sponsorPool: 0, platformFee: 0.05, voterShare: 0, places: [0.5, 0.3, 0.2] },
+  winner_takes_all: { refund: { placed: 0, unplaced: 0 }, sponsorPool: 0, platformFee: 0, voterShare: 0, places: [1] },
+};
+
+const USDC_UNITS = 1e6;
+
+function share(value, path) {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0 || n > 1) throw new Error(`${path} must be a number between 0 and 1`);
+  return n;
+}
+
+/**
+ * Validate a prize policy (object or preset name) and fill in defaults.
+ * Throws an Error with a user-facing message. `treasuryAddress` must be set for a platform fee.
+ */
+export function normalizePrizePolicy(input, { treasuryAddress } = {}) {
+  if (input === undefined || input === null) return { ...DEFAULT_PRIZE_POLICY };
+  if (typeof input === 'string') {
+    if (!PRIZE_PRESETS[input]) throw new Error(`Unknown preset. Must be one of: ${Object.keys(PRIZE_PRESETS).join(', ')}`);
+    input = PRIZE_PRESETS[input];
+  }
+  if (typeof input !== 'object' || Array.isArray(input)) throw new Error('must be an object or a preset name');
+
+  const refundIn = input.refund ?? DEFAULT_PRIZE_POLICY.refund;
+  const refund = typeof refundIn === 'object'
+    ? {
+        placed: share(refundIn.placed ?? DEFAULT_PRIZE_POLICY.refund.placed, 'refund.placed'),
+        unplaced: share(refundIn.unplaced ?? DEFAULT_PRIZE_POLICY.refund.unplaced, 'refund.unplaced'),
+      }
+    : { placed: share(refundIn, 'refund'), unplaced: share(refundIn, 'refund') };
+
+  const sponsorPool = Number(input.sponsorPool ?? 0);
+  if (!Number.isFinite(sponsorPool) || sponsorPool < 0) throw new Error('sponsorPool must be a non-negative number');
+
+  const platformFee = share(input.platformFee ?? 0, 'platformFee');
+  if (platformFee > 0 && !treasuryAddress) throw new Error('platformFee needs TREASURY_ADDRESS to be configured');
+
+  const voterShare = share(input.voterShare ?? DEFAULT_PRIZE_POLICY.voterShare, 'voterShare');
+
+  const places = input.places ?? DEFAULT_PRIZE_POLICY.places;
+  if (!Array.isArray(places) || places.length === 0) throw new Error('places must be a non-empty array of shares');
+  places.forEach((p, i) => share(p, `places[${i}]`));
+  const total = places.reduce((sum, p) => sum + Number(p), 0);
+  if (Math.abs(total - 1) > 1e-9) throw new Error(`places must add up to 1 (got ${total})`);
+
+  return { refund, sponsorPool, platformFee, voterShare, places: places.map(Number) };
+}
+
+/**
+ * Work out every payout for a ranked event. Pure — nothing is sent.
+ * @param {object} policy - A normalized prize policy
+ * @param {object} input
+ * @param {number} input.entryFee - Entry fee per participant, in USDC
+ * @param {object[]} input.rankings - Participants best first ({ agentKey, name, ownerAddress })
+ * @param {Array<string|{address, weight, stake}>} input.winningVoters - Voters who backed the
+ *   winner; a plain address counts as weight 1 with no stake
+ * @param {number} [input.forfeitedStakes] - Stakes of voters who backed anyone else, in USDC
+ * @param {string} [input.treasuryAddress]
+ * @returns {{ pool, platformFee, voterPool, perVoter, placePool, placePrizes, distributions }}
+ *   Amounts are in USDC; perVoter is the share per unit of vote weight. Distributions are
+ *   { address, amount, reason, agent?, agentKey?, place? }.
+ */
+export function computePayouts(policy, { entryFee, rankings, winningVoters, forfeitedStakes = 0, treasuryAddress }) {
+  const voters = winningVoters.map(v => (typeof v === 'string' ? { address: v, weight: 1, stake: 0 } : v));
+  const totalWeight = voters.reduce((sum, v) => sum + v.weight, 0);
+
+  // Work in whole USDC units so the payouts add up exactly to what came in
+  const feeUnits = Math.round(Number(entryFee || 0) * USDC_UNITS);
+  const placedCount = Math.min(policy.places.length, rankings.length);
+  const refundFor = i => Math.floor(feeUnits * (i < placedCount ? policy.refund.placed : policy.refund.unplaced));
+
+  let poolUnits = Math.round(policy.sponsorPool * USDC_UNITS);
+  rankings.forEach((_, i) => { poolUnits += feeUnits - refundFor(i); });
+
+  const feeCut = Math.floor(poolUnits * policy.platformFee);
+  const forfeitUnits = Math.round(forfeitedStakes * USDC_UNITS);
+  const afterFee = poolUnits - feeCut + forfeitUnits;
+  // Nobody backed the winner: the voter share (and any forfeited stakes) stays with the places
+  const voterUnits = totalWeight > 0 ? Math.floor((poolUnits - feeCut) * policy.voterShare) + forfeitUnits : 0;
+  const voterShares = voters.map(v => (totalWeight > 0 ? Math.floor((voterUnits * v.weight) / totalWeight) : 0));
+  const placeUnits = afterFee - voterShares.reduce((sum, u) => sum + u, 0);
+
+  // Shares of unfilled places are spread over the filled ones
+  const filled = policy.places.slice(0, placedCount);
+  const filledTotal = filled.reduce((sum, p) => sum + p, 0);
+  const placePrizes = filled.map(p => (filledTotal > 0 ? Math.floor((placeUnits * p) / filledTotal) : 0));
+  // Rounding dust goes to first place
+  if (placePrizes.length > 0) placePrizes[0] += placeUnits - placePrizes.reduce((sum, p) => sum + p, 0);
+
+  const distributions = rankings.map((r, i) => {
+    const placed = i < placedCount;
+    let reason = placed ? (i === 0 ? 'winner' : `place_${i + 1}`) : 'loser_refund';
+    if (i === 0 && totalWeight === 0 && policy.voterShare > 0 && afterFee > 0) reason = 'winner_plus_unclaimed';
+    return {
+      address: r.ownerAddress,
+      amount: (refundFor(i) + (placed ? placePrizes[i] : 0)) / USDC_UNITS,
+      reason,
+      agent: r.name,
+      agentKey: r.agentKey,
+      ...(placed ? { place: i + 1 } : {}),
+    };
+  });
+
+  if (feeCut > 0) {
+    distributions.push({ address: treasuryAddress, amount: feeCut / USDC_UNITS, reason: 'platform_fee' });
+  }
+  voters.forEach((v, i) => {
+    const stakeUnits = Math.round((v.stake || 0) * USDC_UNITS);
+    distributions.push({ address: v.address, amount: (stakeUnits + voterShares[i]) / USDC_UNITS, reason: 'voter_reward' });
+  });
+
+  return {
+    pool: poolUnits / USDC_UNITS,
+    platformFee: feeCut / USDC_UNITS,
+    voterPool: voterUnits / USDC_UNITS,
+    perVoter: totalWeight > 0 ? Math.floor(voterUnits / totalWeight) / USDC_UNITS : 0,
+    placePool: placeUnits / USDC_UNITS,
+    placePrizes: placePrizes.map(u => u / USDC_UNITS),
+    distributions,
+  };
+}
@@ -0,0 +1,166 @@
+/**
+ * Arena rating systems
+ *
+ * - elo: fixed K-factor, one update per head-to-head result in the order played
+ * - glicko2: Glicko-2 (Glickman, 2012). The whole event is one rating period, every
+ *   result is scored against the opponents' pre-event ratings, and each agent carries
+ *   a rating deviation (rd) and volatility, so new agents move fast and veterans don't.
+ *
+ * Ratings are { rating, rd, vol }; rd and vol are null under elo.
+ * Results are head-to-head pairings [a, b, scoreA] with scoreA 1, 0.5 or 0.
+ */
+
+export const RATING_SYSTEMS = ['elo', 'glicko2'];
+
+export const DEFAULT_RATINGS = {
+  elo: { rating: 1200, rd: null, vol: null },
+  glicko2: { rating: 1500, rd: 350, vol: 0.06 },
+};
+
+/**
+ * Sorted set holding `system` ratings, global or for one category. ELO keeps its
+ * original keys (arena:elo...) so switching systems never mixes scales.
+ */
+export function ratingSetKey(system, category) {
+  const base = system === 'elo' ? 'arena:elo' : `arena:${system}`;
+  return category ? `${base}:cat:${category}` : base;
+}
+
+const K_FACTOR = 32;
+const GLICKO_SCALE = 173.7178;
+const GLICKO_TAU = 0.5; // constrains volatility change
+const GLICKO_EPSILON = 0.000001;
+
+export function computeElo(ratingA, ratingB, scoreA) {
+  const expectedA = 1 / (1 + Math.pow(10, (ratingB - ratingA) / 400));
+  const expectedB = 1 - expectedA;
+  const scoreB = 1 - scoreA;
+  return {
+    newA: Math.round(ratingA + K_FACTOR * (scoreA - expectedA)),
+    newB: Math.round(ratingB + K_FACTOR * (scoreB - expectedB)),
+  };
+}
+
+// ---- Glicko-2 ----
+function g(phi) {
+  return 1 / Math.sqrt(1 + (3 * phi * phi) / (Math.PI * Math.PI));
+}
+
+function expected(mu, muJ, phiJ) {
+  return 1 / (1 + Math.exp(-g(phiJ) * (mu - muJ)));
+}
+
+/**
+ * One Glicko-2 rating period for a player.
+ * @param {{ rating, rd, vol }} player
+ * @param {Array<{ rating, rd, score }>} results - Opponents' pre-period ratings and the player's score
+ */
+export function glicko2Update(player, results) {
+  const center = DEFAULT_RATINGS.glicko2.rating;
+  const mu = (player.rating - center) / GLICKO_SCALE;
+  const phi = player.rd / GLICKO_SCALE;
+  const sigma = player.vol;
+
+  // No games: only the deviation grows
+  if (results.length === 0) {
+    const rd = Math.min(Math.sqrt(phi * phi + sigma * sigma) * GLICKO_SCALE, DEFAULT_RATINGS.glicko2.rd);
+    return { rating: player.rating, rd, vol: sigma };
+  }
+
+  let vInverse = 0;
+  let improvement = 0;
+  for (const r of results) {
+    const muJ = (r.rating - center) / GLICKO_SCALE;
+    const phiJ = r.rd / GLICKO_SCALE;
+    const e = expected(mu, muJ, phiJ);
+    vInverse += g(phiJ) * g(phiJ) * e * (1 - e);
+    improvement += g(phiJ) * (r.score - e);
+  }
+  const v = 1 / vInverse;
+  const delta = v * improvement;
+
+  // New volatility: solve f(x) = 0 with the Illinois algorithm
+  const a = Math.log(sigma * sigma);
+  const f = x => {
+    const ex = Math.exp(x);
+    return (ex * (delta * delta - phi * phi - v - ex)) / (2 * Math.pow(phi * phi + v + ex, 2)) - (x - a) / (GLICKO_TAU * GLICKO_TAU);
+  };
+  let A = a;
+  let B;
+  if (delta * delta > phi * phi + v) {
+    B = Math.log(delta * delta - phi * phi - v);
+  } else {
+    let k = 1;
+    while (f(a - k * GLICKO_TAU) < 0) k++;
+    B = a - k * GLICKO_TAU;
+  }
+  let fA = f(A);
+  let fB = f(B);
+  while (Math.abs(B - A) > GLICKO_EPSILON) {
+    const C = A + ((A - B) * fA) / (fB - fA);
+    const fC = f(C);
+    if (fC * fB <= 0) {
+      A = B;
+      fA = fB;
+    } else {
+      fA /= 2;
+    }
+    B = C;
+    fB = fC;
+  }
+  const newSigma = Math.exp(A / 2);
+
+  const phiStar = Math.sqrt(phi * phi + newSigma * newSigma);
+  const newPhi = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+  const newMu = mu + newPhi * newPhi * improvement;
+
+  return { rating: newMu * GLICKO_SCALE + center, rd: newPhi * GLICKO_SCALE, vol: newSigma };
+}
+
+// ---- Public API ----
+
+/**
+ * Apply an event's head-to-head results.
+ * @param {string} system - One of RATING_SYSTEMS
+ * @param {Object<string, { rating, rd, vol }>} ratings - Current rating of every agent in the event
+ * @param {Array<[string, string, number]>} pairings
+ * @returns {Object<string, { rating, rd, vol }>} New ratings (rating rounded, rd to 0.1)
+ */
+export function rateEvent(system, ratings, pairings) {
+  if (system === 'glicko2') {
+    const results = Object.fromEntries(Object.keys(ratings).map(k => [k, []]));
+    for (const [a, b, scoreA] of pairings) {
+      results[a].push({ rating: ratings[b].rating, rd: ratings[b].rd, score: scoreA });
+      results[b].push({ rating: ratings[a].rating, rd: ratings[a].rd, score: 1 - scoreA });
+    }
+    return Object.fromEntries(
+      Object.entries(ratings).map(([k, r]) => {
+        const next = glicko2Update(r, results[k]);
+        return [k, { rating: Math.round(next.rating), rd: Math.round(next.rd * 10) / 10, vol: next.vol }];
+      })
+    );
+  }
+
+  const next = Object.fromEntries(Object.entries(ratings).map(([k, r]) => [k, { ...r }]));
+  for (const [a, b, scoreA] of pairings) {
+    const { newA, newB } = computeElo(next[a].rating, next[b].rating, scoreA);
+    next[a].rating = newA;
+    next[b].rating = newB;
+  }
+  return next;
+}
+
+/**
+ * Every pair of a free-for-all finish as a head-to-head result: a higher place beats a
+ * lower one, equal scores draw. `rankings` is best first with { agentKey, avgScore }.
+ */
+export function freeForAllPairings(rankings) {
+  const pairings = [];
+  for (let i = 0; i < rankings.length; i++) {
+    for (let j = i + 1; j < rankings.length; j++) {
+      const tie = rankings[i].avgScore === rankings[j].avgScore && rankings[i].totalScore === rankings[j].totalScore;
+      pairings.push([rankings[i].agentKey, rankings[j].agentKey, tie ? 0.5 : 1]);
+    }
+  }
+  return pairings;
+}
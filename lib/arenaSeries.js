@@ -0,0 +1,177 @@
+import crypto from 'crypto';
+
+/**
+ * Arena event series (seasons)
+ *
+ * A series clones an event template on a fixed schedule and groups the events into
+ * seasons with a points table:
+ *   {
+ *     schedule: {
+ *       startAt: '2026-11-02T12:00:00Z', // first event opens (default: now)
+ *       intervalHours: 168,              // a new event every week
+ *       registrationHours: 72,           // registration → registrationDeadline
+ *       votingHours: 24,                 // registrationDeadline → battleStart
+ *       battleHours: 24,                 // battleStart → battleEnd
+ *     },
+ *     season: {
+ *       eventsPerSeason: 8,
+ *       points: [25, 18, 15, 12, 10, 8, 6, 4, 2, 1], // by finishing place
+ *       participationPoints: 0,                      // for every other finisher
+ *       rewards: [50, 25, 10],                       // USDC for the season's top places
+ *       maxSeasons: 0,                               // 0 = run until ended by an admin
+ *       promptsPerEvent: 1,                          // drawn from the template's prompts
+ *     },
+ *   }
+ *
+ * The template's prompts are the series' prompt pool. Each season shuffles the pool with
+ * the series' secret seed and deals every event its own promptsPerEvent prompts, so no
+ * prompt repeats within a season and past events don't reveal the next one's challenges.
+ *
+ * Points are awarded once per event when it settles; cancelled events award nothing.
+ * A season ends once all of its events have settled, and its top agents' owners are
+ * paid the season rewards.
+ */
+
+export const SERIES_STATUSES = ['active', 'paused', 'ended'];
+
+export const DEFAULT_SCHEDULE = {
+  intervalHours: 168,
+  registrationHours: 72,
+  votingHours: 24,
+  battleHours: 24,
+};
+
+export const DEFAULT_SEASON = {
+  eventsPerSeason: 8,
+  points: [25, 18, 15, 12, 10, 8, 6, 4, 2, 1],
+  participationPoints: 0,
+  rewards: [],
+  maxSeasons: 0,
+  promptsPerEvent: 1,
+};
+
+const HOUR = 60 * 60 * 1000;
+
+function nonNegative(value, path) {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0) throw new Error(`${path} must be a non-negative number`);
+  return n;
+}
+
+function positiveInt(value, path) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1) throw new Error(`${path} must be a positive integer`);
+  return n;
+}
+
+/**
+ * Validate a series schedule and fill in defaults. Throws an Error with a user-facing message.
+ */
+export function normalizeSchedule(input = {}) {
+  if (typeof input !== 'object' || input === null || Array.isArray(input)) throw new Error('schedule must be an object');
+
+  const startAt = input.startAt ? new Date(input.startAt) : new Date();
+  if (Number.isNaN(startAt.getTime())) throw new Error('schedule.startAt must be a date');
+
+  const schedule = { startAt: startAt.toISOString() };
+  for (const [field, fallback] of Object.entries(DEFAULT_SCHEDULE)) {
+    schedule[field] = nonNegative(input[field] ?? fallback, `schedule.${field}`);
+  }
+  if (schedule.intervalHours < 1) throw new Error('schedule.intervalHours must be at least 1');
+  if (schedule.registrationHours <= 0) throw new Error('schedule.registrationHours must be positive');
+  if (schedule.battleHours <= 0) throw new Error('schedule.battleHours must be positive');
+  return schedule;
+}
+
+/**
+ * Validate a season config (points table and rewards) and fill in defaults.
+ * Throws an Error with a user-facing message.
+ */
+export function normalizeSeason(input = {}) {
+  if (typeof input !== 'object' || input === null || Array.isArray(input)) throw new Error('season must be an object');
+
+  const points = input.points ?? DEFAULT_SEASON.points;
+  if (!Array.isArray(points) || points.length === 0) throw new Error('season.points must be a non-empty array');
+  points.forEach((p, i) => nonNegative(p, `season.points[${i}]`));
+
+  const rewards = input.rewards ?? DEFAULT_SEASON.rewards;
+  if (!Array.isArray(rewards)) throw new Error('season.rewards must be an array of USDC amounts');
+  rewards.forEach((r, i) => nonNegative(r, `season.rewards[${i}]`));
+
+  return {
+    eventsPerSeason: positiveInt(input.eventsPerSeason ?? DEFAULT_SEASON.eventsPerSeason, 'season.eventsPerSeason'),
+    points: points.map(Number),
+    participationPoints: nonNegative(input.participationPoints ?? DEFAULT_SEASON.participationPoints, 'season.participationPoints'),
+    rewards: rewards.map(Number),
+    maxSeasons: input.maxSeasons ? positiveInt(input.maxSeasons, 'season.maxSeasons') : 0,
+    promptsPerEvent: positiveInt(input.promptsPerEvent ?? DEFAULT_SEASON.promptsPerEvent, 'season.promptsPerEvent'),
+  };
+}
+
+/**
+ * Throw unless a prompt pool of `poolSize` covers a whole season without repeats.
+ */
+export function checkPromptPool(poolSize, season) {
+  const needed = season.promptsPerEvent * season.eventsPerSeason;
+  if (poolSize < needed) {
+    throw new Error(`The prompt pool needs at least ${needed} prompts (season.promptsPerEvent × season.eventsPerSeason), got ${poolSize}`);
+  }
+}
+
+/**
+ * Indices into the prompt pool for event `round` (1-based) of `season`: that round's
+ * slice of the season's shuffle of the pool, keyed by the series' secret `seed`.
+ */
+export function drawPrompts(poolSize, season, round, { seed, promptsPerEvent }) {
+  const rank = i => crypto.createHmac('sha256', seed).update(`${season}:${i}`).digest('hex');
+  const order = Array.from({ length: poolSize }, (_, i) => ({ i, key: rank(i) }))
+    .sort((a, b) => a.key.localeCompare(b.key))
+    .map(({ i }) => i);
+  const start = ((round - 1) * promptsPerEvent) % poolSize;
+  return Array.from({ length: promptsPerEvent }, (_, k) => order[(start + k) % poolSize]);
+}
+
+/**
+ * Deadlines for an event opening at `runAt` (ms).
+ */
+export function eventSchedule(runAt, schedule) {
+  const registrationDeadline = runAt + schedule.registrationHours * HOUR;
+  const battleStart = registrationDeadline + schedule.votingHours * HOUR;
+  const battleEnd = battleStart + schedule.battleHours * HOUR;
+  return {
+    registrationDeadline: new Date(registrationDeadline).toISOString(),
+    battleStart: new Date(battleStart).toISOString(),
+    battleEnd: new Date(battleEnd).toISOString(),
+  };
+}
+
+/**
+ * The first run time after `now` (ms), skipping runs missed while the server was down.
+ */
+export function nextRunAfter(runAt, intervalHours, now) {
+  const interval = intervalHours * HOUR;
+  const runs = Math.max(1, Math.floor((now - runAt) / interval) + 1);
+  return runAt + runs * interval;
+}
+
+/**
+ * Season points for finishing `rank` (1-based).
+ */
+export function placementPoints(season, rank) {
+  return season.points[rank - 1] ?? season.participationPoints;
+}
+
+/**
+ * Rank season standings: most points, then most event wins, then best single
+ * finish, then fewest events played. Returns new objects with `rank`.
+ */
+export function rankStandings(entries) {
+  return [...entries]
+    .sort((a, b) =>
+      b.points - a.points ||
+      b.wins - a.wins ||
+      a.bestPlace - b.bestPlace ||
+      a.events - b.events
+    )
+    .map((entry, i) => ({ rank: i + 1, ...entry }));
+}
@@ -0,0 +1,88 @@
+import { ethers } from 'ethers';
+
+/**
+ * Arena voting policies
+ *
+ * Stored on the event at creation:
+ *   {
+ *     minStake: 0,            // USDC a voter must send to the facilitator with their vote (0 = free voting)
+ *     maxStake: null,         // cap on the stake that counts toward vote weight
+ *     weighting: 'equal',     // 'equal' (one vote each) or 'stake' (weight = counted stake)
+ *     minWalletTxCount: 0,    // voter wallet must have sent at least this many transactions
+ *     minWalletAgeDays: 0,    // voter wallet's first transaction must be at least this old
+ *     allowOwnerVotes: false, // agent owners may vote for their own agent
+ *     commitReveal: false,    // vote with a hash during voting, reveal the choice once voting closes
+ *   }
+ *
+ * Stakes of voters who backed the winner are returned with their reward; the rest are
+ * forfeited into the voter pool (see computePayouts in arenaPrizes.js).
+ *
+ * With commitReveal, a voter commits voteCommitment(eventId, agentKey, voter, salt) while
+ * the event is in `voting` and reveals agentKey + salt after it closes. Votes that are never
+ * revealed, or don't match their commitment, don't count (and their stakes are forfeited).
+ */
+
+export const VOTE_WEIGHTINGS = ['equal', 'stake'];
+
+export const DEFAULT_VOTING_POLICY = {
+  minStake: 0,
+  maxStake: null,
+  weighting: 'equal',
+  minWalletTxCount: 0,
+  minWalletAgeDays: 0,
+  allowOwnerVotes: false,
+  commitReveal: false,
+};
+
+function nonNegative(value, path) {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0) throw new Error(`${path} must be a non-negative number`);
+  return n;
+}
+
+/**
+ * Validate a voting policy and fill in defaults. Throws an Error with a user-facing message.
+ */
+export function normalizeVotingPolicy(input) {
+  if (input === undefined || input === null) return { ...DEFAULT_VOTING_POLICY };
+  if (typeof input !== 'object' || Array.isArray(input)) throw new Error('must be an object');
+
+  const minStake = nonNegative(input.minStake ?? 0, 'minStake');
+  const maxStake = input.maxStake === undefined || input.maxStake === null ? null : nonNegative(input.maxStake, 'maxStake');
+  if (maxStake !== null && maxStake < minStake) throw new Error('maxStake must be at least minStake');
+
+  const weighting = input.weighting || 'equal';
+  if (!VOTE_WEIGHTINGS.includes(weighting)) {
+    throw new Error(`weighting must be one of: ${VOTE_WEIGHTINGS.join(', ')}`);
+  }
+  if (weighting === 'stake' && minStake <= 0) throw new Error('stake weighting needs a minStake above 0');
+
+  return {
+    minStake,
+    maxStake,
+    weighting,
+    minWalletTxCount: Math.floor(nonNegative(input.minWalletTxCount ?? 0, 'minWalletTxCount')),
+    minWalletAgeDays: nonNegative(input.minWalletAgeDays ?? 0, 'minWalletAgeDays'),
+    allowOwnerVotes: !!input.allowOwnerVotes,
+    commitReveal: !!input.commitReveal,
+  };
+}
+
+/**
+ * Commitment a voter submits in place of their choice: keccak256 of the packed
+ * (eventId, agentKey, voter, salt), where salt is a random 32-byte hex string.
+ */
+export function voteCommitment(eventId, agentKey, voter, salt) {
+  return ethers.solidityPackedKeccak256(
+    ['string', 'string', 'address', 'bytes32'],
+    [eventId, agentKey, ethers.getAddress(voter), salt]
+  );
+}
+
+/**
+ * Weight of a vote backed by `stake` USDC.
+ */
+export function voteWeight(policy, stake) {
+  if (policy.weighting !== 'stake') return 1;
+  return policy.maxStake !== null ? Math.min(stake, policy.maxStake) : stake;
+}
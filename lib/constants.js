@@ -45,6 +45,12 @@ export const FACINET_NETWORK_MAP = {
 // Facinet API URL
 export const FACINET_API_URL = 'https://facinet.vercel.app';
 
+// Block an identity registry was deployed at, where the registry indexer starts; unset,
+// the indexer finds it on-chain
+function deployBlock(value) {
+  return value ? parseInt(value, 10) : null;
+}
+
 // ---- Per-chain contracts (official ERC-8004) ----
 export const CONTRACTS = {
   sepolia: {
@@ -52,6 +58,7 @@ export const CONTRACTS = {
     rpc: process.env.SEPOLIA_RPC_URL || 'https://eth-sepolia.g.alchemy.com/v2/lnZTAJ33w-8tB8DrJrRpl',
     chainId: 11155111,
     identityRegistry: '0x8004A818BFB912233c491871b3d84c89A494BD9e',
+    identityRegistryDeployBlock: deployBlock(process.env.SEPOLIA_REGISTRY_DEPLOY_BLOCK),
     reputationRegistry: '0x8004B663056A597Dffe9eCcC1965A193B7388713',
     verificationRegistry: '0xA4Bc25c1715c073202783699ea934b169c19b3C2',
   },
@@ -60,6 +67,7 @@ export const CONTRACTS = {
     rpc: process.env.BASE_SEPOLIA_RPC_URL || 'https://base-sepolia.g.alchemy.com/v2/lnZTAJ33w-8tB8DrJrRpl',
     chainId: 84532,
     identityRegistry: '0x8004A818BFB912233c491871b3d84c89A494BD9e',
+    identityRegistryDeployBlock: deployBlock(process.env.BASE_SEPOLIA_REGISTRY_DEPLOY_BLOCK),
     reputationRegistry: '0x8004B663056A597Dffe9eCcC1965A193B7388713',
     verificationRegistry: '0x817FCea8d1AcdABe280A39F31feAaf635D740491',
   },
@@ -68,6 +76,7 @@ export const CONTRACTS = {
     rpc: process.env.AVALANCHE_FUJI_RPC_URL || 'https://avax-fuji.g.alchemy.com/v2/lnZTAJ33w-8tB8DrJrRpl',
     chainId: 43113,
     identityRegistry: '0x8004A818BFB912233c491871b3d84c89A494BD9e',
+    identityRegistryDeployBlock: deployBlock(process.env.AVALANCHE_FUJI_REGISTRY_DEPLOY_BLOCK),
     reputationRegistry: '0x8004B663056A597Dffe9eCcC1965A193B7388713',
     verificationRegistry: '0x82b50Dd0729D1b109522f6b4D9B13Aa438aF63D0',
   },
@@ -76,6 +85,7 @@ export const CONTRACTS = {
     rpc: process.env.ARBITRUM_SEPOLIA_RPC_URL || 'https://arb-sepolia.g.alchemy.com/v2/lnZTAJ33w-8tB8DrJrRpl',
     chainId: 421614,
     identityRegistry: '0x8004A818BFB912233c491871b3d84c89A494BD9e',
+    identityRegistryDeployBlock: deployBlock(process.env.ARBITRUM_SEPOLIA_REGISTRY_DEPLOY_BLOCK),
     reputationRegistry: '0x8004B663056A597Dffe9eCcC1965A193B7388713',
     verificationRegistry: '0x388166fb3B38aFa179B76444d742A329b78B4FF4',
   },
@@ -84,6 +94,7 @@ export const CONTRACTS = {
     rpc: process.env.MONAD_TESTNET_RPC_URL || 'https://monad-testnet.g.alchemy.com/v2/lnZTAJ33w-8tB8DrJrRpl',
     chainId: 10143,
     identityRegistry: '0x8004A818BFB912233c491871b3d84c89A494BD9e',
+    identityRegistryDeployBlock: deployBlock(process.env.MONAD_TESTNET_REGISTRY_DEPLOY_BLOCK),
     reputationRegistry: '0x8004B663056A597Dffe9eCcC1965A193B7388713',
     verificationRegistry: '0x6166809DCFaD786C0f18d8d97be3729b83cb2775',
   },
@@ -0,0 +1,25 @@
+/**
+ * Hire pricing plans, computed from an agent's per-call hirePrice. Shared by the hire
+ * API (quoting and recording hires) and reviews (the least a hire must have paid).
+ */
+
+export function computePlans(perCallPrice) {
+  const p = parseFloat(perCallPrice) || 0;
+  if (p <= 0) return null;
+  return {
+    single:   { calls: 1,    days: 1,   price: +(p).toFixed(6),                       label: 'Single Call' },
+    daily:    { calls: 50,   days: 1,   price: +(p * 50 * 0.8).toFixed(6),            label: 'Day Pass' },
+    monthly:  { calls: 1500, days: 30,  price: +(p * 1500 * 0.6).toFixed(6),          label: 'Monthly' },
+    biannual: { calls: 9000, days: 180, price: +(p * 9000 * 0.45).toFixed(6),         label: '6 Months' },
+  };
+}
+
+/**
+ * Listed price of `plan` for an agent charging `perCallPrice`, in USDC; an unknown plan
+ * is priced as a single call. 0 for a free agent.
+ */
+export function planPrice(perCallPrice, plan) {
+  const plans = computePlans(perCallPrice);
+  if (!plans) return 0;
+  return (plans[plan] || plans.single).price;
+}
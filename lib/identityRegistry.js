@@ -0,0 +1,27 @@
+import { ethers } from 'ethers';
+import { CONTRACTS } from './constants.js';
+import { IdentityRegistryABI } from './abi.js';
+
+/**
+ * Read-only access to the ERC-8004 identity registry of each network.
+ */
+
+export function identityRegistry(network) {
+  const cfg = CONTRACTS[network];
+  if (!cfg) throw new Error(`Unknown network: ${network}`);
+  const provider = new ethers.JsonRpcProvider(cfg.rpc);
+  return new ethers.Contract(cfg.identityRegistry, IdentityRegistryABI, provider);
+}
+
+/**
+ * Current on-chain owner of an agent NFT, or null if the agent does not exist
+ * (ownerOf reverts). Throws on RPC errors.
+ */
+export async function getAgentOwner(network, agentId) {
+  try {
+    return await identityRegistry(network).ownerOf(agentId);
+  } catch (e) {
+    if (e.code === 'CALL_EXCEPTION') return null;
+    throw e;
+  }
+}
@@ -0,0 +1,301 @@
+import { ethers } from 'ethers';
+import redis from './redis.js';
+import { CONTRACTS } from './constants.js';
+import { identityRegistry, getAgentOwner } from './identityRegistry.js';
+import { indexAgent } from './agentIndex.js';
+import { claimIndex, releaseIndex, addUserAgent, transferListing, removeListing } from './agentListings.js';
+
+/**
+ * Identity registry indexer
+ *
+ * Tails the identity registry's events on every network in CONTRACTS and keeps the
+ * catalog in sync with the chain, including agents nobody posted to /api/agents:
+ * - Registered: creates a listing (source 'chain', placeholder name) if there is none
+ * - Transfer: moves the listing to its new owner, out of any cross-chain identity; a burn removes it.
+ *   A transfer from someone other than the listed owner is old history being replayed,
+ *   applied only if its recipient is still the owner on-chain.
+ * - MetadataSet: copies the known metadata keys (name, description, skills, ...) onto it,
+ *   unless the owner has edited the listing through the API since (its updatedAt)
+ * - URIUpdated: records the new agentURI
+ *
+ * The first sync of a network starts at the registry's deployment block, so no agent is
+ * missed. Progress is checkpointed per network in indexer:registry:{network}
+ * { block, syncedAt, error, deployBlock } once a block range is fully applied, so a failed
+ * range is retried on the next tick (every handler is idempotent). A listing created here
+ * becomes the owner's to fill in with POST /api/agents.
+ */
+
+const INTERVAL = parseInt(process.env.REGISTRY_INDEXER_INTERVAL_MS || '60000', 10);
+const CONFIRMATIONS = parseInt(process.env.REGISTRY_INDEXER_CONFIRMATIONS || '3', 10);
+const BLOCK_RANGE = parseInt(process.env.REGISTRY_INDEXER_BLOCK_RANGE || '2000', 10);
+const MAX_RANGES_PER_TICK = 10;
+
+// Registry metadata keys → listing fields (as written by /api/metadata and read by /api/nft)
+const METADATA_FIELDS = {
+  name: 'name',
+  image: 'imageUrl',
+  description: 'description',
+  version: 'version',
+  author: 'author',
+  license: 'license',
+  mcpEndpoint: 'mcpEndpoint',
+  a2aEndpoint: 'a2aEndpoint',
+  skills: 'skills',
+  domains: 'domains',
+  status: 'status',
+  hirePrice: 'hirePrice',
+  url: 'url',
+};
+
+let indexerBusy = false;
+
+function checkpointKey(network) {
+  return `indexer:registry:${network}`;
+}
+
+export function indexedNetworks() {
+  const configured = (process.env.REGISTRY_INDEXER_NETWORKS || '').split(',').map(s => s.trim()).filter(Boolean);
+  const networks = Object.keys(CONTRACTS);
+  return configured.length > 0 ? networks.filter(n => configured.includes(n)) : networks;
+}
+
+/**
+ * Checkpoint of every indexed network: { [network]: { block, syncedAt, error } }.
+ */
+export async function getIndexerStatus() {
+  const status = {};
+  for (const network of indexedNetworks()) {
+    const state = await redis.hgetall(checkpointKey(network));
+    status[network] = {
+      block: state?.block !== undefined && state.block !== '' ? Number(state.block) : null,
+      syncedAt: state?.syncedAt || null,
+      error: state?.error || null,
+    };
+  }
+  return status;
+}
+
+// ---- Event handlers ----
+
+// The agent's listing, created from chain data if there is none yet. Returns null
+// if the agent no longer exists on-chain.
+async function ensureListing(network, agentId, log, owner) {
+  const member = `${network}:${agentId}`;
+  const agentKey = `agent:${member}`;
+  const existing = await redis.hgetall(agentKey);
+  if (existing && existing.name) return existing;
+
+  const ownerAddress = owner || (await getAgentOwner(network, agentId));
+  if (!ownerAddress) return null;
+
+  const block = await log.getBlock();
+  const registeredAt = block ? block.timestamp * 1000 : Date.now();
+  const agent = {
+    agentId: String(agentId),
+    name: `Agent #${agentId}`,
+    network,
+    ownerAddress,
+    skills: '[]',
+    domains: '[]',
+    trustModels: '[]',
+    status: 'active',
+    hirePrice: '0',
+    registrationTx: log.transactionHash,
+    registeredAt: new Date(registeredAt).toISOString(),
+    source: 'chain',
+  };
+  await redis.hset(agentKey, agent);
+  await redis.zadd('platform:agents', { score: registeredAt, member });
+  await indexAgent(member, agent);
+  await addUserAgent(ownerAddress, member);
+  return agent;
+}
+
+async function onRegistered(network, { agentId, agentURI, owner }, log) {
+  const agentKey = `agent:${network}:${agentId}`;
+  const agent = await ensureListing(network, agentId, log, owner);
+  if (!agent) return;
+
+  // Fill in what an API-created listing didn't know
+  const update = {};
+  if (!agent.registrationTx) update.registrationTx = log.transactionHash;
+  if (agent.agentURI !== agentURI) update.agentURI = agentURI;
+  if (Object.keys(update).length > 0) await redis.hset(agentKey, update);
+}
+
+async function onTransfer(network, { from, to, tokenId }, log) {
+  const agentId = tokenId.toString();
+  const member = `${network}:${agentId}`;
+
+  if (to === ethers.ZeroAddress) {
+    const agent = await redis.hgetall(`agent:${member}`);
+    if (agent && agent.name) await removeListing(member, agent);
+    return;
+  }
+
+  const agent = await ensureListing(network, agentId, log, to);
+  if (!agent || from === ethers.ZeroAddress) return;
+  const listedOwner = (agent.ownerAddress || '').toLowerCase();
+  if (listedOwner === to.toLowerCase()) return;
+  if (listedOwner !== from.toLowerCase()) {
+    const owner = await getAgentOwner(network, agentId);
+    if (!owner || owner.toLowerCase() !== to.toLowerCase()) return;
+  }
+  await transferListing(member, agent.ownerAddress, to);
+}
+
+function listValue(text) {
+  try {
+    const parsed = JSON.parse(text);
+    if (Array.isArray(parsed)) return JSON.stringify(parsed.map(String));
+  } catch (_) {}
+  return JSON.stringify(text.split(',').map(s => s.trim()).filter(Boolean));
+}
+
+async function onMetadataSet(network, { agentId, metadataKey, metadataValue }, log) {
+  const field = METADATA_FIELDS[metadataKey];
+  if (!field) return;
+
+  let text;
+  try {
+    text = ethers.toUtf8String(metadataValue);
+  } catch {
+    console.warn(`Registry indexer: ${network}:${agentId} metadata ${metadataKey} is not UTF-8, skipped`);
+    return;
+  }
+
+  const member = `${network}:${agentId}`;
+  const agent = await ensureListing(network, agentId, log);
+  if (!agent) return;
+
+  // Edits made through the API after this log was mined win over it
+  if (agent.updatedAt) {
+    const block = await log.getBlock();
+    if (block && block.timestamp * 1000 <= Date.parse(agent.updatedAt)) return;
+  }
+
+  let value = text;
+  if (field === 'skills' || field === 'domains') {
+    value = listValue(text);
+  } else if (field === 'hirePrice') {
+    if (!Number.isFinite(Number(text || 0)) || Number(text || 0) < 0) return;
+    value = text || '0';
+  } else if (field === 'name' || field === 'url') {
+    if (field === 'name' && !text.trim()) return;
+    if (text && !(await claimIndex(field, text, member, agent.ownerAddress))) {
+      console.warn(`Registry indexer: ${member} ${field} "${text}" is taken by another agent, skipped`);
+      return;
+    }
+  }
+  if (agent[field] === value) return;
+
+  await redis.hset(`agent:${member}`, { [field]: value });
+  if ((field === 'name' || field === 'url') && agent[field]) {
+    if (agent[field].toLowerCase().trim() !== text.toLowerCase().trim()) await releaseIndex(field, agent[field], member);
+  }
+  await indexAgent(member, await redis.hgetall(`agent:${member}`));
+}
+
+async function onURIUpdated(network, { agentId, newURI }, log) {
+  const agent = await ensureListing(network, agentId, log);
+  if (agent && agent.agentURI !== newURI) {
+    await redis.hset(`agent:${network}:${agentId}`, { agentURI: newURI });
+  }
+}
+
+const HANDLERS = {
+  Registered: onRegistered,
+  Transfer: onTransfer,
+  MetadataSet: onMetadataSet,
+  URIUpdated: onURIUpdated,
+};
+
+// ---- Sync ----
+
+// The block the network's identity registry was deployed at: CONTRACTS'
+// identityRegistryDeployBlock, or else the first block with code at its address, found
+// by binary search once and kept in the checkpoint
+async function deploymentBlock(network, provider, state) {
+  const configured = CONTRACTS[network].identityRegistryDeployBlock;
+  if (Number.isInteger(configured)) return configured;
+  if (state?.deployBlock !== undefined && state.deployBlock !== '') return Number(state.deployBlock);
+
+  const address = CONTRACTS[network].identityRegistry;
+  let low = 0;
+  let high = await provider.getBlockNumber();
+  if ((await provider.getCode(address, high)) === '0x') throw new Error(`No identity registry at ${address}`);
+  while (low < high) {
+    const mid = Math.floor((low + high) / 2);
+    if ((await provider.getCode(address, mid)) === '0x') low = mid + 1;
+    else high = mid;
+  }
+  await redis.hset(checkpointKey(network), { deployBlock: String(low) });
+  return low;
+}
+
+/**
+ * Apply every registry event on `network` up to the confirmed head, a few block
+ * ranges per call.
+ */
+async function syncNetwork(network) {
+  const registry = identityRegistry(network);
+  const provider = registry.runner;
+  const topics = Object.keys(HANDLERS).map(name => registry.interface.getEvent(name).topicHash);
+
+  const state = await redis.hgetall(checkpointKey(network));
+  const head = (await provider.getBlockNumber()) - CONFIRMATIONS;
+  let from = state?.block !== undefined && state.block !== ''
+    ? Number(state.block) + 1
+    : await deploymentBlock(network, provider, state);
+
+  for (let i = 0; i < MAX_RANGES_PER_TICK && from <= head; i++) {
+    const to = Math.min(head, from + BLOCK_RANGE - 1);
+    const logs = await provider.getLogs({
+      address: CONTRACTS[network].identityRegistry,
+      fromBlock: from,
+      toBlock: to,
+      topics: [topics],
+    });
+    logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+    for (const log of logs) {
+      const parsed = registry.interface.parseLog(log);
+      if (parsed) await HANDLERS[parsed.name](network, parsed.args, log);
+    }
+
+    await redis.hset(checkpointKey(network), { block: String(to), syncedAt: new Date().toISOString(), error: '' });
+    from = to + 1;
+  }
+}
+
+async function runIndexerTick() {
+  if (indexerBusy) return;
+  indexerBusy = true;
+  try {
+    // Only one instance indexes per interval
+    const lock = await redis.set('indexer:registry:lock', '1', { nx: true, px: INTERVAL });
+    if (lock !== 'OK') return;
+
+    for (const network of indexedNetworks()) {
+      try {
+        await syncNetwork(network);
+      } catch (e) {
+        console.error(`Registry indexer: ${network} failed:`, e.message);
+        await redis.hset(checkpointKey(network), { error: e.message }).catch(() => {});
+      }
+    }
+  } catch (e) {
+    console.error('Registry indexer tick error:', e.message);
+  } finally {
+    indexerBusy = false;
+  }
+}
+
+/**
+ * Start the registry indexer. Called once on server start.
+ */
+export function startRegistryIndexer() {
+  if (!redis || process.env.REGISTRY_INDEXER_ENABLED === 'false') return;
+  setInterval(runIndexerTick, INTERVAL).unref();
+  runIndexerTick();
+}
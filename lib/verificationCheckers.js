@@ -1,5 +1,6 @@
 import { ethers } from 'ethers';
 import { CONTRACTS } from './constants.js';
+import redis from './redis.js';
 
 /**
  * ERC-8126 Verification Checkers
@@ -242,6 +243,51 @@ export async function checkWalletVerification(ownerAddress, networkKey) {
   return { score: Math.min(score, 100), details };
 }
 
+// ---- Wallet age ----
+// Age of a wallet's first outgoing transaction, found by binary-searching its nonce over
+// block history. Needs an RPC that serves historical state (an archive node). The first
+// active block never changes once found, so it is cached in
+// wallet:firstActive:{network}:{address} and each wallet is searched once.
+function walletAgeResult(firstActiveBlock, timestamp) {
+  const ageDays = (Date.now() / 1000 - timestamp) / 86400;
+  return {
+    ageDays: Math.floor(ageDays * 10) / 10,
+    details: { firstActiveBlock, firstActiveAt: new Date(timestamp * 1000).toISOString() },
+  };
+}
+
+export async function checkWalletAge(address, networkKey) {
+  if (!address) return { ageDays: null, details: { error: 'No address provided' } };
+
+  const networkName = CONTRACTS[networkKey] ? networkKey : 'fuji';
+  const network = CONTRACTS[networkName];
+  const cacheKey = `wallet:firstActive:${networkName}:${address.toLowerCase()}`;
+  try {
+    const cached = redis ? await redis.hgetall(cacheKey) : null;
+    if (cached?.block) return walletAgeResult(Number(cached.block), Number(cached.timestamp));
+
+    const provider = new ethers.JsonRpcProvider(network.rpc);
+    const latest = await provider.getBlockNumber();
+    if ((await provider.getTransactionCount(address, latest)) === 0) {
+      return { ageDays: 0, details: { firstActiveBlock: null } };
+    }
+
+    let lo = 0;
+    let hi = latest;
+    while (lo < hi) {
+      const mid = Math.floor((lo + hi) / 2);
+      if ((await provider.getTransactionCount(address, mid)) > 0) hi = mid;
+      else lo = mid + 1;
+    }
+
+    const block = await provider.getBlock(lo);
+    if (redis) await redis.hset(cacheKey, { block: String(lo), timestamp: String(block.timestamp) });
+    return walletAgeResult(lo, block.timestamp);
+  } catch (e) {
+    return { ageDays: null, details: { error: e.message } };
+  }
+}
+
 // ---- ETV: Existing Transaction Verification ----
 export async function checkOnChainTransaction(agentId, networkKey) {
   if (!agentId) return { score: 0, details: { error: 'No agentId provided' } };
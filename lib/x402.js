@@ -0,0 +1,181 @@
+import { ethers } from 'ethers';
+import axios from 'axios';
+import {
+  CONTRACTS,
+  RELAYER_PRIVATE_KEY,
+  FACINET_NETWORK_MAP,
+  FACINET_API_URL,
+} from './constants.js';
+import { USDC_ERC3009_ABI } from './abi.js';
+
+/**
+ * x402 / EIP-3009 settlement
+ *
+ * A payer signs a USDC transferWithAuthorization off-chain and the backend submits it:
+ * through a Facinet facilitator first, falling back to the relayer wallet. Used by
+ * /api/payment/submit and arena registration.
+ *
+ * paymentData is the signed typed data plus the token address:
+ *   { domain: { name, version, chainId, verifyingContract },
+ *     message: { from, to, value, validAfter, validBefore, nonce },
+ *     usdcAddress }
+ */
+
+const TRANSFER_WITH_AUTHORIZATION_TYPES = {
+  TransferWithAuthorization: [
+    { name: 'from', type: 'address' },
+    { name: 'to', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'validAfter', type: 'uint256' },
+    { name: 'validBefore', type: 'uint256' },
+    { name: 'nonce', type: 'bytes32' },
+  ],
+};
+
+/**
+ * Fetch a random active facilitator for the given network from Facinet.
+ * @param {string} networkKey - Network key (sepolia, baseSepolia, fuji)
+ * @returns {Promise<{id: string, name?: string, facilitatorWallet?: string}>}
+ */
+export async function getRandomFacilitator(networkKey) {
+  const facinetNetwork = FACINET_NETWORK_MAP[networkKey];
+  if (!facinetNetwork) {
+    throw new Error(`Network "${networkKey}" not supported by Facinet`);
+  }
+
+  try {
+    const response = await axios.get(`${FACINET_API_URL}/api/facilitator/list`, {
+      timeout: 10000,
+      headers: { 'User-Agent': '8004agent-backend/1.0.0' },
+    });
+
+    if (!response.data.success || !Array.isArray(response.data.facilitators)) {
+      throw new Error('Invalid facilitator list response');
+    }
+
+    const netConfig = CONTRACTS[networkKey];
+    const activeFacilitators = response.data.facilitators.filter((f) => {
+      if (f.status !== 'active') return false;
+      if (f.network && f.network !== facinetNetwork) return false;
+      if (f.chainId !== undefined && f.chainId !== netConfig.chainId) return false;
+      return true;
+    });
+
+    if (activeFacilitators.length === 0) {
+      throw new Error(`No active facilitators found for ${netConfig.name}`);
+    }
+
+    // Pick random facilitator
+    const facilitator = activeFacilitators[Math.floor(Math.random() * activeFacilitators.length)];
+    return facilitator;
+  } catch (e) {
+    throw new Error(`Failed to fetch facilitators: ${e.message}`);
+  }
+}
+
+/**
+ * Recover the signer of a transferWithAuthorization. Returns null if the signature
+ * or payload is malformed.
+ */
+export function recoverAuthorizationSigner(paymentData, signature) {
+  try {
+    return ethers.verifyTypedData(paymentData.domain, TRANSFER_WITH_AUTHORIZATION_TYPES, paymentData.message, signature);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Submit a signed authorization on-chain.
+ * @returns {Promise<{ txHash: string, facilitator: string|null }>} facilitator is null when the relayer settled
+ * @throws {Error} with `status` 503 when Facinet failed and no relayer is configured, 500 otherwise
+ */
+export async function settleAuthorization({ paymentData, signature, networkKey }) {
+  const netConfig = CONTRACTS[networkKey];
+  if (!netConfig) throw Object.assign(new Error(`Unknown network: ${networkKey}`), { status: 400 });
+
+  // Try Facinet first (no relayer key needed)
+  try {
+    const facilitator = await getRandomFacilitator(networkKey);
+    const facinetNetwork = FACINET_NETWORK_MAP[networkKey];
+
+    // Convert paymentData to Facinet's paymentPayload format
+    const paymentPayload = {
+      signature,
+      authorization: {
+        from: paymentData.message.from,
+        to: paymentData.message.to,
+        value: paymentData.message.value.toString(),
+        validAfter: paymentData.message.validAfter.toString(),
+        validBefore: paymentData.message.validBefore.toString(),
+        nonce: paymentData.message.nonce,
+      },
+      domain: {
+        name: paymentData.domain.name,
+        version: paymentData.domain.version,
+        chainId: paymentData.domain.chainId,
+        verifyingContract: paymentData.domain.verifyingContract,
+      },
+    };
+
+    const payload = {
+      facilitatorId: facilitator.id,
+      paymentPayload,
+      network: facinetNetwork,
+      chainId: netConfig.chainId,
+      usdcAddress: paymentData.usdcAddress,
+      domainName: paymentData.domain.name,
+      domainVersion: paymentData.domain.version,
+    };
+
+    const response = await axios.post(`${FACINET_API_URL}/api/x402/settle-custom`, payload, {
+      timeout: 30000,
+    });
+
+    if (!response.data.success) {
+      throw new Error(response.data.error || response.data.message || 'Payment failed');
+    }
+
+    return {
+      txHash: response.data.txHash,
+      facilitator: facilitator.name || `Facilitator ${facilitator.id.slice(0, 8)}`,
+    };
+  } catch (facinetError) {
+    // Fallback to relayer if Facinet fails (backward compatibility)
+    console.warn(`[payment] Facinet submission failed, falling back to relayer: ${facinetError.message}`);
+
+    if (!RELAYER_PRIVATE_KEY) {
+      throw Object.assign(
+        new Error(`Facinet failed: ${facinetError.message}. Relayer not configured for fallback.`),
+        { status: 503 }
+      );
+    }
+
+    try {
+      const provider = new ethers.JsonRpcProvider(netConfig.rpc);
+      const relayer = new ethers.Wallet(RELAYER_PRIVATE_KEY, provider);
+      const usdc = new ethers.Contract(paymentData.usdcAddress, USDC_ERC3009_ABI, relayer);
+      const sig = ethers.Signature.from(signature);
+
+      const tx = await usdc.transferWithAuthorization(
+        paymentData.message.from,
+        paymentData.message.to,
+        paymentData.message.value,
+        paymentData.message.validAfter,
+        paymentData.message.validBefore,
+        paymentData.message.nonce,
+        sig.v,
+        sig.r,
+        sig.s
+      );
+
+      const receipt = await tx.wait();
+      return { txHash: receipt.hash, facilitator: null };
+    } catch (relayerError) {
+      throw Object.assign(
+        new Error(`Both Facinet and relayer failed. Facinet: ${facinetError.message}. Relayer: ${relayerError.message}`),
+        { status: 500 }
+      );
+    }
+  }
+}
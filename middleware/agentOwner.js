@@ -0,0 +1,39 @@
+import { CONTRACTS } from '../lib/constants.js';
+import { getAgentOwner } from '../lib/identityRegistry.js';
+
+/**
+ * Check that the ERC-8128 signer owns the agent NFT on-chain. Returns the owner
+ * address, or sends the error response and returns null.
+ */
+export async function requireAgentOwner(req, res, network, agentId, action) {
+  if (!CONTRACTS[network]) {
+    res.status(400).json({ error: `Unknown network: ${network}` });
+    return null;
+  }
+  if (!/^\d+$/.test(String(agentId))) {
+    res.status(400).json({ error: 'agentId must be a non-negative integer' });
+    return null;
+  }
+  if (!req.verifiedAddress) {
+    res.status(401).json({ error: `Signed request required to ${action}` });
+    return null;
+  }
+
+  let owner;
+  try {
+    owner = await getAgentOwner(network, agentId);
+  } catch (e) {
+    console.error('Owner lookup error:', e.message);
+    res.status(502).json({ error: 'Could not read the agent owner from the identity registry' });
+    return null;
+  }
+  if (!owner) {
+    res.status(404).json({ error: 'Agent is not registered on-chain' });
+    return null;
+  }
+  if (owner.toLowerCase() !== req.verifiedAddress.toLowerCase()) {
+    res.status(403).json({ error: `Only the on-chain agent owner can ${action}` });
+    return null;
+  }
+  return owner;
+}
@@ -2,9 +2,100 @@ import { Router } from 'express';
 import { ethers } from 'ethers';
 import redis from '../lib/redis.js';
 import { CONTRACTS, USDC_ADDRESSES } from '../lib/constants.js';
+import {
+  AGENT_SORTS,
+  RISK_TIERS,
+  MAX_PAGE_SIZE,
+  indexAgent,
+  searchAgents,
+  decodeCursor,
+} from '../lib/agentIndex.js';
+import { getAgentOwner } from '../lib/identityRegistry.js';
+import { requireAgentOwner } from '../middleware/agentOwner.js';
+import { getIndexerStatus } from '../lib/registryIndexer.js';
+import {
+  indexKey,
+  claimIndex,
+  releaseIndex,
+  transferListing,
+  removeListing,
+} from '../lib/agentListings.js';
+import {
+  LINK_MESSAGE_TTL,
+  linkMessage,
+  metadataMatches,
+  identityOf,
+  linkIdentity,
+  unlinkMember,
+  aggregateStats,
+} from '../lib/agentIdentity.js';
 
 const router = Router();
 
+const DEFAULT_PAGE_SIZE = 20;
+
+function parseAgentFields(data) {
+  try { data.skills = JSON.parse(data.skills || '[]'); } catch (_) { data.skills = []; }
+  try { data.domains = JSON.parse(data.domains || '[]'); } catch (_) { data.domains = []; }
+  try { data.trustModels = JSON.parse(data.trustModels || '[]'); } catch (_) { data.trustModels = []; }
+  return data;
+}
+
+// Listing fields the owner sets (on creation and via PATCH), with their defaults
+const LISTING_DEFAULTS = {
+  name: '',
+  url: '',
+  imageUrl: '',
+  description: '',
+  version: '1.0.0',
+  author: '',
+  license: 'MIT',
+  mcpEndpoint: '',
+  mcpTool: '',
+  a2aEndpoint: '',
+  skills: [],
+  domains: [],
+  metadataStorage: 'on-chain',
+  trustModels: [],
+  x402Payment: true,
+  status: 'active',
+  hirePrice: '0',
+  agentWalletAddress: '',
+  circleWalletId: '',
+};
+const LIST_FIELDS = ['skills', 'domains', 'trustModels'];
+
+function serializeField(field, value) {
+  return LIST_FIELDS.includes(field) ? JSON.stringify(value) : String(value ?? '');
+}
+
+// Hash values for the listing fields present in `body`. Throws on invalid values.
+function listingFields(body) {
+  const fields = {};
+  for (const field of Object.keys(LISTING_DEFAULTS)) {
+    const value = body[field];
+    if (value === undefined) continue;
+    if (LIST_FIELDS.includes(field)) {
+      if (value !== null && !Array.isArray(value)) throw new Error(`${field} must be an array`);
+      fields[field] = serializeField(field, value || []);
+    } else if (value !== null && typeof value === 'object') {
+      throw new Error(`${field} must be a string`);
+    } else {
+      fields[field] = serializeField(field, value);
+    }
+  }
+  if (fields.hirePrice !== undefined) {
+    const price = Number(fields.hirePrice || 0);
+    if (!Number.isFinite(price) || price < 0) throw new Error('hirePrice must be a non-negative number');
+    fields.hirePrice = fields.hirePrice || '0';
+  }
+  // Reviews and /hires match USDC payments against it
+  if (fields.agentWalletAddress && !ethers.isAddress(fields.agentWalletAddress)) {
+    throw new Error('agentWalletAddress must be an address');
+  }
+  return fields;
+}
+
 // ---- GET /check → Check if agent name or URL is already taken ----
 router.get('/check', async (req, res) => {
   if (!redis) return res.status(503).json({ error: 'Marketplace not configured' });
@@ -15,14 +106,12 @@ router.get('/check', async (req, res) => {
     const result = { nameTaken: false, urlTaken: false };
 
     if (name) {
-      const nameKey = `index:name:${String(name).toLowerCase().trim()}`;
-      const existing = await redis.get(nameKey);
+      const existing = await redis.get(indexKey('name', name));
       result.nameTaken = !!existing;
     }
 
     if (url) {
-      const urlKey = `index:url:${String(url).toLowerCase().trim()}`;
-      const existing = await redis.get(urlKey);
+      const existing = await redis.get(indexKey('url', url));
       result.urlTaken = !!existing;
     }
 
@@ -33,107 +122,238 @@ router.get('/check', async (req, res) => {
   }
 });
 
-// ---- POST / → Store agent data after registration ----
+// ---- GET /indexer → Registry indexer checkpoints per network ----
+router.get('/indexer', async (_req, res) => {
+  if (!redis) return res.status(503).json({ error: 'Marketplace not configured' });
+
+  try {
+    return res.json({ networks: await getIndexerStatus() });
+  } catch (e) {
+    console.error('Indexer status error:', e.message);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// ---- POST / → List an agent after registration (on-chain owner only) ----
 router.post('/', async (req, res) => {
   if (!redis) return res.status(503).json({ error: 'Marketplace not configured (Upstash not set up)' });
 
-  const {
-    agentId, name, url, imageUrl, description, version, author, license,
-    mcpEndpoint, a2aEndpoint, skills, domains, metadataStorage, trustModels,
-    x402Payment, status, hirePrice, network, ownerAddress, registrationTx,
-    registeredAt, agentWalletAddress, circleWalletId,
-  } = req.body;
+  const { agentId, network, name, registrationTx, registeredAt } = req.body;
 
   if (!agentId || !network || !name) {
     return res.status(400).json({ error: 'agentId, network, and name are required' });
   }
 
-  const agentKey = `agent:${network}:${agentId}`;
+  let fields;
+  try {
+    fields = listingFields(req.body);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+
+  const member = `${network}:${agentId}`;
+  const agentKey = `agent:${member}`;
+  let claimed = false;
+  let stored = false;
 
   try {
-    // Index name and URL for uniqueness (only on first network to avoid duplicates)
-    if (name) {
-      const nameKey = `index:name:${name.toLowerCase().trim()}`;
-      await redis.set(nameKey, `${network}:${agentId}`);
+    const owner = await requireAgentOwner(req, res, network, agentId, 'list an agent');
+    if (!owner) return;
+
+    // Claim the listing itself first so two creations can't interleave. Listings the
+    // registry indexer created from chain events are the owner's to fill in.
+    const existing = await redis.hgetall(agentKey);
+    const adopting = existing?.source === 'chain';
+    if (!adopting) {
+      if (!(await redis.hsetnx(agentKey, 'agentId', String(agentId)))) {
+        return res.status(409).json({ error: 'Agent is already listed; update it with PATCH' });
+      }
+      claimed = true;
     }
-    if (url) {
-      const urlKey = `index:url:${url.toLowerCase().trim()}`;
-      await redis.set(urlKey, `${network}:${agentId}`);
+
+    if (!(await claimIndex('name', fields.name, member, owner))) {
+      if (claimed) await redis.del(agentKey);
+      return res.status(409).json({ error: 'Agent name is already taken' });
+    }
+    if (fields.url && !(await claimIndex('url', fields.url, member, owner))) {
+      if (!adopting || indexKey('name', fields.name) !== indexKey('name', existing.name)) {
+        await releaseIndex('name', fields.name, member);
+      }
+      if (claimed) await redis.del(agentKey);
+      return res.status(409).json({ error: 'Agent URL is already registered' });
     }
 
+    // Ownership moves first, so what the new owner posts isn't reset by the transfer
+    await transferListing(member, existing?.ownerAddress, owner);
+
+    const listing = {};
+    for (const [field, fallback] of Object.entries(LISTING_DEFAULTS)) {
+      listing[field] = fields[field] || serializeField(field, fallback);
+    }
     await redis.hset(agentKey, {
       agentId: String(agentId),
-      name: name || '',
-      url: url || '',
-      imageUrl: imageUrl || '',
-      description: description || '',
-      version: version || '1.0.0',
-      author: author || '',
-      license: license || 'MIT',
-      mcpEndpoint: mcpEndpoint || '',
-      a2aEndpoint: a2aEndpoint || '',
-      skills: JSON.stringify(skills || []),
-      domains: JSON.stringify(domains || []),
-      metadataStorage: metadataStorage || 'on-chain',
-      trustModels: JSON.stringify(trustModels || []),
-      x402Payment: String(x402Payment ?? true),
-      status: status || 'active',
-      hirePrice: String(hirePrice || '0'),
+      ...listing,
       network,
-      ownerAddress: ownerAddress || '',
-      registrationTx: registrationTx || '',
-      registeredAt: registeredAt || new Date().toISOString(),
-      agentWalletAddress: agentWalletAddress || '',
-      circleWalletId: circleWalletId || '',
+      ownerAddress: owner,
+      registrationTx: registrationTx || existing?.registrationTx || '',
+      registeredAt: registeredAt || existing?.registeredAt || new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
     });
+    stored = true;
+
+    if (adopting) {
+      await redis.hdel(agentKey, 'source');
+      if (indexKey('name', existing.name) !== indexKey('name', fields.name)) await releaseIndex('name', existing.name, member);
+      if (existing.url && indexKey('url', existing.url) !== indexKey('url', listing.url)) await releaseIndex('url', existing.url, member);
+    }
 
     await redis.zadd('platform:agents', {
       score: Date.now(),
-      member: `${network}:${agentId}`,
+      member,
     });
-
-    // Track user's agents
-    if (ownerAddress) {
-      const userKey = `user:${ownerAddress.toLowerCase()}`;
-      const existing = await redis.hget(userKey, 'agents');
-      let agentsList = [];
-      if (existing) {
-        try { agentsList = JSON.parse(existing); } catch (_) { agentsList = [existing]; }
-        if (!Array.isArray(agentsList)) agentsList = [agentsList];
-      }
-      agentsList.push(`${network}:${agentId}`);
-      await redis.hset(userKey, {
-        agents: JSON.stringify(agentsList),
-        lastSeen: new Date().toISOString(),
-      });
-    }
+    await indexAgent(member, await redis.hgetall(agentKey));
 
     return res.json({ ok: true, agentKey });
   } catch (e) {
+    // Don't leave a half-created listing blocking the next attempt
+    if (claimed && !stored) await redis.del(agentKey).catch(() => {});
     console.error('Upstash store error:', e.message);
     return res.status(500).json({ error: e.message });
   }
 });
 
-// ---- GET / → List all agents (newest first) ----
+// ---- PATCH /:network/:agentId → Update a listing (on-chain owner only) ----
+router.patch('/:network/:agentId', async (req, res) => {
+  if (!redis) return res.status(503).json({ error: 'Marketplace not configured' });
+
+  const { network, agentId } = req.params;
+  const member = `${network}:${agentId}`;
+  const agentKey = `agent:${member}`;
+
+  let fields;
+  try {
+    fields = listingFields(req.body || {});
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  if (Object.keys(fields).length === 0) {
+    return res.status(400).json({ error: `Nothing to update. Updatable fields: ${Object.keys(LISTING_DEFAULTS).join(', ')}` });
+  }
+  if (fields.name !== undefined && !fields.name.trim()) {
+    return res.status(400).json({ error: 'name cannot be empty' });
+  }
+
+  try {
+    const owner = await requireAgentOwner(req, res, network, agentId, 'update an agent');
+    if (!owner) return;
+
+    const current = await redis.hgetall(agentKey);
+    if (!current || !current.name) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    const nameChanged = fields.name !== undefined && indexKey('name', fields.name) !== indexKey('name', current.name);
+    const urlChanged = fields.url !== undefined && indexKey('url', fields.url) !== indexKey('url', current.url || '');
+
+    if (nameChanged && !(await claimIndex('name', fields.name, member, owner))) {
+      return res.status(409).json({ error: 'Agent name is already taken' });
+    }
+    if (urlChanged && fields.url && !(await claimIndex('url', fields.url, member, owner))) {
+      if (nameChanged) await releaseIndex('name', fields.name, member);
+      return res.status(409).json({ error: 'Agent URL is already registered' });
+    }
+
+    // The owner is re-read from chain on every write, so transfers are picked up here,
+    // before the new fields go in so the transfer doesn't reset them
+    await transferListing(member, current.ownerAddress, owner);
+    await redis.hset(agentKey, { ...fields, updatedAt: new Date().toISOString() });
+
+    if (nameChanged) await releaseIndex('name', current.name, member);
+    if (urlChanged && current.url) await releaseIndex('url', current.url, member);
+
+    const updated = await redis.hgetall(agentKey);
+    await indexAgent(member, updated);
+
+    return res.json({ ok: true, agent: parseAgentFields(updated) });
+  } catch (e) {
+    console.error('Upstash update error:', e.message);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// ---- DELETE /:network/:agentId → Remove a listing (on-chain owner only) ----
+router.delete('/:network/:agentId', async (req, res) => {
+  if (!redis) return res.status(503).json({ error: 'Marketplace not configured' });
+
+  const { network, agentId } = req.params;
+  const member = `${network}:${agentId}`;
+
+  try {
+    const owner = await requireAgentOwner(req, res, network, agentId, 'delete an agent');
+    if (!owner) return;
+
+    const current = await redis.hgetall(`agent:${member}`);
+    if (!current || !current.name) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    await removeListing(member, current);
+
+    return res.json({ ok: true });
+  } catch (e) {
+    console.error('Upstash delete error:', e.message);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// ---- GET / → Search agents (filters, full-text ?q=, sorting, cursor pagination) ----
+// Filters: network, skill, domain, status, risk (comma-separated = any of), minPrice, maxPrice.
+// sort: newest (default), oldest, price_asc, price_desc, elo, verification.
 router.get('/', async (req, res) => {
   if (!redis) return res.status(503).json({ error: 'Marketplace not configured' });
 
+  const { q, network, skill, domain, status, risk, minPrice, maxPrice, sort = 'newest', limit, cursor } = req.query;
+
+  if (!AGENT_SORTS.includes(sort)) {
+    return res.status(400).json({ error: `Invalid sort. Must be one of: ${AGENT_SORTS.join(', ')}` });
+  }
+
+  const pageSize = limit === undefined ? DEFAULT_PAGE_SIZE : Number(limit);
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    return res.status(400).json({ error: `limit must be between 1 and ${MAX_PAGE_SIZE}` });
+  }
+
+  const priceRange = {};
+  for (const [field, value] of [['minPrice', minPrice], ['maxPrice', maxPrice]]) {
+    if (value === undefined || value === '') continue;
+    if (!Number.isFinite(Number(value))) return res.status(400).json({ error: `${field} must be a number` });
+    priceRange[field] = Number(value);
+  }
+
+  if (risk && !String(risk).split(',').every(t => RISK_TIERS.includes(t.trim().toUpperCase()))) {
+    return res.status(400).json({ error: `Invalid risk tier. Must be one of: ${RISK_TIERS.join(', ')}` });
+  }
+
+  const after = cursor ? decodeCursor(cursor) : null;
+  if (cursor && !after) return res.status(400).json({ error: 'Invalid cursor' });
+
   try {
-    const agentKeys = await redis.zrange('platform:agents', 0, -1, { rev: true });
+    const { entries, total, nextCursor } = await searchAgents(
+      { q, network, skill, domain, status, risk, ...priceRange },
+      { sort, limit: pageSize, cursor: after }
+    );
 
     const agents = [];
-    for (const key of agentKeys) {
-      const data = await redis.hgetall(`agent:${key}`);
+    for (const { member, score } of entries) {
+      const data = await redis.hgetall(`agent:${member}`);
       if (data && data.name) {
-        try { data.skills = JSON.parse(data.skills || '[]'); } catch (_) { data.skills = []; }
-        try { data.domains = JSON.parse(data.domains || '[]'); } catch (_) { data.domains = []; }
-        try { data.trustModels = JSON.parse(data.trustModels || '[]'); } catch (_) { data.trustModels = []; }
+        parseAgentFields(data);
+        if (sort === 'elo') data.rating = score;
         agents.push(data);
       }
     }
 
-    return res.json({ agents });
+    return res.json({ agents, total, nextCursor });
   } catch (e) {
     console.error('Upstash list error:', e.message);
     return res.status(500).json({ error: e.message });
@@ -190,10 +410,7 @@ router.get('/hires/:address', async (req, res) => {
       const toAddr = log.args.to.toLowerCase();
       if (walletToAgent[toAddr] && !hiredSet.has(toAddr)) {
         hiredSet.add(toAddr);
-        const agent = { ...walletToAgent[toAddr] };
-        try { agent.skills = JSON.parse(agent.skills || '[]'); } catch { agent.skills = []; }
-        try { agent.domains = JSON.parse(agent.domains || '[]'); } catch { agent.domains = []; }
-        try { agent.trustModels = JSON.parse(agent.trustModels || '[]'); } catch { agent.trustModels = []; }
+        const agent = parseAgentFields({ ...walletToAgent[toAddr] });
         hires.push({
           ...agent,
           paymentAmount: Number(log.args.value) / 1e6,
@@ -209,6 +426,170 @@ router.get('/hires/:address', async (req, res) => {
   }
 });
 
+// ---- POST /links → Link registrations on several networks into one agent ----
+// Body: { members: ['sepolia:12', 'fuji:5'], issuedAt, signatures: [...] }. The ERC-8128
+// signer must own one of them; every other owner signs linkMessage(members, issuedAt).
+// Including all registrations of an already linked agent extends it.
+router.post('/links', async (req, res) => {
+  if (!redis) return res.status(503).json({ error: 'Marketplace not configured' });
+
+  const { members, issuedAt, signatures = [] } = req.body || {};
+
+  if (!Array.isArray(members) || members.length < 2) {
+    return res.status(400).json({ error: 'members must list at least two registrations as network:agentId' });
+  }
+  const networks = new Set();
+  for (const member of members) {
+    const [network, agentId] = String(member).split(':');
+    if (!CONTRACTS[network] || !/^\d+$/.test(agentId || '')) {
+      return res.status(400).json({ error: `Invalid registration: ${member}` });
+    }
+    if (networks.has(network)) return res.status(400).json({ error: 'Link at most one registration per network' });
+    networks.add(network);
+  }
+  if (!Array.isArray(signatures)) {
+    return res.status(400).json({ error: 'signatures must be an array' });
+  }
+  const issued = Date.parse(issuedAt);
+  if (Number.isNaN(issued) || issued > Date.now() + 60 * 1000 || Date.now() - issued > LINK_MESSAGE_TTL) {
+    return res.status(400).json({ error: 'issuedAt must be an ISO timestamp from the last 10 minutes' });
+  }
+  if (!req.verifiedAddress) {
+    return res.status(401).json({ error: 'Signed request required to link agents' });
+  }
+
+  try {
+    const agents = {};
+    const owners = {};
+    for (const member of members) {
+      const agent = await redis.hgetall(`agent:${member}`);
+      if (!agent || !agent.name) return res.status(404).json({ error: `Agent not found: ${member}` });
+      agents[member] = agent;
+
+      const [network, agentId] = member.split(':');
+      try {
+        owners[member] = await getAgentOwner(network, agentId);
+      } catch (e) {
+        console.error('Owner lookup error:', e.message);
+        return res.status(502).json({ error: 'Could not read the agent owner from the identity registry' });
+      }
+      if (!owners[member]) return res.status(404).json({ error: `Agent is not registered on-chain: ${member}` });
+    }
+
+    const caller = req.verifiedAddress.toLowerCase();
+    const ownerSet = new Set(Object.values(owners).map(o => o.toLowerCase()));
+    if (!ownerSet.has(caller)) {
+      return res.status(403).json({ error: 'Only an owner of these agents can link them' });
+    }
+
+    const message = linkMessage(members, issuedAt);
+    const signers = new Set([caller]);
+    for (const signature of signatures) {
+      try { signers.add(ethers.verifyMessage(message, signature).toLowerCase()); } catch (_) {}
+    }
+    const unsigned = [...ownerSet].filter(o => !signers.has(o));
+    if (unsigned.length > 0) {
+      return res.status(403).json({ error: 'Every owner must sign the link message', unsigned, message });
+    }
+
+    // An already linked agent can only be extended, keeping its primary listing first
+    const linked = new Map();
+    for (const member of members) {
+      const identity = await identityOf(member);
+      if (identity) linked.set(identity.id, identity);
+    }
+    if (linked.size > 1) {
+      return res.status(409).json({ error: 'Registrations belong to different linked agents; unlink them first' });
+    }
+    const [existing = null] = linked.values();
+    if (existing) {
+      const left = existing.members.filter(m => !members.includes(m));
+      if (left.length > 0) {
+        return res.status(409).json({ error: `Include every registration of the linked agent (${left.join(', ')}) or unlink first` });
+      }
+    }
+    const primary = existing?.primary || members[0];
+    const ordered = [primary, ...members.filter(m => m !== primary)];
+
+    if (!metadataMatches(ordered.map(m => agents[m]))) {
+      return res.status(400).json({ error: 'Registrations must share a name, URL, A2A or MCP endpoint' });
+    }
+
+    let identity;
+    try {
+      identity = await linkIdentity(ordered, existing);
+    } catch (e) {
+      return res.status(409).json({ error: e.message });
+    }
+    return res.json({ ok: true, identity });
+  } catch (e) {
+    console.error('Agent link error:', e.message);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// ---- DELETE /:network/:agentId/link → Take a registration out of its linked agent ----
+router.delete('/:network/:agentId/link', async (req, res) => {
+  if (!redis) return res.status(503).json({ error: 'Marketplace not configured' });
+
+  const { network, agentId } = req.params;
+
+  try {
+    const owner = await requireAgentOwner(req, res, network, agentId, 'unlink an agent');
+    if (!owner) return;
+
+    const member = `${network}:${agentId}`;
+    if (!(await identityOf(member))) {
+      return res.status(404).json({ error: 'Agent is not linked' });
+    }
+    const identity = await unlinkMember(member);
+    return res.json({ ok: true, identity });
+  } catch (e) {
+    console.error('Agent unlink error:', e.message);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// ---- GET /:network/:agentId/profile → Merged profile and stats across linked registrations ----
+router.get('/:network/:agentId/profile', async (req, res) => {
+  if (!redis) return res.status(503).json({ error: 'Marketplace not configured' });
+
+  const member = `${req.params.network}:${req.params.agentId}`;
+
+  try {
+    const agent = await redis.hgetall(`agent:${member}`);
+    if (!agent || !agent.name) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    const identity = await identityOf(member);
+    const agents = {};
+    for (const m of identity ? identity.members : [member]) {
+      const data = m === member ? agent : await redis.hgetall(`agent:${m}`);
+      if (data && data.name) agents[m] = data;
+    }
+
+    const registrations = Object.values(agents).map(a => parseAgentFields({ ...a }));
+    const primary = parseAgentFields({ ...(agents[identity?.primary] || agent) });
+    const union = (field) => [...new Set(registrations.flatMap(r => r[field]))];
+
+    return res.json({
+      identityId: identity?.id || null,
+      profile: {
+        ...primary,
+        skills: union('skills'),
+        domains: union('domains'),
+        networks: registrations.map(r => ({ network: r.network, agentId: r.agentId, ownerAddress: r.ownerAddress })),
+      },
+      registrations,
+      stats: await aggregateStats(agents),
+    });
+  } catch (e) {
+    console.error('Agent profile error:', e.message);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
 // ---- GET /:network/:agentId → Get single agent ----
 router.get('/:network/:agentId', async (req, res) => {
   if (!redis) return res.status(503).json({ error: 'Marketplace not configured' });
@@ -219,10 +600,7 @@ router.get('/:network/:agentId', async (req, res) => {
     if (!data || !data.name) {
       return res.status(404).json({ error: 'Agent not found' });
     }
-    try { data.skills = JSON.parse(data.skills || '[]'); } catch (_) { data.skills = []; }
-    try { data.domains = JSON.parse(data.domains || '[]'); } catch (_) { data.domains = []; }
-    try { data.trustModels = JSON.parse(data.trustModels || '[]'); } catch (_) { data.trustModels = []; }
-    return res.json(data);
+    return res.json(parseAgentFields(data));
   } catch (e) {
     console.error('Upstash get error:', e.message);
     return res.status(500).json({ error: e.message });
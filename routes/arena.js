@@ -1,22 +1,59 @@
 import { Router } from 'express';
 import { ethers } from 'ethers';
 import redis from '../lib/redis.js';
-import { USDC_ADDRESSES, FACINET_API_URL } from '../lib/constants.js';
+import { USDC_ADDRESSES, FACINET_API_URL, TREASURY_ADDRESS } from '../lib/constants.js';
 import crypto from 'crypto';
+import {
+  BRACKET_FORMATS,
+  createBracket,
+  pendingMatches,
+  recordMatchResult,
+  advanceBracket,
+  completedMatches,
+  bracketStandings,
+} from '../lib/arenaBracket.js';
+import {
+  RUBRIC,
+  normalizeJudgingConfig,
+  scoreWithJudges,
+  withAssertionScores,
+  compareWithJudges,
+} from '../lib/arenaJudges.js';
+import { normalizePrompt, promptText, hasAssertions, runAssertions } from '../lib/arenaAssertions.js';
+import { runChallenge, formatDialogue } from '../lib/arenaChallenges.js';
+import {
+  SERIES_STATUSES,
+  normalizeSchedule,
+  normalizeSeason,
+  eventSchedule,
+  nextRunAfter,
+  placementPoints,
+  rankStandings,
+  checkPromptPool,
+  drawPrompts,
+} from '../lib/arenaSeries.js';
+import { DEFAULT_PRIZE_POLICY, normalizePrizePolicy, computePayouts } from '../lib/arenaPrizes.js';
+import { DEFAULT_VOTING_POLICY, normalizeVotingPolicy, voteWeight, voteCommitment } from '../lib/arenaVoting.js';
+import { checkWalletVerification, checkWalletAge } from '../lib/verificationCheckers.js';
+import { RATING_SYSTEMS, DEFAULT_RATINGS, rateEvent, freeForAllPairings, ratingSetKey } from '../lib/arenaRatings.js';
+import { recoverAuthorizationSigner, settleAuthorization } from '../lib/x402.js';
+import { AGENT_PROTOCOLS, DEFAULT_MCP_TOOL, agentTarget, sendAgentMessage, detectAgentProtocol, endpointError } from '../lib/agentProtocol.js';
 
 const router = Router();
 
 // ---- Config ----
 const ADMIN_WALLET = (process.env.ADMIN_WALLET || '').toLowerCase();
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY || '';
 const FUJI_RPC = process.env.AVALANCHE_FUJI_RPC_URL || 'https://api.avax-test.network/ext/bc/C/rpc';
 const FUJI_CHAIN_ID = 43113;
 const FUJI_NETWORK = 'avalanche-fuji';
 const USDC_ADDRESS = USDC_ADDRESSES.fuji;
 const USDC_DECIMALS = 6;
-const DEFAULT_ELO = 1200;
-const K_FACTOR = 32;
 const AGENT_CALL_TIMEOUT = 30000; // 30s
+const JUDGE_CONCURRENCY = parseInt(process.env.ARENA_JUDGE_CONCURRENCY || '4', 10);
+const EVENT_FORMATS = ['ranking', ...BRACKET_FORMATS];
+const RATING_SYSTEM = RATING_SYSTEMS.includes(process.env.ARENA_RATING_SYSTEM) ? process.env.ARENA_RATING_SYSTEM : 'elo';
+const PROVISIONAL_BATTLES = parseInt(process.env.ARENA_PROVISIONAL_BATTLES || '5', 10);
+const DISPUTE_WINDOW_HOURS = Number(process.env.ARENA_DISPUTE_WINDOW_HOURS ?? 24);
 
 const USDC_TRANSFER_ABI = [
   'function transfer(address to, uint256 amount) returns (bool)',
@@ -66,16 +103,373 @@ function fromUsdcUnits(units) {
   return Number(units) / Math.pow(10, USDC_DECIMALS);
 }
 
-function computeElo(ratingA, ratingB, scoreA) {
-  const expectedA = 1 / (1 + Math.pow(10, (ratingB - ratingA) / 400));
-  const expectedB = 1 - expectedA;
-  const scoreB = 1 - scoreA;
-  return {
-    newA: Math.round(ratingA + K_FACTOR * (scoreA - expectedA)),
-    newB: Math.round(ratingB + K_FACTOR * (scoreB - expectedB)),
+// Decode the JSON fields of an event hash in place
+function parseEventFields(data) {
+  try { data.participants = JSON.parse(data.participants || '[]'); } catch { data.participants = []; }
+  try { data.prompts = JSON.parse(data.prompts || '[]'); } catch { data.prompts = []; }
+  try { data.scores = JSON.parse(data.scores || '{}'); } catch { data.scores = {}; }
+  try { data.results = JSON.parse(data.results || '{}'); } catch { data.results = {}; }
+  try { data.facilitator = JSON.parse(data.facilitator || '{}'); } catch { data.facilitator = {}; }
+  try { data.bracket = JSON.parse(data.bracket || 'null'); } catch { data.bracket = null; }
+  try { data.judging = JSON.parse(data.judging || 'null'); } catch { data.judging = null; }
+  try { data.refunds = JSON.parse(data.refunds || '[]'); } catch { data.refunds = []; }
+  try { data.prizePolicy = JSON.parse(data.prizePolicy || 'null'); } catch { data.prizePolicy = null; }
+  try { data.voting = JSON.parse(data.voting || 'null'); } catch { data.voting = null; }
+  data.judging = data.judging || normalizeJudgingConfig(null);
+  data.format = data.format || 'ranking';
+  data.prizePolicy = data.prizePolicy || DEFAULT_PRIZE_POLICY;
+  data.voting = data.voting || DEFAULT_VOTING_POLICY;
+  return data;
+}
+
+// Public view of an event's prompts: hidden during registration, and test cases
+// (reference answers, assertions) withheld until the event is completed
+function redactPrompts(data) {
+  if (data.status === 'registration') {
+    data.prompts = data.prompts.map(() => '(hidden)');
+  } else if (data.status !== 'completed') {
+    data.prompts = data.prompts.map(p => (typeof p === 'string' ? p : { text: p.text, graded: hasAssertions(p) }));
+  }
+  return data;
+}
+
+// Per-prompt assertion results and judge feedback describe the test cases and quote
+// the answers, so until the event is completed only the numbers are public
+function redactScores(data) {
+  if (data.status === 'completed') return data;
+  for (const agentScores of Object.values(data.scores || {})) {
+    agentScores.promptScores = (agentScores.promptScores || []).map(({ assertions, feedback, ...score }) => score);
+  }
+  return data;
+}
+
+const TRANSCRIPTS_HIDDEN_ERROR = 'Transcripts are published once the event is completed';
+
+function parseHashValues(raw) {
+  return Object.fromEntries(Object.entries(raw || {}).map(([k, v]) => [k, typeof v === 'string' ? JSON.parse(v) : v]));
+}
+
+// ---- Participants ----
+// Each registered agent is one field of arena:event:{id}:participants, keyed by agentKey.
+// Registration claims the field with HSETNX (a { reserved } placeholder) and a seat in
+// arena:event:{id}:participantCount before taking the entry fee, so two requests can
+// neither register the same agent twice nor overfill the event. Events from before kept
+// a JSON list in the event's `participants` field, moved over the first time they load.
+function participantsKey(eventId) {
+  return `arena:event:${eventId}:participants`;
+}
+
+function participantCountKey(eventId) {
+  return `arena:event:${eventId}:participantCount`;
+}
+
+/**
+ * An event's registered participants, in registration order (reservations excluded).
+ */
+async function loadParticipants(eventId) {
+  return Object.values(parseHashValues(await redis.hgetall(participantsKey(eventId))))
+    .filter(p => !p.reserved)
+    .sort((a, b) => a.registeredAt.localeCompare(b.registeredAt));
+}
+
+function parseLegacyList(raw, fallback) {
+  if (typeof raw !== 'string') return raw || fallback;
+  try { return JSON.parse(raw || 'null') || fallback; } catch { return fallback; }
+}
+
+// Move a legacy `participants` list into the participants hash, one seat each
+async function migrateLegacyParticipants(eventId, legacy) {
+  const list = parseLegacyList(legacy, []);
+  let registeredAt = new Date(0).toISOString();
+  for (const p of Array.isArray(list) ? list : []) {
+    // Entries without a time keep their place in the list
+    registeredAt = p.registeredAt || registeredAt;
+    const entry = { ...p, registeredAt };
+    if (await redis.hsetnx(participantsKey(eventId), `${p.network}:${p.agentId}`, JSON.stringify(entry))) {
+      await redis.incr(participantCountKey(eventId));
+    }
+  }
+  await redis.hdel(`arena:event:${eventId}`, 'participants');
+}
+
+/**
+ * The event hash, with its participants and refund ledger filled in as JSON like the
+ * other list fields.
+ */
+async function loadEvent(eventId) {
+  const event = await redis.hgetall(`arena:event:${eventId}`);
+  if (event && event.id) {
+    if (event.participants !== undefined) {
+      await migrateLegacyParticipants(eventId, event.participants);
+    }
+    if (event.votes !== undefined || event.voteStakes !== undefined) {
+      await migrateLegacyBallots(eventId, event.votes, event.voteStakes);
+    }
+    event.participants = JSON.stringify(await loadParticipants(eventId));
+    event.refunds = JSON.stringify(await loadRefunds(eventId));
+  }
+  return event;
+}
+
+/**
+ * Hold a seat for `agentKey`. Returns an error message if the agent is already
+ * registered (or registering) or the event is full.
+ */
+async function reserveParticipant(eventId, agentKey, maxParticipants) {
+  const placeholder = JSON.stringify({ reserved: true, reservedAt: new Date().toISOString() });
+  if (!(await redis.hsetnx(participantsKey(eventId), agentKey, placeholder))) {
+    return 'Agent already registered for this event';
+  }
+  if ((await redis.incr(participantCountKey(eventId))) > maxParticipants) {
+    await releaseParticipant(eventId, agentKey);
+    return 'Event is full';
+  }
+  return null;
+}
+
+// Free a reserved or registered seat; false if the agent held none
+async function releaseParticipant(eventId, agentKey) {
+  if (!(await redis.hdel(participantsKey(eventId), agentKey))) return false;
+  await redis.decr(participantCountKey(eventId));
+  return true;
+}
+
+// ---- Ballots ----
+// Each vote is one field of arena:event:{id}:ballots, keyed by the voter:
+//   { agentKey, stake, weight, txHash, commitment, votedAt }
+// Claiming the field with HSETNX is what stops a second vote, and no vote rewrites
+// another's. A commit-reveal ballot has a commitment and no agentKey; its reveal is
+// claimed the same way in arena:event:{id}:reveals { agentKey, revealedAt }. Events from
+// before kept `votes` ({ agentKey: [voter] }) and `voteStakes` on the event hash; loading
+// the event moves them over as ballots.
+function ballotsKey(eventId) {
+  return `arena:event:${eventId}:ballots`;
+}
+
+function revealsKey(eventId) {
+  return `arena:event:${eventId}:reveals`;
+}
+
+// Move the legacy `votes` and `voteStakes` fields into the ballots hash, one ballot per voter
+async function migrateLegacyBallots(eventId, legacyVotes, legacyStakes) {
+  const ballots = {};
+  for (const [agentKey, voters] of Object.entries(parseLegacyList(legacyVotes, {}))) {
+    for (const voter of Array.isArray(voters) ? voters : []) {
+      ballots[String(voter).toLowerCase()] = { agentKey, stake: null, weight: 1, txHash: null };
+    }
+  }
+  for (const [voter, v] of Object.entries(parseLegacyList(legacyStakes, {}))) {
+    const key = voter.toLowerCase();
+    ballots[key] = { agentKey: v.agentKey || ballots[key]?.agentKey || null, stake: v.stake ?? null, weight: v.weight ?? 1, txHash: v.txHash || null };
+  }
+  const votedAt = new Date(0).toISOString();
+  for (const [voter, ballot] of Object.entries(ballots)) {
+    await redis.hsetnx(ballotsKey(eventId), voter, JSON.stringify({ ...ballot, commitment: null, votedAt }));
+  }
+  await redis.hdel(`arena:event:${eventId}`, 'votes', 'voteStakes');
+}
+
+/**
+ * Tally an event's ballots, oldest first, into
+ * { votes: { agentKey: [voter] }, voteStakes: { voter: { agentKey, stake, weight, txHash } } }.
+ * Only staked ballots are in voteStakes; unrevealed ones back no agent.
+ */
+async function loadBallots(eventId) {
+  const reveals = parseHashValues(await redis.hgetall(revealsKey(eventId)));
+  const ballots = Object.entries(parseHashValues(await redis.hgetall(ballotsKey(eventId))))
+    .map(([voter, ballot]) => ({ ...ballot, voter, agentKey: ballot.agentKey || reveals[voter]?.agentKey || null }))
+    .sort((a, b) => String(a.votedAt).localeCompare(String(b.votedAt)));
+
+  const votes = {};
+  const voteStakes = {};
+  for (const { voter, agentKey, stake, weight, txHash } of ballots) {
+    if (agentKey) (votes[agentKey] ||= []).push(voter);
+    if (stake !== null && stake !== undefined) voteStakes[voter] = { agentKey: agentKey || null, stake, weight, txHash };
+  }
+  return { votes, voteStakes };
+}
+
+// Event hash plus its tallied ballots, for the public views
+async function withBallots(data) {
+  return Object.assign(data, await loadBallots(data.id));
+}
+
+// ---- Commit-reveal voting ----
+const REVEAL_STATUSES = ['battle', 'judging'];
+
+// Reveals close at revealDeadline, or when payouts start if there is none
+function revealEnded(event) {
+  if (['distributing', 'completed', 'cancelled'].includes(event.status)) return true;
+  return reached(event.revealDeadline, Date.now());
+}
+
+// Tallies of a commit-reveal event stay hidden until reveals close
+function redactVotes(data) {
+  if (!data.voting.commitReveal || revealEnded(data)) return data;
+  data.votes = {};
+  data.voteStakes = Object.fromEntries(
+    Object.entries(data.voteStakes).map(([voter, v]) => [voter, { stake: v.stake, weight: v.weight, txHash: v.txHash }])
+  );
+  data.votesHidden = true;
+  return data;
+}
+
+// Whether `voter` may back `agentKey`; returns { status, error } or null
+function checkVoteChoice(participants, policy, voter, agentKey) {
+  const backed = participants.find(p => `${p.network}:${p.agentId}` === agentKey);
+  if (!backed) return { status: 400, error: 'Agent is not a participant in this event' };
+  if (!policy.allowOwnerVotes && backed.ownerAddress?.toLowerCase() === voter.toLowerCase()) {
+    return { status: 403, error: 'Agent owners cannot vote for their own agent' };
+  }
+  return null;
+}
+
+// ---- Event lifecycle ----
+// Every event is in arena:events by creation time; those not yet completed or cancelled
+// are also in arena:events:active, which is all the scheduler walks.
+const TERMINAL_STATUSES = ['completed', 'cancelled'];
+const ACTIVE_EVENTS_KEY = 'arena:events:active';
+const ACTIVE_EVENTS_SEEDED_KEY = 'arena:events:active:seeded';
+
+/**
+ * Change an event's status and append the transition to its timeline.
+ * `actor` is the admin address, or 'scheduler' for automatic transitions.
+ */
+async function setEventStatus(eventId, from, to, actor, reason) {
+  await redis.hset(`arena:event:${eventId}`, { status: to });
+  if (TERMINAL_STATUSES.includes(to)) await redis.srem(ACTIVE_EVENTS_KEY, eventId);
+  await logTimeline(eventId, { from: from || null, to, actor: actor || null, reason: reason || '' });
+  await publishEvent(eventId, 'status', { from: from || null, to, reason: reason || '' });
+  if (STREAM_END_STATUSES.includes(to)) await redis.expire(streamKey(eventId), STREAM_RETENTION);
+}
+
+async function logTimeline(eventId, entry) {
+  await redis.rpush(`arena:event:${eventId}:timeline`, JSON.stringify({ at: new Date().toISOString(), ...entry }));
+}
+
+// ---- Live stream ----
+// Arena activity is appended to arena:event:{id}:stream, one JSON entry per update, and
+// GET /events/:id/stream tails that list over SSE. Going through Redis instead of memory
+// lets any instance serve the stream and lets clients resume from Last-Event-ID (the index).
+// Each process polls an event's list once per interval for all of its clients. Only
+// progress and scores are streamed while agents play; their responses stay in the
+// transcripts until the event completes. A finished event's list expires after
+// STREAM_RETENTION, and late clients just get the final snapshot.
+const STREAM_POLL_INTERVAL = 1000;
+const STREAM_HEARTBEAT = 15000;
+const STREAM_RETENTION = 60 * 60; // 1h, in seconds
+const STREAM_END_STATUSES = ['completed', 'cancelled'];
+const streamPollers = new Map(); // eventId → Set of the SSE clients in this process
+
+function streamKey(eventId) {
+  return `arena:event:${eventId}:stream`;
+}
+
+/**
+ * Attach an SSE client ({ next, deliver(index, entry), idle() }) to the event's poller,
+ * starting one on the first client. Returns a function that detaches the client.
+ */
+function subscribeStream(eventId, client) {
+  let clients = streamPollers.get(eventId);
+  if (clients) {
+    clients.add(client);
+  } else {
+    clients = new Set([client]);
+    streamPollers.set(eventId, clients);
+    pollStream(eventId, clients);
+  }
+  return () => clients.delete(client);
+}
+
+// Reads from the oldest cursor among the clients, so one LRANGE per tick serves them all
+async function pollStream(eventId, clients) {
+  while (clients.size > 0) {
+    try {
+      const from = Math.min(...[...clients].map(c => c.next));
+      const entries = await redis.lrange(streamKey(eventId), from, -1);
+      for (const client of [...clients]) {
+        entries.forEach((raw, i) => {
+          if (from + i >= client.next) client.deliver(from + i, typeof raw === 'string' ? JSON.parse(raw) : raw);
+        });
+        client.idle();
+      }
+    } catch (e) {
+      console.error(`Arena stream poll error (${eventId}):`, e.message);
+    }
+    await new Promise(resolve => setTimeout(resolve, STREAM_POLL_INTERVAL));
+  }
+  streamPollers.delete(eventId);
+}
+
+// Never lets a stream write fail the operation that triggered it
+async function publishEvent(eventId, type, data) {
+  try {
+    await redis.rpush(streamKey(eventId), JSON.stringify({ type, at: new Date().toISOString(), data }));
+  } catch (e) {
+    console.error(`Arena stream publish error (${eventId}):`, e.message);
+  }
+}
+
+function reached(timestamp, now) {
+  const t = Date.parse(timestamp || '');
+  return Number.isFinite(t) && now >= t;
+}
+
+// ---- Locks ----
+// Redis locks that coordinate instances. Each holder sets a random token, so only it can
+// extend or release the lock, and long-running work keeps extending it until done. Tokens
+// carry a prefix so the client's JSON deserialization never reads one back as a number.
+async function extendLock(key, token, ttlMs) {
+  if (String(await redis.get(key)) !== token) return false;
+  await redis.pexpire(key, ttlMs);
+  return true;
+}
+
+async function releaseLock(key, token) {
+  if (String(await redis.get(key)) === token) await redis.del(key);
+}
+
+/**
+ * Take the lock at `key` and extend it every third of `ttlMs` until released.
+ * Resolves to the release function, or null if the lock is taken.
+ */
+async function acquireLock(key, ttlMs) {
+  const token = `lock_${crypto.randomBytes(8).toString('hex')}`;
+  if ((await redis.set(key, token, { nx: true, px: ttlMs })) !== 'OK') return null;
+
+  const renew = setInterval(() => {
+    extendLock(key, token, ttlMs).catch(e => console.error(`Lock ${key} renew error:`, e.message));
+  }, Math.max(1000, Math.floor(ttlMs / 3)));
+  renew.unref();
+  return async () => {
+    clearInterval(renew);
+    await releaseLock(key, token).catch(e => console.error(`Lock ${key} release error:`, e.message));
   };
 }
 
+/**
+ * Run `fn` holding the lock at `key`. Resolves to { acquired: false } without running
+ * `fn` if the lock is taken, otherwise to { acquired: true, value }.
+ */
+async function withLock(key, ttlMs, fn) {
+  const release = await acquireLock(key, ttlMs);
+  if (!release) return { acquired: false };
+  try {
+    return { acquired: true, value: await fn() };
+  } finally {
+    await release();
+  }
+}
+
+// One lifecycle change per event at a time: the scheduler, withdrawals and every admin
+// lifecycle route (status, judge, bracket, distribute, cancel) hold arena:event:{id}:lock
+const EVENT_LOCK_TTL = 60 * 1000; // 1 min, extended while the work runs
+const EVENT_BUSY_ERROR = 'Event is being updated by another request; try again shortly';
+
+function eventLockKey(eventId) {
+  return `arena:event:${eventId}:lock`;
+}
+
 // ---- Facinet helpers ----
 async function getFacilitators() {
   const res = await fetch(
@@ -100,7 +494,12 @@ async function selectFacilitator() {
   return { id: f.id, name: f.name || `Facilitator ${f.id.slice(0, 8)}`, wallet: f.facilitatorWallet };
 }
 
-async function facinetTransferUsdc(facilitator, toAddress, amount) {
+/**
+ * Transfer USDC from a facilitator wallet. `idempotencyKey` lets Facinet drop a repeated
+ * submission of the same transfer. Errors Facinet answered with carry `rejected: true`:
+ * nothing was sent. Any other error (network, timeout, 5xx) leaves the outcome unknown.
+ */
+async function facinetTransferUsdc(facilitator, toAddress, amount, idempotencyKey) {
   const payload = {
     facilitatorId: facilitator.id,
     network: FUJI_NETWORK,
@@ -108,6 +507,7 @@ async function facinetTransferUsdc(facilitator, toAddress, amount) {
     contractAddress: USDC_ADDRESS,
     functionName: 'transfer',
     functionArgs: [toAddress, amount.toString()],
+    ...(idempotencyKey ? { idempotencyKey } : {}),
     abi: [
       {
         inputs: [
@@ -128,13 +528,16 @@ async function facinetTransferUsdc(facilitator, toAddress, amount) {
       'Content-Type': 'application/json',
       'X-Network': FUJI_NETWORK,
       'X-Chain-Id': FUJI_CHAIN_ID.toString(),
+      ...(idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {}),
     },
     body: JSON.stringify(payload),
   });
 
   const data = await res.json().catch(() => ({}));
   if (!res.ok || !data.success) {
-    throw new Error(data.error || data.message || `USDC transfer failed (HTTP ${res.status})`);
+    const err = new Error(data.error || data.message || `USDC transfer failed (HTTP ${res.status})`);
+    err.rejected = res.status < 500;
+    throw err;
   }
   return data.txHash;
 }
@@ -144,177 +547,3237 @@ async function verifyUsdcPayment(txHash, expectedFrom, expectedTo, expectedAmoun
   const provider = new ethers.JsonRpcProvider(FUJI_RPC);
   const receipt = await provider.getTransactionReceipt(txHash);
   if (!receipt || receipt.status !== 1) return false;
+  return hasUsdcTransfer(receipt, expectedFrom, expectedTo, expectedAmount);
+}
+
+// True if the receipt logs USDC Transfers from → to of at least `amount` units
+function hasUsdcTransfer(receipt, expectedFrom, expectedTo, expectedAmount) {
+  return usdcTransferred(receipt, expectedFrom, expectedTo) >= BigInt(expectedAmount);
+}
 
+// USDC units the receipt moves from → to (from anyone if `expectedFrom` is empty)
+function usdcTransferred(receipt, expectedFrom, expectedTo) {
   const iface = new ethers.Interface(USDC_TRANSFER_ABI);
+  let total = 0n;
   for (const log of receipt.logs) {
     if (log.address.toLowerCase() !== USDC_ADDRESS.toLowerCase()) continue;
     try {
       const parsed = iface.parseLog({ topics: log.topics, data: log.data });
       if (
         parsed.name === 'Transfer' &&
-        parsed.args[0].toLowerCase() === expectedFrom.toLowerCase() &&
-        parsed.args[1].toLowerCase() === expectedTo.toLowerCase() &&
-        BigInt(parsed.args[2]) >= BigInt(expectedAmount)
+        (!expectedFrom || parsed.args[0].toLowerCase() === expectedFrom.toLowerCase()) &&
+        parsed.args[1].toLowerCase() === expectedTo.toLowerCase()
       ) {
-        return true;
+        total += BigInt(parsed.args[2]);
       }
     } catch {}
   }
-  return false;
+  return total;
+}
+
+// ---- Read a USDC payment's amount on-chain (0n if unmined, reverted or not from → to) ----
+async function getUsdcPaymentAmount(txHash, from, to) {
+  const provider = new ethers.JsonRpcProvider(FUJI_RPC);
+  const receipt = await provider.getTransactionReceipt(txHash);
+  if (!receipt || receipt.status !== 1) return 0n;
+  return usdcTransferred(receipt, from, to);
+}
+
+// ---- Event creation ----
+/**
+ * Validate an event definition (a POST /events body, or a series template) and return
+ * the event hash fields it defines — everything but the id, deadlines and bookkeeping.
+ * Throws an Error with a user-facing message.
+ */
+function buildEventFields({ title, category, description, entryFee, maxParticipants, minParticipants, prompts, format, judging, prizePolicy, voting, disputeWindowHours, endpointCheck }) {
+  if (!Array.isArray(prompts) || prompts.length === 0) {
+    throw new Error('At least one challenge prompt is required');
+  }
+  const normalizedPrompts = prompts.map(normalizePrompt);
+
+  if (format && !EVENT_FORMATS.includes(format)) {
+    throw new Error(`Invalid format. Must be one of: ${EVENT_FORMATS.join(', ')}`);
+  }
+
+  const maxP = parseInt(maxParticipants || 16, 10);
+  const minP = parseInt(minParticipants || 2, 10);
+  if (!(minP >= 2 && minP <= maxP)) {
+    throw new Error('minParticipants must be at least 2 and no more than maxParticipants');
+  }
+
+  let judgingConfig;
+  try {
+    judgingConfig = normalizeJudgingConfig(judging);
+  } catch (e) {
+    throw new Error(`Invalid judging config: ${e.message}`);
+  }
+
+  const fee = Number(entryFee);
+  if (entryFee === undefined || entryFee === '' || !Number.isFinite(fee) || fee < 0) {
+    throw new Error('entryFee must be a non-negative number (0 for a free event)');
+  }
+
+  let policy;
+  try {
+    policy = normalizePrizePolicy(prizePolicy, { treasuryAddress: TREASURY_ADDRESS });
+  } catch (e) {
+    throw new Error(`Invalid prizePolicy: ${e.message}`);
+  }
+
+  let votingPolicy;
+  try {
+    votingPolicy = normalizeVotingPolicy(voting);
+  } catch (e) {
+    throw new Error(`Invalid voting policy: ${e.message}`);
+  }
+
+  if (endpointCheck !== undefined && !PREFLIGHT_MODES.includes(endpointCheck)) {
+    throw new Error(`Invalid endpointCheck. Must be one of: ${PREFLIGHT_MODES.join(', ')}`);
+  }
+
+  const disputeWindow = Number(disputeWindowHours ?? DISPUTE_WINDOW_HOURS);
+  if (!Number.isFinite(disputeWindow) || disputeWindow < 0) {
+    throw new Error('disputeWindowHours must be a non-negative number (0 for no dispute window)');
+  }
+
+  return {
+    title,
+    category: category || 'General',
+    description: description || '',
+    entryFee: String(entryFee),
+    maxParticipants: String(maxParticipants || 16),
+    minParticipants: String(minP),
+    prompts: JSON.stringify(normalizedPrompts),
+    format: format || 'ranking',
+    judging: JSON.stringify(judgingConfig),
+    prizePolicy: JSON.stringify(policy),
+    voting: JSON.stringify(votingPolicy),
+    disputeWindowHours: String(disputeWindow),
+    endpointCheck: endpointCheck || 'warn',
+  };
+}
+
+/**
+ * Store a new event in registration with its own facilitator.
+ * @param {object} fields - Output of buildEventFields, plus any extra fields (seriesId...)
+ * @param {{ registrationDeadline?, battleStart?, battleEnd?, revealDeadline? }} deadlines
+ * @param {{ createdBy: string, actor: string, reason: string }} origin
+ */
+async function createEvent(fields, { registrationDeadline, battleStart, battleEnd, revealDeadline }, { createdBy, actor, reason }) {
+  // Select facilitator for this event — all payments go to this wallet
+  const facilitator = await selectFacilitator();
+
+  const id = crypto.randomBytes(8).toString('hex');
+  const now = new Date().toISOString();
+  const votingPolicy = JSON.parse(fields.voting);
+
+  await redis.hset(`arena:event:${id}`, {
+    id,
+    ...fields,
+    status: 'registration',
+    createdBy,
+    createdAt: now,
+    registrationDeadline: registrationDeadline || new Date(Date.now() + 3 * 24 * 60 * 60 * 1000).toISOString(),
+    battleStart: battleStart || '',
+    battleEnd: battleEnd || '',
+    // Commit-reveal votes are revealed during battle/judging, by battleEnd unless told otherwise
+    revealDeadline: votingPolicy.commitReveal ? revealDeadline || battleEnd || '' : '',
+    scores: JSON.stringify({}),
+    results: JSON.stringify({}),
+    bracket: 'null',
+    facilitator: JSON.stringify(facilitator),
+  });
+
+  await redis.zadd('arena:events', { score: Date.now(), member: id });
+  await redis.sadd(ACTIVE_EVENTS_KEY, id);
+  await logTimeline(id, { from: null, to: 'registration', actor, reason });
+  return { id, facilitator };
+}
+
+// ---- Endpoint pre-flight ----
+// Registration probes the agent endpoint before anyone pays: the URL must be public
+// http(s), the protocol comes from the declaration or the agent's marketplace listing
+// (an MCP tools/list probe is the fallback), and a warm-up prompt in that protocol must
+// get an answer. Events choose whether a failed probe rejects the registration or is
+// only recorded as a warning.
+const PREFLIGHT_MODES = ['reject', 'warn', 'off'];
+const PREFLIGHT_TIMEOUT = 10000; // 10s
+const PREFLIGHT_PROMPT = 'Arena pre-flight check: reply with a short greeting.';
+const ALLOW_PRIVATE_ENDPOINTS = process.env.ARENA_ALLOW_PRIVATE_ENDPOINTS === 'true';
+
+function sameEndpoint(a, b) {
+  const normalize = url => String(url || '').trim().toLowerCase().replace(/\/+$/, '');
+  return !!a && normalize(a) === normalize(b);
+}
+
+// Validate a declared protocol / MCP tool and settle the agent's target; returns
+// { endpoint, protocol, mcpTool? } or { error }. Without a declared protocol the
+// marketplace listing decides: its preferred endpoint when none is given, or the
+// protocol of the listed endpoint that matches. An unlisted endpoint is probed.
+async function resolveAgentProtocol({ network, agentId, endpoint, protocol, mcpTool }) {
+  if (protocol !== undefined && !AGENT_PROTOCOLS.includes(protocol)) {
+    return { error: `Invalid protocol. Must be one of: ${AGENT_PROTOCOLS.join(', ')}` };
+  }
+  if (mcpTool !== undefined && (typeof mcpTool !== 'string' || !mcpTool.trim() || mcpTool.length > 100)) {
+    return { error: 'mcpTool must be a tool name of at most 100 characters' };
+  }
+  const withTool = (target, listedTool) => (target.protocol === 'mcp'
+    ? { ...target, mcpTool: mcpTool?.trim() || listedTool || DEFAULT_MCP_TOOL }
+    : target);
+
+  if (protocol) return withTool({ endpoint, protocol });
+
+  const listing = await redis.hgetall(`agent:${network}:${agentId}`);
+  if (listing && listing.name) {
+    const listed = agentTarget(listing);
+    if (listed && (!endpoint || sameEndpoint(endpoint, listed.endpoint))) {
+      return withTool({ endpoint: listed.endpoint, protocol: listed.protocol }, listed.tool);
+    }
+    if (sameEndpoint(endpoint, listing.a2aEndpoint)) return { endpoint, protocol: 'a2a' };
+    if (sameEndpoint(endpoint, listing.mcpEndpoint)) return withTool({ endpoint, protocol: 'mcp' }, listing.mcpTool);
+    if (sameEndpoint(endpoint, listing.url)) return { endpoint, protocol: 'http' };
+  }
+  if (!endpoint) return { endpoint, protocol: 'http' };
+  return withTool({ endpoint, protocol: await detectAgentProtocol(endpoint, PREFLIGHT_TIMEOUT, ALLOW_PRIVATE_ENDPOINTS) });
+}
+
+/**
+ * Probe an agent endpoint with a warm-up prompt in its protocol. Never throws.
+ * @param {{ endpoint, protocol, mcpTool? }} agent
+ * @returns {Promise<{ ok: boolean, error: string|null, protocol: string, latency: number|null, checkedAt: string }>}
+ */
+async function preflightEndpoint(agent) {
+  const result = { ok: false, error: null, protocol: agent.protocol || 'http', latency: null, checkedAt: new Date().toISOString() };
+  if (!agent.endpoint) return { ...result, error: 'No endpoint configured' };
+  const urlError = await endpointError(agent.endpoint, ALLOW_PRIVATE_ENDPOINTS);
+  if (urlError) return { ...result, error: urlError };
+
+  const { response, latency, error } = await callAgentEndpoint(agent, PREFLIGHT_PROMPT, PREFLIGHT_TIMEOUT);
+  result.latency = latency;
+  if (error || !response) return { ...result, error: `Warm-up prompt failed: ${error || 'empty response'}` };
+  return { ...result, ok: true };
+}
+
+// ---- Used-payment index ----
+// arena:payments:used holds every tx hash (and settled authorization) that has funded a
+// registration or vote stake, across all events, so a payment can be spent only once.
+const USED_PAYMENTS_KEY = 'arena:payments:used';
+
+async function claimPayment(id) {
+  return (await redis.sadd(USED_PAYMENTS_KEY, id.toLowerCase())) === 1;
+}
+
+async function releasePayment(id) {
+  await redis.srem(USED_PAYMENTS_KEY, id.toLowerCase());
+}
+
+// ---- Signed entry-fee authorizations (x402 / EIP-3009) ----
+const USDC_EIP712_NAME = 'USD Coin';
+const USDC_EIP712_VERSION = '2';
+
+// x402 payment requirements for an event's entry fee
+function entryPaymentRequirements(eventId, facilitator, feeUnits) {
+  return {
+    scheme: 'exact',
+    network: FUJI_NETWORK,
+    maxAmountRequired: feeUnits.toString(),
+    resource: `/api/arena/events/${eventId}/register`,
+    description: 'Arena entry fee',
+    payTo: facilitator.wallet,
+    asset: USDC_ADDRESS,
+    extra: { name: USDC_EIP712_NAME, version: USDC_EIP712_VERSION },
+  };
+}
+
+// An x402 X-PAYMENT header (base64 JSON { payload: { authorization, signature } })
+// as a paymentAuthorization body field; null if missing or malformed
+function authorizationFromHeader(header) {
+  if (!header) return null;
+  try {
+    const { payload } = JSON.parse(Buffer.from(header, 'base64').toString('utf8'));
+    return {
+      paymentData: {
+        domain: { name: USDC_EIP712_NAME, version: USDC_EIP712_VERSION, chainId: FUJI_CHAIN_ID, verifyingContract: USDC_ADDRESS },
+        message: payload.authorization,
+        usdcAddress: USDC_ADDRESS,
+      },
+      signature: payload.signature,
+    };
+  } catch {
+    return null;
+  }
+}
+
+// Why a transferWithAuthorization can't pay the entry fee, or null if it can
+function authorizationBlocker(auth, owner, payTo, feeUnits) {
+  const { paymentData, signature } = auth || {};
+  const m = paymentData?.message;
+  if (!m || !paymentData.domain || !signature) return 'paymentAuthorization must include paymentData and signature';
+
+  const usdc = USDC_ADDRESS.toLowerCase();
+  if (
+    Number(paymentData.domain.chainId) !== FUJI_CHAIN_ID ||
+    String(paymentData.domain.verifyingContract).toLowerCase() !== usdc ||
+    String(paymentData.usdcAddress).toLowerCase() !== usdc
+  ) {
+    return 'Authorization must be for USDC on Avalanche Fuji';
+  }
+  if (String(m.from).toLowerCase() !== owner.toLowerCase()) return 'Authorization must come from the agent owner';
+  if (String(m.to).toLowerCase() !== String(payTo).toLowerCase()) return "Authorization must pay the event's facilitator wallet";
+
+  let value;
+  try { value = BigInt(m.value); } catch { return 'Authorization value is invalid'; }
+  if (value < feeUnits) return `Authorization value is below the entry fee (${fromUsdcUnits(feeUnits)} USDC)`;
+
+  // Leave a minute to get the settlement mined
+  const now = Math.floor(Date.now() / 1000);
+  if (Number(m.validAfter) > now) return 'Authorization is not valid yet';
+  if (Number(m.validBefore) <= now + 60) return 'Authorization expires too soon';
+
+  const signer = recoverAuthorizationSigner(paymentData, signature);
+  if (!signer || signer.toLowerCase() !== owner.toLowerCase()) return 'Authorization signature is invalid';
+  return null;
+}
+
+// ---- Call agent endpoint ----
+// Delivers a challenge in the participant's registered protocol (A2A, MCP or plain HTTP;
+// participants registered before protocols were recorded are plain HTTP)
+async function callAgentEndpoint(agent, prompt, timeoutMs = AGENT_CALL_TIMEOUT, { history, contextId } = {}) {
+  if (!agent?.endpoint) return { response: '', latency: 0, error: 'No endpoint configured' };
+
+  const start = Date.now();
+  try {
+    const { text, latency } = await sendAgentMessage(
+      { protocol: agent.protocol || 'http', endpoint: agent.endpoint, tool: agent.mcpTool },
+      prompt,
+      { timeoutMs, history, contextId, allowPrivate: ALLOW_PRIVATE_ENDPOINTS }
+    );
+    return { response: String(text).slice(0, 5000), latency, error: null };
+  } catch (e) {
+    return { response: '', latency: Date.now() - start, error: e.message };
+  }
+}
+
+// Play one event prompt — a single message, a conversation or a tool-using challenge
+function playChallenge(agent, prompt) {
+  const contextId = crypto.randomUUID();
+  return runChallenge(prompt, (message, history) =>
+    callAgentEndpoint(agent, message, AGENT_CALL_TIMEOUT, { history, contextId })
+  );
+}
+
+// Dialogue and tool-call trace of an interactive challenge, for its transcript
+function conversationFields(reply) {
+  return reply.dialogue ? { dialogue: reply.dialogue, toolCalls: reply.toolCalls } : {};
+}
+
+// ---- Transcripts ----
+// Every response an agent gives is archived with its grading in
+// arena:event:{id}:transcripts — one field per agent and prompt (ranking) or per
+// side of a match (brackets) — so results can be audited, replayed and disputed.
+function transcriptsKey(eventId) {
+  return `arena:event:${eventId}:transcripts`;
+}
+
+async function saveTranscript(eventId, field, entry) {
+  await redis.hset(transcriptsKey(eventId), { [field]: JSON.stringify({ ...entry, at: new Date().toISOString() }) });
+}
+
+// Oldest round / first prompt first; a prompt's entries keep registration order
+async function loadTranscripts(eventId, participants) {
+  const raw = (await redis.hgetall(transcriptsKey(eventId))) || {};
+  const order = Object.fromEntries(participants.map((p, i) => [`${p.network}:${p.agentId}`, i]));
+  return Object.values(raw)
+    .map(v => (typeof v === 'string' ? JSON.parse(v) : v))
+    .sort((a, b) =>
+      (a.round || 0) - (b.round || 0) ||
+      String(a.matchId || '').localeCompare(String(b.matchId || ''), undefined, { numeric: true }) ||
+      a.prompt - b.prompt ||
+      (order[a.agentKey] ?? 0) - (order[b.agentKey] ?? 0)
+    );
+}
+
+// ---- Judging jobs ----
+// Judging runs in the background, one job per event across instances (arena:judge:{eventId}:lock).
+// Every (agent, prompt) score is checkpointed in arena:judge:{eventId}:results, so a failed
+// or interrupted job resumes where it stopped. A failed agent call or judge error is retried
+// up to JUDGE_MAX_ATTEMPTS times (counted in arena:judge:{eventId}:attempts) before its zero
+// score is checkpointed.
+const JUDGE_LOCK_TTL = 60 * 1000; // 1 min, extended while the job runs
+const JUDGE_MAX_ATTEMPTS = parseInt(process.env.ARENA_JUDGE_MAX_ATTEMPTS || '3', 10);
+const JUDGE_RETRY_DELAY = 2000;
+const activeJudgingJobs = new Set();
+
+function judgeJobKey(eventId) {
+  return `arena:judge:${eventId}`;
+}
+
+function judgeLockKey(eventId) {
+  return `arena:judge:${eventId}:lock`;
+}
+
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  });
+  await Promise.all(workers);
+  return results;
+}
+
+// Failures worth another attempt: the agent didn't answer, or the judge panel errored
+function isRetryableScore(score) {
+  return !!(score.error || score.judgeError);
+}
+
+/**
+ * Call the agent and grade its reply, retrying failures while attempts (counted in
+ * `attemptsKey` so restarts don't reset them) remain. An answered prompt whose grading
+ * failed is re-graded without calling the agent again. Returns { score, reply }.
+ */
+async function judgePrompt(judging, category, participant, prompt, i, attemptsKey, field) {
+  let reply = null;
+  for (;;) {
+    const attempt = await redis.hincrby(attemptsKey, field, 1);
+    if (!reply || reply.error || !reply.response) reply = await playChallenge(participant, prompt);
+    const score = await gradeResponse(judging, category, participant, prompt, i, reply);
+    if (!isRetryableScore(score) || attempt >= JUDGE_MAX_ATTEMPTS) return { score, reply };
+
+    console.warn(`Judging ${participant.name} prompt ${i + 1} attempt ${attempt} failed: ${score.error || score.feedback}`);
+    await new Promise(resolve => setTimeout(resolve, JUDGE_RETRY_DELAY * attempt));
+  }
+}
+
+// Score one (agent, prompt) reply — a fresh call, or an archived one when a dispute is re-judged
+async function gradeResponse(judging, category, participant, prompt, i, { response, latency, error: callError, dialogue, toolCalls }) {
+  const text = promptText(prompt);
+  if (callError || !response) {
+    return {
+      prompt: i + 1,
+      latency: latency || 0,
+      error: callError || 'No response',
+      accuracy: 0, completeness: 0, domainExpertise: 0, reasoning: 0,
+      safety: 0, clarity: 0, edgeCases: 0, total: 0,
+      feedback: `Agent failed: ${callError || 'no response'}`,
+    };
+  }
+
+  // Test cases grade the objective criteria; the judge panel only scores the rest
+  const checks = hasAssertions(prompt) ? runAssertions(prompt.assertions, response, toolCalls) : null;
+  const checkFields = checks
+    ? { assertions: checks.results, assertionsPassed: checks.passed, assertionsTotal: checks.total }
+    : {};
+
+  if (checks && prompt.judge === false) {
+    return {
+      prompt: i + 1,
+      latency,
+      grading: 'deterministic',
+      ...withAssertionScores({}, checks.passRate, Object.keys(RUBRIC)),
+      feedback: `Passed ${checks.passed}/${checks.total} assertions`,
+      ...checkFields,
+    };
+  }
+
+  try {
+    const judged = await scoreWithJudges(judging, {
+      category,
+      prompt: text,
+      response,
+      transcript: dialogue ? formatDialogue(dialogue) : undefined,
+      latencyMs: latency,
+      reference: prompt.reference,
+    });
+    return {
+      prompt: i + 1,
+      latency,
+      grading: checks ? 'hybrid' : 'llm',
+      ...(checks ? withAssertionScores(judged, checks.passRate) : judged),
+      ...checkFields,
+    };
+  } catch (judgeErr) {
+    console.error(`Judging failed for ${participant.name} prompt ${i + 1}:`, judgeErr.message);
+    const zero = {
+      accuracy: 0, completeness: 0, domainExpertise: 0, reasoning: 0,
+      safety: 0, clarity: 0, edgeCases: 0, total: 0,
+    };
+    return {
+      prompt: i + 1,
+      latency,
+      ...(checks ? { grading: 'hybrid', ...withAssertionScores(zero, checks.passRate) } : zero),
+      feedback: `Judge error: ${judgeErr.message}`,
+      judgeError: true,
+      ...checkFields,
+    };
+  }
+}
+
+// An agent's entry in the event's `scores`, from its per-prompt scores
+function summarizeAgentScores(name, promptScores) {
+  let totalScore = 0;
+  let totalLatency = 0;
+  for (const score of promptScores) {
+    if (!score.error) totalLatency += score.latency || 0;
+    totalScore += score.total || 0;
+  }
+  const count = promptScores.length;
+  return {
+    name,
+    promptScores,
+    totalScore,
+    avgScore: count > 0 ? Math.round((totalScore / count) * 10) / 10 : 0,
+    avgLatency: count > 0 ? Math.round(totalLatency / count) : 0,
+  };
+}
+
+async function runJudgingJob(eventId) {
+  if (activeJudgingJobs.has(eventId)) return;
+  activeJudgingJobs.add(eventId);
+
+  try {
+    const { acquired } = await withLock(judgeLockKey(eventId), JUDGE_LOCK_TTL, () => judgeEvent(eventId));
+    if (!acquired) console.log(`Judging job ${eventId} is running on another instance`);
+  } finally {
+    activeJudgingJobs.delete(eventId);
+  }
 }
 
-// ---- Gemini API ----
-async function scoreWithGemini(category, prompt, agentResponse, latencyMs) {
-  if (!GEMINI_API_KEY) throw new Error('GEMINI_API_KEY not configured');
+// The body of a judging job; runs under the event's judging lock
+async function judgeEvent(eventId) {
+  const jobKey = judgeJobKey(eventId);
+  const resultsKey = `${jobKey}:results`;
 
-  const systemPrompt = `You are an expert AI agent evaluator. Score the following agent response to a challenge prompt.
+  try {
+    const event = await loadEvent(eventId);
+    if (!event || !event.id) throw new Error('Event not found');
+
+    const participants = JSON.parse(event.participants || '[]');
+    const prompts = JSON.parse(event.prompts || '[]');
+    const category = event.category || 'General';
+    const judging = normalizeJudgingConfig(event.judging ? JSON.parse(event.judging) : null);
+    const checkpoints = (await redis.hgetall(resultsKey)) || {};
+
+    const allScores = {};
+    let cancelled = false;
+
+    // Agents are judged in parallel (bounded); each agent's prompts run in order
+    await mapWithConcurrency(participants, JUDGE_CONCURRENCY, async (participant) => {
+      const agentKey = `${participant.network}:${participant.agentId}`;
+      const promptScores = [];
+
+      for (let i = 0; i < prompts.length; i++) {
+        const field = `${agentKey}#${i}`;
+        let score = checkpoints[field];
+
+        if (score) {
+          score = typeof score === 'string' ? JSON.parse(score) : score;
+        } else {
+          // A cancelled event stops calling agents and judges at the next prompt
+          if (cancelled || (await redis.exists(cancelKey(eventId)))) {
+            cancelled = true;
+            return;
+          }
+          console.log(`Judging ${participant.name} on prompt ${i + 1}/${prompts.length}...`);
+          const streamed = { agentKey, name: participant.name, prompt: i + 1 };
+          let reply;
+          ({ score, reply } = await judgePrompt(judging, category, participant, prompts[i], i, `${jobKey}:attempts`, field));
+          await saveTranscript(eventId, field, {
+            agentKey,
+            name: participant.name,
+            ...score,
+            promptText: promptText(prompts[i]),
+            response: reply.response || '',
+            ...conversationFields(reply),
+          });
+          await redis.hset(resultsKey, { [field]: JSON.stringify(score) });
+          await redis.hset(jobKey, { updatedAt: new Date().toISOString() });
+          // Judge feedback can quote the answer, so only the numbers go out
+          await publishEvent(eventId, 'score', {
+            ...streamed,
+            total: score.total,
+            grading: score.grading || 'llm',
+            latency: score.latency || 0,
+            failed: !!score.error,
+            judged: await redis.hlen(resultsKey),
+            outOf: participants.length * prompts.length,
+          });
+        }
+
+        promptScores.push(score);
+      }
+
+      allScores[agentKey] = summarizeAgentScores(participant.name, promptScores);
+    });
+
+    if (cancelled) {
+      await redis.hset(jobKey, { status: 'cancelled', updatedAt: new Date().toISOString() });
+      await redis.srem('arena:judge:running', eventId);
+      console.log(`Judging job ${eventId} stopped: event cancelled`);
+      return;
+    }
+
+    // Owners may appeal prompt scores until the dispute window closes; distribution waits for it
+    const windowHours = Number(event.disputeWindowHours ?? DISPUTE_WINDOW_HOURS);
+    const disputeDeadline = windowHours > 0 ? new Date(Date.now() + windowHours * 60 * 60 * 1000).toISOString() : '';
+    await redis.hset(`arena:event:${eventId}`, { scores: JSON.stringify(allScores), disputeDeadline });
+    await redis.hset(jobKey, { status: 'completed', finishedAt: new Date().toISOString() });
+    await redis.srem('arena:judge:running', eventId);
+    await publishEvent(eventId, 'judging', {
+      status: 'completed',
+      scores: Object.fromEntries(Object.entries(allScores).map(([k, v]) => [k, { name: v.name, avgScore: v.avgScore, totalScore: v.totalScore }])),
+    });
+    console.log(`Judging job ${eventId} completed`);
+  } catch (e) {
+    console.error(`Judging job ${eventId} failed:`, e.message);
+    await redis.hset(jobKey, { status: 'failed', error: e.message, updatedAt: new Date().toISOString() });
+    await redis.srem('arena:judge:running', eventId);
+  }
+}
+
+/**
+ * Mark the event as judging and kick off (or resume) its background job.
+ * `job` is the existing job hash, if any; checkpointed scores are kept.
+ */
+async function startJudgingJob(eventId, event, job, actor, reason) {
+  const jobKey = judgeJobKey(eventId);
+  const total = JSON.parse(event.participants || '[]').length * JSON.parse(event.prompts || '[]').length;
+  const checkpointed = await redis.hlen(`${jobKey}:results`);
+  const now = new Date().toISOString();
+
+  if (event.status !== 'judging') {
+    await setEventStatus(eventId, event.status, 'judging', actor, reason || (checkpointed > 0 ? 'Judging resumed' : 'Judging started'));
+  }
+  await redis.hset(jobKey, {
+    eventId,
+    status: 'running',
+    total,
+    startedAt: checkpointed > 0 && job?.startedAt ? job.startedAt : now,
+    updatedAt: now,
+    finishedAt: '',
+    error: '',
+  });
+  await redis.sadd('arena:judge:running', eventId);
+
+  // Fire-and-forget: progress is polled via /judge/status
+  runJudgingJob(eventId).catch(e => console.error(`Judging job ${eventId} crashed:`, e.message));
+
+  return { total, done: checkpointed, resumed: checkpointed > 0 };
+}
+
+/**
+ * Restart judging jobs that were still running when the process stopped.
+ * Called once on server start; finished (agent, prompt) pairs are not re-run.
+ */
+export async function resumeJudgingJobs() {
+  if (!redis) return;
+  const eventIds = await redis.smembers('arena:judge:running');
+  for (const eventId of eventIds) {
+    console.log(`Resuming judging job ${eventId}`);
+    runJudgingJob(eventId).catch(e => console.error(`Judging job ${eventId} crashed:`, e.message));
+  }
+}
+
+// ---- Disputes ----
+// Once a ranking event is judged, an agent's owner can appeal one prompt score until
+// disputeDeadline. Appeals live in arena:event:{id}:disputes, one per (agent, prompt)
+// and keyed like the judging checkpoints; the event's openDisputes count holds
+// distribution until an admin rejects or re-judges every one.
+const DISPUTE_STATUSES = ['open', 'rejudged', 'rejected'];
+
+function disputesKey(eventId) {
+  return `arena:event:${eventId}:disputes`;
+}
+
+async function loadDisputes(eventId) {
+  const raw = (await redis.hgetall(disputesKey(eventId))) || {};
+  return Object.values(raw)
+    .map(v => (typeof v === 'string' ? JSON.parse(v) : v))
+    .sort((a, b) => a.filedAt.localeCompare(b.filedAt));
+}
+
+// Recount rather than increment so a double resolve can't skew the hold
+async function syncOpenDisputes(eventId) {
+  const open = (await loadDisputes(eventId)).filter(d => d.status === 'open').length;
+  await redis.hset(`arena:event:${eventId}`, { openDisputes: String(open) });
+  return open;
+}
+
+/**
+ * Re-judge one (agent, prompt) with `judging`: the archived response is scored again,
+ * or with `recall` the agent's endpoint is called afresh. Updates the judging
+ * checkpoint, the transcript and the agent's entry in the event's scores.
+ * @returns {Promise<{ before: object, after: object }>}
+ */
+async function rejudgePrompt(eventId, event, agentKey, i, judging, recall) {
+  const field = `${agentKey}#${i}`;
+  const participant = event.participants.find(p => `${p.network}:${p.agentId}` === agentKey);
+  const prompt = event.prompts[i];
+  const before = event.scores[agentKey].promptScores[i];
+
+  let reply;
+  if (recall) {
+    reply = await playChallenge(participant, prompt);
+  } else {
+    const raw = await redis.hget(transcriptsKey(eventId), field);
+    const archived = typeof raw === 'string' ? JSON.parse(raw) : raw;
+    if (!archived) throw new Error('No archived response for this prompt; re-judge with recall: true');
+    reply = {
+      response: archived.response,
+      latency: archived.latency,
+      error: archived.response ? null : archived.error,
+      ...conversationFields(archived),
+    };
+  }
+
+  const after = await gradeResponse(judging, event.category || 'General', participant, prompt, i, reply);
+  await saveTranscript(eventId, field, {
+    agentKey,
+    name: participant.name,
+    ...after,
+    promptText: promptText(prompt),
+    response: reply.response || '',
+    ...conversationFields(reply),
+    rejudged: { previousTotal: before.total, recall: !!recall },
+  });
+  await redis.hset(`${judgeJobKey(eventId)}:results`, { [field]: JSON.stringify(after) });
+
+  // Re-read: another dispute may have updated a different agent meanwhile
+  const current = await redis.hget(`arena:event:${eventId}`, 'scores');
+  const scores = typeof current === 'string' ? JSON.parse(current) : current;
+  const promptScores = [...scores[agentKey].promptScores];
+  promptScores[i] = after;
+  scores[agentKey] = summarizeAgentScores(participant.name, promptScores);
+  await redis.hset(`arena:event:${eventId}`, { scores: JSON.stringify(scores) });
+
+  return { before, after };
+}
+
+// ---- Bracket matches ----
+/**
+ * Play one head-to-head match: both agents answer the round's prompt and the judge
+ * compares them side by side. An agent that fails to answer forfeits. Elimination
+ * matches can't end level, so a tie goes to the faster response, then the higher seed.
+ */
+async function playBracketMatch(event, bracket, match, participantsByKey) {
+  const promptIndex = (match.round - 1) % event.prompts.length;
+  const prompt = event.prompts[promptIndex];
+  const text = promptText(prompt);
+  console.log(`Bracket match ${match.id}: ${match.a} vs ${match.b}...`);
+
+  const [callA, callB] = await Promise.all([
+    playChallenge(participantsByKey[match.a], prompt),
+    playChallenge(participantsByKey[match.b], prompt),
+  ]);
+  for (const [agentKey, call] of [[match.a, callA], [match.b, callB]]) {
+    await publishEvent(event.id, 'progress', {
+      agentKey,
+      name: participantsByKey[agentKey]?.name,
+      matchId: match.id,
+      prompt: promptIndex + 1,
+      latency: call.latency,
+      failed: !!call.error || !call.response,
+    });
+  }
+  const okA = !callA.error && !!callA.response;
+  const okB = !callB.error && !!callB.response;
+
+  let verdict;
+  if (okA && okB) {
+    try {
+      verdict = await compareWithJudges(event.judging, {
+        category: event.category || 'General',
+        prompt: text,
+        reference: prompt.reference,
+        responseA: callA.response,
+        responseB: callB.response,
+        latencyA: callA.latency,
+        latencyB: callB.latency,
+        transcriptA: callA.dialogue ? formatDialogue(callA.dialogue) : undefined,
+        transcriptB: callB.dialogue ? formatDialogue(callB.dialogue) : undefined,
+      });
+    } catch (judgeErr) {
+      console.error(`Judge comparison failed for ${match.id}:`, judgeErr.message);
+      verdict = { scoreA: 0, scoreB: 0, winner: 'tie', feedback: `Judge error: ${judgeErr.message}` };
+    }
+  } else if (okA || okB) {
+    const failed = okA ? callB : callA;
+    verdict = {
+      scoreA: 0,
+      scoreB: 0,
+      winner: okA ? 'A' : 'B',
+      feedback: `Agent ${okA ? 'B' : 'A'} failed: ${failed.error || 'no response'}`,
+    };
+  } else {
+    verdict = { scoreA: 0, scoreB: 0, winner: 'tie', feedback: 'Both agents failed to respond' };
+  }
+
+  let winner = verdict.winner === 'A' ? match.a : verdict.winner === 'B' ? match.b : null;
+  if (!winner && bracket.format !== 'round_robin') {
+    winner = okA && okB && callB.latency < callA.latency ? match.b : match.a;
+  }
+
+  const sides = [
+    [match.a, match.b, callA, verdict.scoreA, verdict.judgesA],
+    [match.b, match.a, callB, verdict.scoreB, verdict.judgesB],
+  ];
+  for (const [agentKey, opponent, call, score, judges] of sides) {
+    await saveTranscript(event.id, `${match.id}:${agentKey}`, {
+      agentKey,
+      name: participantsByKey[agentKey]?.name,
+      matchId: match.id,
+      round: match.round,
+      opponent,
+      prompt: promptIndex + 1,
+      promptText: text,
+      response: call.response,
+      latency: call.latency,
+      error: call.error,
+      ...conversationFields(call),
+      score,
+      result: winner ? (winner === agentKey ? 'win' : 'loss') : 'draw',
+      feedback: verdict.feedback,
+      ...(judges ? { judges } : {}),
+    });
+  }
+
+  return recordMatchResult(bracket, match.id, {
+    winner,
+    scoreA: verdict.scoreA,
+    scoreB: verdict.scoreB,
+    feedback: verdict.feedback,
+    promptIndex,
+    latencyA: callA.latency,
+    latencyB: callB.latency,
+  });
+}
+
+/**
+ * Judge every pending match in the current round and move the bracket on.
+ * Seeds and stores the bracket on first use. `event` must already be parsed.
+ */
+async function runBracketRound(eventId, event, actor) {
+  let bracket = event.bracket;
+  if (!bracket) {
+    // Seed by current rating, registration order breaks ties
+    const seeded = [];
+    for (const [i, p] of event.participants.entries()) {
+      const agentKey = `${p.network}:${p.agentId}`;
+      const { rating } = await loadRating(null, agentKey);
+      seeded.push({ agentKey, rating, order: i });
+    }
+    seeded.sort((a, b) => b.rating - a.rating || a.order - b.order);
+    bracket = createBracket(event.format, seeded.map(s => s.agentKey));
+    await redis.hset(`arena:event:${eventId}`, { bracket: JSON.stringify(bracket) });
+    if (event.status !== 'judging') {
+      await setEventStatus(eventId, event.status, 'judging', actor, 'Bracket seeded');
+      event.status = 'judging';
+    }
+  }
+
+  const participantsByKey = Object.fromEntries(event.participants.map(p => [`${p.network}:${p.agentId}`, p]));
+  const round = bracket.currentRound;
+  const matches = await Promise.all(
+    pendingMatches(bracket).map(m => playBracketMatch(event, bracket, m, participantsByKey))
+  );
+  advanceBracket(bracket);
+
+  await redis.hset(`arena:event:${eventId}`, { bracket: JSON.stringify(bracket) });
+  event.bracket = bracket;
+  await publishEvent(eventId, 'round', {
+    round,
+    matches: matches.map(({ id, a, b, winner, scoreA, scoreB }) => ({ id, a, b, winner, scoreA, scoreB })),
+    complete: bracket.complete,
+    champion: bracket.champion,
+  });
+
+  return {
+    round,
+    matches,
+    complete: bracket.complete,
+    champion: bracket.champion,
+    nextRound: bracket.complete ? null : bracket.currentRound,
+    standings: bracketStandings(bracket),
+  };
+}
+
+// ---- Payout ledger ----
+// Every prize transfer is planned once into arena:event:{id}:payouts, keyed by an
+// idempotency key, and moves pending → sent → confirmed (or failed). Only pending
+// and failed entries are ever (re)sent, so rerunning a distribution can't double-pay.
+// A send that was interrupted, or whose Facinet call died without an answer, becomes
+// unknown: the USDC may have moved. Unknown payouts are never resent automatically;
+// each run scans the facilitator's USDC Transfers to the recipient from the block the
+// send started at, and a matching transfer makes the payout sent. Only an admin can
+// give up on one (marking it failed) once the scan has found nothing.
+const PAYOUT_LOCK_TTL = 5 * 60 * 1000; // 5 min, extended while a run lasts
+const PAYOUT_STATUSES = ['pending', 'sent', 'confirmed', 'failed', 'unknown'];
+const PAYOUT_SCAN_RANGE = 2000; // blocks per eth_getLogs call
+const PAYOUT_SCAN_MAX_RANGES = 10; // per payout and run
+
+function payoutsKey(eventId) {
+  return `arena:event:${eventId}:payouts`;
+}
+
+function payoutLockKey(eventId) {
+  return `arena:payout:lock:${eventId}`;
+}
+
+function payoutIdempotencyKey(eventId, dist) {
+  return `${eventId}:${dist.reason}:${(dist.agentKey || dist.address).toLowerCase()}`;
+}
+
+async function loadPayouts(eventId) {
+  const raw = await redis.hgetall(payoutsKey(eventId));
+  if (!raw) return [];
+  return Object.values(raw)
+    .map(v => (typeof v === 'string' ? JSON.parse(v) : v))
+    .sort((a, b) => a.seq - b.seq);
+}
+
+async function savePayout(eventId, payout) {
+  payout.updatedAt = new Date().toISOString();
+  await redis.hset(payoutsKey(eventId), { [payout.idempotencyKey]: JSON.stringify(payout) });
+}
+
+function summarizePayouts(payouts) {
+  const summary = Object.fromEntries(PAYOUT_STATUSES.map(s => [s, 0]));
+  for (const p of payouts) summary[p.status] = (summary[p.status] || 0) + 1;
+  return summary;
+}
+
+// ---- Prize distribution ----
+// Returns why an event can't be distributed yet, or null if it can
+function distributionBlocker(event) {
+  if (event.status === 'completed') return 'Prizes already distributed';
+  if (event.status === 'distributing') return 'Payouts already started; use /distribute/retry';
+  if (event.status === 'cancelled') return 'Event was cancelled';
+  if (JSON.parse(event.participants || '[]').length < 2) return 'Need at least 2 participants';
+  if ((event.format || 'ranking') !== 'ranking') {
+    const bracket = JSON.parse(event.bracket || 'null');
+    if (!bracket || !bracket.complete) return 'Bracket is not finished yet';
+  }
+  if (event.revealDeadline && !reached(event.revealDeadline, Date.now())) return 'Vote reveal window is still open';
+  if (event.disputeDeadline && !reached(event.disputeDeadline, Date.now())) return `Dispute window is open until ${event.disputeDeadline}`;
+  if (Number(event.openDisputes || 0) > 0) return `${event.openDisputes} dispute(s) still open`;
+  return null;
+}
+
+/**
+ * Why the event facilitator can't cover the planned payouts yet, or null. It holds the
+ * entry fees and stakes paid in, but a sponsor pool is only promised in the prize policy
+ * until the sponsor funds the facilitator, so the wallet's USDC balance is checked
+ * against the plan total before anything is sent.
+ */
+async function fundingBlocker(event) {
+  const { distributions } = planPrizes(event, await loadBallots(event.id));
+  const needed = distributions.reduce((sum, d) => sum + (d.amount > 0 ? toUsdcUnits(d.amount) : 0n), 0n);
+  if (needed === 0n) return null;
+
+  const facilitator = JSON.parse(event.facilitator || '{}');
+  if (!facilitator.wallet) return 'Event has no facilitator wallet to pay from';
+  const provider = new ethers.JsonRpcProvider(FUJI_RPC, FUJI_CHAIN_ID, { staticNetwork: true });
+  const usdc = new ethers.Contract(USDC_ADDRESS, USDC_TRANSFER_ABI, provider);
+  const balance = await usdc.balanceOf(facilitator.wallet);
+  if (balance < needed) {
+    return `Facilitator ${facilitator.wallet} holds ${fromUsdcUnits(balance)} USDC but the payouts need ${fromUsdcUnits(needed)}; fund it (including any sponsor pool) first`;
+  }
+  return null;
+}
+
+// Final rankings, best first: bracket standings, or average judge score for ranking events
+function rankParticipants(event) {
+  const participants = JSON.parse(event.participants || '[]');
+  const scores = JSON.parse(event.scores || '{}');
+  const bracket = JSON.parse(event.bracket || 'null');
+
+  if ((event.format || 'ranking') !== 'ranking') {
+    // Bracket events: rank by final standings
+    const byKey = Object.fromEntries(participants.map(p => [`${p.network}:${p.agentId}`, p]));
+    return bracketStandings(bracket).map(s => {
+      const played = s.wins + s.losses + s.draws;
+      return {
+        ...byKey[s.agentKey],
+        agentKey: s.agentKey,
+        avgScore: played > 0 ? Math.round((s.points / played) * 10) / 10 : 0,
+        totalScore: s.points,
+        matchRecord: { wins: s.wins, losses: s.losses, draws: s.draws },
+      };
+    });
+  }
+
+  // Rank participants by total score
+  return participants
+    .map(p => {
+      const key = `${p.network}:${p.agentId}`;
+      const s = scores[key] || {};
+      return { ...p, agentKey: key, avgScore: s.avgScore || 0, totalScore: s.totalScore || 0 };
+    })
+    .sort((a, b) => b.avgScore - a.avgScore || b.totalScore - a.totalScore);
+}
+
+// Rankings plus the payouts the event's prize policy gives them; `ballots` is loadBallots()
+function planPrizes(event, { votes, voteStakes }) {
+  const policy = JSON.parse(event.prizePolicy || 'null') || DEFAULT_PRIZE_POLICY;
+
+  const rankings = rankParticipants(event);
+  const winnerKey = rankings[0].agentKey;
+  const winningVoters = (votes[winnerKey] || []).map(address => ({
+    address,
+    weight: voteStakes[address]?.weight ?? 1,
+    stake: voteStakes[address]?.stake || 0,
+  }));
+  const forfeitedStakes = Object.entries(voteStakes)
+    .filter(([, v]) => v.agentKey !== winnerKey)
+    .reduce((sum, [, v]) => sum + v.stake, 0);
+
+  const plan = computePayouts(policy, {
+    entryFee: event.entryFee,
+    rankings,
+    winningVoters,
+    forfeitedStakes,
+    treasuryAddress: TREASURY_ADDRESS,
+  });
+  return { policy, rankings, winningVoters, ...plan };
+}
+
+/**
+ * Rank participants, plan payouts into the ledger, update ELO and start paying out
+ * from the event facilitator. The event sits in `distributing` until every payout is
+ * confirmed on-chain. Callers must check distributionBlocker and fundingBlocker first.
+ */
+async function distributePrizes(eventId, event, actor) {
+  const bracket = JSON.parse(event.bracket || 'null');
+  const { policy, rankings, winningVoters, distributions, ...plan } = planPrizes(event, await loadBallots(eventId));
+
+  // ---- Plan payouts ----
+  // hsetnx: a rerun after a crash re-plans the same keys and leaves existing entries alone
+  const plannedAt = new Date().toISOString();
+  let seq = 0;
+  for (const dist of distributions) {
+    if (dist.amount <= 0) continue;
+    const idempotencyKey = payoutIdempotencyKey(eventId, dist);
+    const payout = {
+      idempotencyKey,
+      seq: seq++,
+      address: dist.address,
+      agent: dist.agent || null,
+      reason: dist.reason,
+      amount: fromUsdcUnits(toUsdcUnits(dist.amount)),
+      units: toUsdcUnits(dist.amount).toString(),
+      status: 'pending',
+      txHash: null,
+      attempts: 0,
+      error: null,
+      createdAt: plannedAt,
+      updatedAt: plannedAt,
+    };
+    await redis.hsetnx(payoutsKey(eventId), idempotencyKey, JSON.stringify(payout));
+  }
+
+  // ELO and stats are applied exactly once, however many times payouts are retried
+  const firstSettlement = await redis.hsetnx(`arena:event:${eventId}`, 'ratedAt', plannedAt);
+  if (firstSettlement) await applyRatings(eventId, event, bracket, rankings);
+  // Season points keep their own once-only mark, so a failed award is retried with the event
+  if (event.seriesId) await awardSeasonPoints(event, rankings);
+
+  // Save results
+  const results = {
+    rankings: rankings.map((r, i) => ({
+      rank: i + 1,
+      agentKey: r.agentKey,
+      name: r.name,
+      ownerAddress: r.ownerAddress,
+      avgScore: r.avgScore,
+      totalScore: r.totalScore,
+      matchRecord: r.matchRecord,
+    })),
+    prizePolicy: policy,
+    rewardPot: plan.pool,
+    platformFee: plan.platformFee,
+    winnerBonus: plan.placePrizes[0] || 0,
+    placePrizes: plan.placePrizes,
+    voterPool: plan.voterPool,
+    perVoter: plan.perVoter,
+    winningVoterCount: winningVoters.length,
+    distributions: await loadPayouts(eventId),
+  };
+
+  await redis.hset(`arena:event:${eventId}`, { results: JSON.stringify(results) });
+  await publishEvent(eventId, 'results', results);
+  await setEventStatus(eventId, event.status, 'distributing', actor, 'Payouts planned');
+
+  const run = await processPayouts(eventId, actor);
+  return run ? run.results : results;
+}
+
+// ---- Ratings ----
+// Ratings are kept globally and per category, with the system picked per deployment by
+// ARENA_RATING_SYSTEM. ELO keeps its original keys (arena:elo, arena:elo:cat:{category});
+// other systems get their own (arena:glicko2...) so switching never mixes scales. Glicko-2
+// deviation and volatility sit in a `:meta` hash next to the sorted set. Every distribute
+// appends one entry per agent to its rating history (arena:history:{agentKey}).
+function categoryKey(category) {
+  return String(category || 'General').trim().toLowerCase();
+}
+
+function ratingKey(category) {
+  return ratingSetKey(RATING_SYSTEM, category);
+}
+
+function ratingMetaKey(category) {
+  return `${ratingKey(category)}:meta`;
+}
+
+function statsKey(category) {
+  return category ? `arena:stats:cat:${category}` : 'arena:stats';
+}
+
+function historyKey(agentKey) {
+  return `arena:history:${agentKey}`;
+}
+
+async function loadRating(category, agentKey) {
+  const score = await redis.zscore(ratingKey(category), agentKey);
+  if (score === null || score === undefined) return { ...DEFAULT_RATINGS[RATING_SYSTEM] };
+  if (RATING_SYSTEM === 'elo') return { rating: Number(score), rd: null, vol: null };
+
+  const raw = await redis.hget(ratingMetaKey(category), agentKey);
+  const meta = (typeof raw === 'string' ? JSON.parse(raw) : raw) || DEFAULT_RATINGS[RATING_SYSTEM];
+  return { rating: Number(score), rd: meta.rd, vol: meta.vol };
+}
+
+// Head-to-head results of an event as [a, b, scoreA], in the order they were played
+function eventPairings(bracket, rankings) {
+  if (bracket) {
+    // Bracket events: one result per head-to-head match
+    return completedMatches(bracket).map(m => [m.a, m.b, m.winner === m.a ? 1 : m.winner === m.b ? 0 : 0.5]);
+  }
+  // Ranking events: ELO has the winner beat each loser; Glicko-2 rates the full finishing order
+  if (RATING_SYSTEM === 'elo') return rankings.slice(1).map(r => [rankings[0].agentKey, r.agentKey, 1]);
+  return freeForAllPairings(rankings);
+}
+
+async function applyRatingPairings(category, agentKeys, pairings) {
+  const before = {};
+  for (const k of agentKeys) before[k] = await loadRating(category, k);
+  const after = rateEvent(RATING_SYSTEM, before, pairings);
+
+  for (const k of agentKeys) {
+    await redis.zadd(ratingKey(category), { score: after[k].rating, member: k });
+    if (RATING_SYSTEM !== 'elo') {
+      await redis.hset(ratingMetaKey(category), { [k]: JSON.stringify({ rd: after[k].rd, vol: after[k].vol }) });
+    }
+  }
+  return { before, after };
+}
+
+async function applyRatings(eventId, event, bracket, rankings) {
+  const category = categoryKey(event.category);
+  const agentKeys = rankings.map(r => r.agentKey);
+  const pairings = eventPairings(bracket, rankings);
+
+  const global = await applyRatingPairings(null, agentKeys, pairings);
+  const scoped = await applyRatingPairings(category, agentKeys, pairings);
+  await redis.sadd('arena:categories', category);
+
+  // Track stats
+  for (const key of [statsKey(null), statsKey(category)]) {
+    for (const k of agentKeys) await redis.hincrby(key, `${k}:battles`, 1);
+    await redis.hincrby(key, `${agentKeys[0]}:wins`, 1);
+  }
+
+  // Match record of each agent within this event
+  const records = Object.fromEntries(agentKeys.map(k => [k, { wins: 0, losses: 0, draws: 0 }]));
+  for (const [a, b, scoreA] of pairings) {
+    if (scoreA === 0.5) {
+      records[a].draws++;
+      records[b].draws++;
+    } else {
+      const [winner, loser] = scoreA === 1 ? [a, b] : [b, a];
+      records[winner].wins++;
+      records[loser].losses++;
+    }
+  }
+
+  const change = (ratings, k) => ({
+    before: ratings.before[k].rating,
+    after: ratings.after[k].rating,
+    ...(RATING_SYSTEM !== 'elo' ? { rdBefore: ratings.before[k].rd, rdAfter: ratings.after[k].rd } : {}),
+  });
+
+  const at = new Date().toISOString();
+  for (const [i, k] of agentKeys.entries()) {
+    await redis.rpush(historyKey(k), JSON.stringify({
+      at,
+      eventId,
+      title: event.title,
+      category,
+      format: event.format || 'ranking',
+      ratingSystem: RATING_SYSTEM,
+      rank: i + 1,
+      participants: agentKeys.length,
+      record: records[k],
+      rating: change(global, k),
+      categoryRating: change(scoped, k),
+    }));
+  }
+}
+
+// zrange withScores comes back as [member, score, member, score, ...]
+function scoredMembers(entries) {
+  const out = [];
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i];
+    if (entry && typeof entry === 'object') {
+      out.push({ member: String(entry.value || entry.member), score: Number(entry.score) });
+    } else {
+      out.push({ member: String(entry), score: Number(entries[++i]) });
+    }
+  }
+  return out;
+}
+
+/**
+ * Send pending payouts, confirm sent ones on-chain, look for the transfers of unknown
+ * ones and (with retryFailed) resend failed ones. `failUnknown` lists idempotency keys
+ * of unknown payouts an admin has checked by hand and wants marked failed (and resent,
+ * with retryFailed). Refreshes results.distributions and completes the event once every
+ * payout is confirmed. Returns null if another payout run holds the event's lock.
+ */
+async function processPayouts(eventId, actor, { retryFailed = false, failUnknown = [] } = {}) {
+  const unlock = await acquireLock(payoutLockKey(eventId), PAYOUT_LOCK_TTL);
+  if (!unlock) return null;
+
+  try {
+    const event = await loadEvent(eventId);
+    const facilitator = JSON.parse(event.facilitator || '{}');
+
+    const payouts = await loadPayouts(eventId);
+    for (const payout of payouts) {
+      if (payout.status === 'unknown' && failUnknown.includes(payout.idempotencyKey)) {
+        payout.status = 'failed';
+        payout.error = `Marked failed by ${actor} after no transfer was found`;
+        await savePayout(eventId, payout);
+      }
+    }
+    await settlePayouts(payouts, facilitator, p => savePayout(eventId, p), {
+      retryFailed,
+      claimedElsewhere: async () => (await loadRefunds(eventId)).map(r => r.txHash),
+    });
+
+    const results = JSON.parse(event.results || '{}');
+    results.distributions = payouts;
+    await redis.hset(`arena:event:${eventId}`, { results: JSON.stringify(results) });
+
+    const summary = summarizePayouts(payouts);
+    await publishEvent(eventId, 'payouts', {
+      summary,
+      payouts: payouts.map(({ address, amount, reason, status, txHash }) => ({ address, amount, reason, status, txHash })),
+    });
+    if (summary.confirmed === payouts.length && event.status === 'distributing') {
+      await setEventStatus(eventId, 'distributing', 'completed', actor, 'All payouts confirmed');
+    }
+    return { results, summary };
+  } finally {
+    await unlock();
+  }
+}
+
+/**
+ * Move each ledger entry one step along: interrupted sends become unknown, unknown ones
+ * are looked for on-chain, pending (and with retryFailed, failed) ones are sent and sent
+ * ones confirmed. Entries need { idempotencyKey, address, units, status, attempts };
+ * `save` persists one. The caller holds the ledger's lock. `claimedElsewhere` resolves to
+ * the tx hashes of other ledgers paid from the same facilitator (an event's prizes and
+ * refunds), which an unknown entry can't claim either.
+ */
+async function settlePayouts(payouts, facilitator, save, { retryFailed = false, claimedElsewhere = async () => [] } = {}) {
+  const provider = new ethers.JsonRpcProvider(FUJI_RPC, FUJI_CHAIN_ID, { staticNetwork: true });
+
+  for (const payout of payouts) {
+    // Crashed between claiming and recording the transfer: the USDC may have moved
+    if (payout.status === 'pending' && payout.submittingAt && !payout.txHash) {
+      markPayoutUnknown(payout, 'Interrupted while submitting');
+      await save(payout);
+    }
+
+    if (payout.status === 'unknown') {
+      const claimed = new Set(
+        [...payouts.filter(p => p !== payout).map(p => p.txHash), ...(await claimedElsewhere())]
+          .filter(Boolean)
+          .map(hash => hash.toLowerCase())
+      );
+      await findPayoutTransfer(provider, facilitator, payout, claimed, save);
+    }
+    if (payout.status === 'pending' || (retryFailed && payout.status === 'failed')) {
+      await sendPayout(provider, facilitator, payout, save);
+    }
+    if (payout.status === 'sent') {
+      await confirmPayout(provider, facilitator, payout, save);
+    }
+  }
+}
+
+function markPayoutUnknown(payout, reason) {
+  payout.status = 'unknown';
+  payout.txHash = null;
+  payout.error = `${reason}; the USDC may have moved, so it is looked for on-chain and never resent automatically`;
+}
+
+async function sendPayout(provider, facilitator, payout, save) {
+  // Transfers can only land after this block, which bounds the search if the outcome is lost
+  const submittingBlock = await provider.getBlockNumber();
+
+  payout.status = 'pending';
+  payout.attempts += 1;
+  payout.submittingAt = new Date().toISOString();
+  payout.submittingBlock = submittingBlock;
+  payout.scannedToBlock = null;
+  payout.error = null;
+  await save(payout);
+
+  try {
+    // One key per attempt: Facinet drops a duplicate of this submission, while resending
+    // a payout that definitely failed is a new attempt
+    payout.txHash = await facinetTransferUsdc(facilitator, payout.address, BigInt(payout.units), `${payout.idempotencyKey}#${payout.attempts}`);
+    payout.status = 'sent';
+    payout.sentAt = new Date().toISOString();
+  } catch (e) {
+    console.error(`Transfer failed for ${payout.address}:`, e.message);
+    if (e.rejected) {
+      payout.status = 'failed';
+      payout.txHash = null;
+      payout.error = e.message;
+    } else {
+      markPayoutUnknown(payout, `Transfer outcome unknown (${e.message})`);
+    }
+  }
+  payout.submittingAt = null;
+  await save(payout);
+}
+
+// A sent payout is confirmed once its receipt shows the USDC transfer; no receipt yet leaves it sent
+async function confirmPayout(provider, facilitator, payout, save) {
+  let receipt;
+  try {
+    receipt = await provider.getTransactionReceipt(payout.txHash);
+  } catch (e) {
+    console.error(`Payout receipt lookup failed for ${payout.txHash}:`, e.message);
+    return;
+  }
+  if (!receipt) return;
+
+  if (receipt.status !== 1) {
+    payout.status = 'failed';
+    payout.error = `Transaction ${payout.txHash} reverted`;
+  } else if (!hasUsdcTransfer(receipt, facilitator.wallet, payout.address, payout.units)) {
+    payout.status = 'failed';
+    payout.error = `Transaction ${payout.txHash} has no matching USDC transfer`;
+  } else {
+    payout.status = 'confirmed';
+    payout.confirmedAt = new Date().toISOString();
+    payout.blockNumber = receipt.blockNumber;
+  }
+  await save(payout);
+}
+
+/**
+ * Look for the transfer of an unknown payout: a USDC Transfer of exactly its amount from
+ * the facilitator to its address, after the block its send started at, in a transaction
+ * no other entry of this or a sibling ledger (`claimed`) accounts for. Found, the payout is sent with
+ * that txHash; otherwise the scan resumes from scannedToBlock next run.
+ */
+async function findPayoutTransfer(provider, facilitator, payout, claimed, save) {
+  if (!facilitator.wallet || payout.submittingBlock === undefined || payout.submittingBlock === null) return;
+
+  const usdc = new ethers.Contract(USDC_ADDRESS, USDC_TRANSFER_ABI, provider);
+  const filter = usdc.filters.Transfer(facilitator.wallet, payout.address);
+  let from = (payout.scannedToBlock ?? payout.submittingBlock) + 1;
+
+  try {
+    const head = await provider.getBlockNumber();
+    for (let i = 0; i < PAYOUT_SCAN_MAX_RANGES && from <= head; i++) {
+      const to = Math.min(head, from + PAYOUT_SCAN_RANGE - 1);
+      const logs = await usdc.queryFilter(filter, from, to);
+      const match = logs.find(log =>
+        BigInt(log.args[2]) === BigInt(payout.units) && !claimed.has(log.transactionHash.toLowerCase())
+      );
+      if (match) {
+        payout.status = 'sent';
+        payout.txHash = match.transactionHash;
+        payout.sentAt = new Date().toISOString();
+        payout.error = null;
+        await save(payout);
+        return;
+      }
+      payout.scannedToBlock = to;
+      from = to + 1;
+    }
+  } catch (e) {
+    console.error(`Transfer scan failed for ${payout.address}:`, e.message);
+  }
+  await save(payout);
+}
+
+// ---- Refunds and cancellation ----
+// Events can be cancelled from any status before payouts start. Every refund (withdrawal,
+// failed registration, cancellation) is queued with RPUSH onto arena:event:{id}:refunds
+// and settled like the prize payouts: arena:event:{id}:refundLedger holds one entry per
+// refunded payment, keyed by its tx hash so a payment is never refunded twice, and
+// settlePayouts moves the entries along under arena:refund:lock:{id}. Events with refunds
+// in flight sit in arena:refunds:open for the scheduler; failed ones wait for an admin.
+// A cancellation is claimed once with arena:event:{id}:cancel.
+const CANCELLABLE_STATUSES = ['registration', 'voting', 'battle', 'judging'];
+const REFUNDS_OPEN_KEY = 'arena:refunds:open';
+
+function refundsKey(eventId) {
+  return `arena:event:${eventId}:refunds`;
+}
+
+function refundLedgerKey(eventId) {
+  return `arena:event:${eventId}:refundLedger`;
+}
+
+function refundLockKey(eventId) {
+  return `arena:refund:lock:${eventId}`;
+}
+
+function cancelKey(eventId) {
+  return `arena:event:${eventId}:cancel`;
+}
+
+function refundIdempotencyKey(eventId, refund) {
+  return `${eventId}:refund:${(refund.paymentTxHash || `${refund.reason}:${refund.address}`).toLowerCase()}`;
+}
+
+async function loadRefunds(eventId) {
+  return Object.values(parseHashValues(await redis.hgetall(refundLedgerKey(eventId)))).sort((a, b) => a.seq - b.seq);
+}
+
+async function saveRefund(eventId, refund) {
+  refund.updatedAt = new Date().toISOString();
+  await redis.hset(refundLedgerKey(eventId), { [refund.idempotencyKey]: JSON.stringify(refund) });
+}
+
+// Open the ledger entry of a queued refund, unless its payment already has one
+async function adoptRefund(eventId, seq, queued) {
+  const { idempotencyKey, units, queuedAt, ...refund } = queued;
+  await redis.hsetnx(refundLedgerKey(eventId), idempotencyKey, JSON.stringify({
+    seq,
+    idempotencyKey,
+    ...refund,
+    amount: fromUsdcUnits(units),
+    units,
+    status: 'pending',
+    txHash: null,
+    attempts: 0,
+    error: null,
+    createdAt: queuedAt,
+    updatedAt: queuedAt,
+  }));
+}
+
+/**
+ * Queue refunds for the ledger. Returns their idempotency keys.
+ * @param {Array<{ address, agent, units, reason, paymentTxHash }>} owed
+ */
+async function queueRefunds(eventId, owed) {
+  const keys = [];
+  for (const { units, ...refund } of owed) {
+    const queued = {
+      ...refund,
+      idempotencyKey: refundIdempotencyKey(eventId, refund),
+      units: units.toString(),
+      queuedAt: new Date().toISOString(),
+    };
+    const length = await redis.rpush(refundsKey(eventId), JSON.stringify(queued));
+    await adoptRefund(eventId, length - 1, queued);
+    keys.push(queued.idempotencyKey);
+  }
+  if (keys.length > 0) await redis.sadd(REFUNDS_OPEN_KEY, eventId);
+  return keys;
+}
+
+/**
+ * Settle an event's refund ledger (see settlePayouts; options as for processPayouts).
+ * Returns the ledger, or null if another refund run holds the event's lock.
+ */
+async function processRefunds(eventId, actor, { retryFailed = false, failUnknown = [] } = {}) {
+  const unlock = await acquireLock(refundLockKey(eventId), PAYOUT_LOCK_TTL);
+  if (!unlock) return null;
+
+  try {
+    // Picks up anything queued by a request that died before opening its entry
+    const queued = await redis.lrange(refundsKey(eventId), 0, -1);
+    for (const [seq, raw] of queued.entries()) {
+      await adoptRefund(eventId, seq, typeof raw === 'string' ? JSON.parse(raw) : raw);
+    }
+
+    const refunds = await loadRefunds(eventId);
+    for (const refund of refunds) {
+      if (refund.status === 'unknown' && failUnknown.includes(refund.idempotencyKey)) {
+        refund.status = 'failed';
+        refund.error = `Marked failed by ${actor} after no transfer was found`;
+        await saveRefund(eventId, refund);
+      }
+    }
+    const facilitator = JSON.parse((await redis.hget(`arena:event:${eventId}`, 'facilitator')) || '{}');
+    await settlePayouts(refunds, facilitator, r => saveRefund(eventId, r), {
+      retryFailed,
+      claimedElsewhere: async () => (await loadPayouts(eventId)).map(p => p.txHash),
+    });
+
+    if (refunds.every(r => r.status === 'confirmed' || r.status === 'failed')) {
+      await redis.srem(REFUNDS_OPEN_KEY, eventId);
+    }
+    return refunds;
+  } finally {
+    await unlock();
+  }
+}
+
+/**
+ * Queue refunds and settle them now. Returns their ledger entries; if another run holds
+ * the ledger or this one fails, they come back as they stand for the scheduler to settle.
+ */
+async function sendRefunds(eventId, owed) {
+  const keys = await queueRefunds(eventId, owed);
+  let ledger = null;
+  try {
+    ledger = await processRefunds(eventId, 'refunds');
+  } catch (e) {
+    console.error(`Refunds of ${eventId} failed:`, e.message);
+  }
+  ledger = ledger || (await loadRefunds(eventId));
+  return ledger.filter(r => keys.includes(r.idempotencyKey));
+}
+
+/**
+ * Cancel an event and refund every participant's entry fee and vote stake from the
+ * event facilitator. Returns null if the event was already cancelled.
+ */
+async function cancelEvent(eventId, event, actor, reason) {
+  if ((await redis.set(cancelKey(eventId), actor, { nx: true })) !== 'OK') return null;
+
+  // Cancelled first so nothing advances (or registers) while refunds go out; a
+  // registration or vote paid after this point refunds itself
+  await setEventStatus(eventId, event.status, 'cancelled', actor, reason);
+  await redis.srem('arena:judge:running', eventId);
+
+  const participants = await loadParticipants(eventId);
+  const { voteStakes } = await loadBallots(eventId);
+  const entryFeeUnits = toUsdcUnits(event.entryFee || '0');
+
+  const owed = [];
+  if (entryFeeUnits > 0n) {
+    for (const p of participants) {
+      owed.push({ address: p.ownerAddress, agent: p.name, units: entryFeeUnits, reason: 'entry_fee', paymentTxHash: p.paymentTxHash });
+    }
+  }
+  for (const [voter, v] of Object.entries(voteStakes)) {
+    owed.push({ address: voter, agent: null, units: toUsdcUnits(v.stake), reason: 'vote_stake', paymentTxHash: v.txHash });
+  }
+  return sendRefunds(eventId, owed);
+}
+
+// ---- Series and seasons ----
+// A series (arena:series:{id}) clones its event template every schedule.intervalHours,
+// each event with its own draw from the template's prompt pool, and groups the events
+// into seasons (see lib/arenaSeries.js). Live season standings sit in
+// arena:series:{id}:season:{n}, one field per agent; a finished season is summarized
+// with its reward payouts in arena:series:{id}:seasons. Rewards are paid from the series'
+// own facilitator, which the admin funds, and settled like the prize payouts under
+// arena:series:reward:lock:{id}:{n}.
+function seriesKey(seriesId) {
+  return `arena:series:${seriesId}`;
+}
+
+function seasonStandingsKey(seriesId, season) {
+  return `arena:series:${seriesId}:season:${season}`;
+}
+
+function seasonsKey(seriesId) {
+  return `arena:series:${seriesId}:seasons`;
+}
+
+function seasonRewardLockKey(seriesId, season) {
+  return `arena:series:reward:lock:${seriesId}:${season}`;
+}
+
+function seasonPointsLockKey(seriesId) {
+  return `arena:series:points:lock:${seriesId}`;
+}
+
+function parseSeriesFields(data) {
+  for (const field of ['template', 'schedule', 'season', 'events', 'facilitator']) {
+    if (typeof data[field] === 'string') data[field] = JSON.parse(data[field]);
+  }
+  return data;
+}
+
+// Public view: the template's prompts are the events' hidden challenges, and the seed
+// would reveal which event draws which
+function redactSeries(data) {
+  const { prompts, ...template } = data.template;
+  data.template = { ...template, promptCount: JSON.parse(prompts).length };
+  delete data.promptSeed;
+  return data;
+}
+
+async function loadStandings(seriesId, season) {
+  const raw = (await redis.hgetall(seasonStandingsKey(seriesId, season))) || {};
+  return rankStandings(Object.values(raw).map(v => (typeof v === 'string' ? JSON.parse(v) : v)));
+}
+
+async function loadSeasonSummaries(seriesId) {
+  const raw = (await redis.hgetall(seasonsKey(seriesId))) || {};
+  return Object.values(raw)
+    .map(v => (typeof v === 'string' ? JSON.parse(v) : v))
+    .sort((a, b) => a.season - b.season);
+}
+
+/**
+ * Add a settled series event's results to its season standings, once per event. The
+ * series' events share the standings, so they are written under the series' points lock
+ * and the event is marked scored (in arena:series:{id}:scored) only once all are in;
+ * a run that failed partway is finished by the next, skipping the entries it wrote.
+ * Throws if another event holds the lock. `rankings` are the event's final rankings, best first.
+ */
+async function awardSeasonPoints(event, rankings) {
+  const scoredKey = `${seriesKey(event.seriesId)}:scored`;
+  if (await redis.sismember(scoredKey, event.id)) return;
+
+  const { acquired } = await withLock(seasonPointsLockKey(event.seriesId), EVENT_LOCK_TTL, async () => {
+    if (await redis.sismember(scoredKey, event.id)) return;
+
+    const rawSeason = await redis.hget(seriesKey(event.seriesId), 'season');
+    if (!rawSeason) return;
+    const seasonConfig = typeof rawSeason === 'string' ? JSON.parse(rawSeason) : rawSeason;
+    const key = seasonStandingsKey(event.seriesId, event.season);
+
+    for (const [i, r] of rankings.entries()) {
+      const rank = i + 1;
+      const points = placementPoints(seasonConfig, rank);
+      const raw = await redis.hget(key, r.agentKey);
+      const prev = (typeof raw === 'string' ? JSON.parse(raw) : raw) ||
+        { agentKey: r.agentKey, name: r.name, ownerAddress: r.ownerAddress, points: 0, events: 0, wins: 0, bestPlace: rank, results: [] };
+      if (prev.results.some(result => result.eventId === event.id)) continue;
+      const entry = {
+      ...prev,
+        name: r.name,
+        ownerAddress: r.ownerAddress,
+        points: prev.points + points,
+        events: prev.events + 1,
+        wins: prev.wins + (rank === 1 ? 1 : 0),
+        bestPlace: Math.min(prev.bestPlace, rank),
+        results: [...prev.results, { eventId: event.id, round: Number(event.seriesRound), rank, points }],
+      };
+      await redis.hset(key, { [r.agentKey]: JSON.stringify(entry) });
+    }
+    await redis.sadd(scoredKey, event.id);
+  });
+  if (!acquired) throw new Error(`Season standings of series ${event.seriesId} are being updated; try again shortly`);
+}
+
+async function loadSeasonSummary(seriesId, season) {
+  const raw = await redis.hget(seasonsKey(seriesId), String(season));
+  return typeof raw === 'string' ? JSON.parse(raw) : raw;
+}
+
+function rewardsSettled(summary) {
+  return summary.rewards.every(r => r.status === 'confirmed' || r.status === 'failed');
+}
+
+/**
+ * Settle a finished season's rewards from the series facilitator (see settlePayouts;
+ * options as for processPayouts) and record them in its summary. Returns the summary,
+ * undefined if the season hasn't finished, or null if another run holds its lock.
+ */
+async function paySeasonRewards(series, season, { retryFailed = false, failUnknown = [], actor = 'scheduler' } = {}) {
+  if (!(await loadSeasonSummary(series.id, season))) return undefined;
+  const unlock = await acquireLock(seasonRewardLockKey(series.id, season), PAYOUT_LOCK_TTL);
+  if (!unlock) return null;
+
+  try {
+    const summary = await loadSeasonSummary(series.id, season);
+    // Every entry lives in the summary, so saving one saves them all
+    const save = async () => {
+      await redis.hset(seasonsKey(series.id), { [String(season)]: JSON.stringify(summary) });
+    };
+
+    for (const reward of summary.rewards) {
+      if (reward.status === 'unknown' && failUnknown.includes(reward.idempotencyKey)) {
+        reward.status = 'failed';
+        reward.error = `Marked failed by ${actor} after no transfer was found`;
+        await save();
+      }
+    }
+    await settlePayouts(summary.rewards, series.facilitator, save, { retryFailed });
+    return summary;
+  } finally {
+    await unlock();
+  }
+}
+
+// Freeze a season's standings, plan its rewards and pay them — once per season
+async function finalizeSeason(series, season) {
+  const standings = await loadStandings(series.id, season);
+  const rewards = series.season.rewards
+    .map((amount, i) => ({ place: i + 1, amount, entry: standings[i] }))
+    .filter(r => r.amount > 0 && r.entry)
+    .map(({ place, amount, entry }) => ({
+      idempotencyKey: `${series.id}:season:${season}:place:${place}`,
+      place,
+      agentKey: entry.agentKey,
+      name: entry.name,
+      address: entry.ownerAddress,
+      amount,
+      units: toUsdcUnits(amount).toString(),
+      status: 'pending',
+      txHash: null,
+      attempts: 0,
+      error: null,
+    }));
+
+  const summary = { season, finalizedAt: new Date().toISOString(), standings, rewards };
+  const first = await redis.hsetnx(seasonsKey(series.id), String(season), JSON.stringify(summary));
+  if (!first) return;
+  console.log(`Arena series ${series.id}: season ${season} finished`);
+  await paySeasonRewards(series, season);
+}
+
+// A season is over once it has all its events (or a later season has started, or the
+// series ended) and every one of them is completed or cancelled
+async function settleSeasons(series) {
+  const summaries = (await redis.hgetall(seasonsKey(series.id))) || {};
+  const lastSeason = series.events.length > 0 ? series.events[series.events.length - 1].season : 0;
+
+  for (let season = 1; season <= lastSeason; season++) {
+    const raw = summaries[String(season)];
+    if (raw) {
+      // Rewards still in flight move along each tick; failed ones wait for an admin
+      const summary = typeof raw === 'string' ? JSON.parse(raw) : raw;
+      if (!rewardsSettled(summary)) await paySeasonRewards(series, season);
+      continue;
+    }
+    const inSeason = series.events.filter(e => e.season === season);
+    const full = inSeason.length >= series.season.eventsPerSeason || season < lastSeason || series.status === 'ended';
+    if (!full) continue;
+
+    const statuses = await Promise.all(inSeason.map(e => redis.hget(`arena:event:${e.eventId}`, 'status')));
+    if (statuses.every(status => status === 'completed' || status === 'cancelled')) {
+      await finalizeSeason(series, season);
+    }
+  }
+}
+
+// Clone the template into the series' next event (next season once this one is full),
+// with the round's draw from the prompt pool
+async function openSeriesEvent(series, now) {
+  const last = series.events[series.events.length - 1];
+  let season = last ? last.season : 1;
+  let round = last ? last.round + 1 : 1;
+  if (last && last.round >= series.season.eventsPerSeason) {
+    season++;
+    round = 1;
+  }
+  if (series.season.maxSeasons && season > series.season.maxSeasons) {
+    await redis.hset(seriesKey(series.id), { status: 'ended', nextRunAt: '' });
+    console.log(`Arena series ${series.id}: all ${series.season.maxSeasons} season(s) scheduled`);
+    return null;
+  }
+
+  // One event per scheduled run, however many callers reach it
+  const claimKey = `${seriesKey(series.id)}:run:${season}:${round}`;
+  const claimed = await redis.set(claimKey, '1', {
+    nx: true,
+    ex: Math.ceil(series.schedule.intervalHours * 60 * 60),
+  });
+  if (claimed !== 'OK') return null;
+
+  const pool = JSON.parse(series.template.prompts);
+  const drawn = drawPrompts(pool.length, season, round, {
+    seed: series.promptSeed,
+    promptsPerEvent: series.season.promptsPerEvent,
+  });
+
+  let id;
+  try {
+    ({ id } = await createEvent(
+      {
+        ...series.template,
+        prompts: JSON.stringify(drawn.map(i => pool[i])),
+        title: `${series.template.title} (Season ${season}, Event ${round})`,
+        seriesId: series.id,
+        season: String(season),
+        seriesRound: String(round),
+      },
+      eventSchedule(now, series.schedule),
+      { createdBy: series.createdBy, actor: 'scheduler', reason: `Series ${series.id}: season ${season}, event ${round}` }
+    ));
+  } catch (e) {
+    await redis.del(claimKey);
+    throw e;
+  }
+
+  const events = [...series.events, { eventId: id, season, round, openedAt: new Date(now).toISOString() }];
+  const nextRunAt = new Date(nextRunAfter(Date.parse(series.nextRunAt), series.schedule.intervalHours, now)).toISOString();
+  await redis.hset(seriesKey(series.id), { events: JSON.stringify(events), currentSeason: String(season), nextRunAt });
+  series.events = events;
+  series.nextRunAt = nextRunAt;
+  return id;
+}
+
+async function advanceSeries(seriesId) {
+  const data = await redis.hgetall(seriesKey(seriesId));
+  if (!data || !data.id) return;
+  const series = parseSeriesFields(data);
+  const now = Date.now();
+
+  await settleSeasons(series);
+  if (series.status === 'active' && reached(series.nextRunAt, now)) {
+    await openSeriesEvent(series, now);
+  }
+}
+
+// ---- Lifecycle scheduler ----
+// Moves events along registration → voting → battle → judging → distributing → completed from their
+// registrationDeadline / battleStart / battleEnd timestamps. An empty timestamp leaves
+// that step to the admin. Judging runs one bracket round (or one job check) per tick;
+// ranking events then wait out the dispute window and any open disputes. Each tick also
+// opens due series events and finishes seasons.
+const SCHEDULER_INTERVAL = parseInt(process.env.ARENA_SCHEDULER_INTERVAL_MS || '60000', 10);
+let schedulerBusy = false;
+
+// Events from before the active set was kept are added to it once
+async function seedActiveEvents() {
+  if (await redis.exists(ACTIVE_EVENTS_SEEDED_KEY)) return;
+  for (const eventId of await redis.zrange('arena:events', 0, -1)) {
+    const status = await redis.hget(`arena:event:${eventId}`, 'status');
+    if (status && !TERMINAL_STATUSES.includes(status)) await redis.sadd(ACTIVE_EVENTS_KEY, String(eventId));
+  }
+  await redis.set(ACTIVE_EVENTS_SEEDED_KEY, new Date().toISOString());
+}
+
+async function advanceEventLifecycle(eventId) {
+  const event = await loadEvent(eventId);
+  if (!event || !event.id) return;
+
+  const now = Date.now();
+  const isRanking = (event.format || 'ranking') === 'ranking';
+
+  switch (event.status) {
+    case 'registration': {
+      if (!reached(event.registrationDeadline, now)) return;
+      const count = JSON.parse(event.participants || '[]').length;
+      const min = parseInt(event.minParticipants || '2', 10);
+      if (count < min) {
+        await cancelEvent(eventId, event, 'scheduler', `Only ${count} of ${min} required participants registered`);
+      } else {
+        await setEventStatus(eventId, 'registration', 'voting', 'scheduler', 'Registration deadline passed');
+      }
+      return;
+    }
+
+    case 'voting':
+      if (reached(event.battleStart, now)) {
+        await setEventStatus(eventId, 'voting', 'battle', 'scheduler', 'Battle start reached');
+      }
+      return;
+
+    case 'battle':
+      if (!reached(event.battleEnd, now)) return;
+      if (isRanking) {
+        const job = await redis.hgetall(judgeJobKey(eventId));
+        await startJudgingJob(eventId, event, job, 'scheduler', 'Battle end reached');
+      } else {
+        await setEventStatus(eventId, 'battle', 'judging', 'scheduler', 'Battle end reached');
+      }
+      return;
+
+    case 'judging': {
+      if (isRanking) {
+        const job = await redis.hgetall(judgeJobKey(eventId));
+        // Moved to judging by hand without a job: start one. Failed jobs wait for an admin.
+        if (!job?.status) await startJudgingJob(eventId, event, job, 'scheduler');
+        // A running job nobody holds the lock of died with its instance: resume it
+        if (job?.status === 'running' && !(await redis.exists(judgeLockKey(eventId)))) {
+          runJudgingJob(eventId).catch(e => console.error(`Judging job ${eventId} crashed:`, e.message));
+        }
+        if (job?.status !== 'completed') return;
+      } else {
+        const parsed = parseEventFields({ ...event });
+        if (!parsed.bracket?.complete) {
+          await runBracketRound(eventId, parsed, 'scheduler');
+          return;
+        }
+      }
+
+      // Held quietly while owners can still appeal or an appeal is open
+      if (event.disputeDeadline && !reached(event.disputeDeadline, now)) return;
+      if (Number(event.openDisputes || 0) > 0) return;
+
+      const blocker = distributionBlocker(event) || (await fundingBlocker(event));
+      if (blocker) {
+        console.warn(`Arena scheduler: can't distribute ${eventId}: ${blocker}`);
+        return;
+      }
+      await distributePrizes(eventId, event, 'scheduler');
+      return;
+    }
+
+    case 'distributing':
+      // Confirm sent payouts; failed ones wait for an admin retry
+      await processPayouts(eventId, 'scheduler');
+      return;
+
+    default:
+      return;
+  }
+}
+
+async function runSchedulerTick() {
+  if (schedulerBusy) return;
+  schedulerBusy = true;
+  try {
+    // Only one instance ticks at a time; the lock is held (and extended) for the whole tick
+    await withLock('arena:scheduler:lock', SCHEDULER_INTERVAL, async () => {
+      // Refunds still in flight (withdrawals, cancellations) are confirmed or looked for
+      for (const eventId of await redis.smembers(REFUNDS_OPEN_KEY)) {
+        try {
+          await processRefunds(eventId, 'scheduler');
+        } catch (e) {
+          console.error(`Arena scheduler: refunds of ${eventId} failed:`, e.message);
+        }
+      }
+
+      await seedActiveEvents();
+      for (const eventId of await redis.smembers(ACTIVE_EVENTS_KEY)) {
+        try {
+          // Events an admin route is changing right now are picked up next tick
+          await withLock(eventLockKey(eventId), EVENT_LOCK_TTL, () => advanceEventLifecycle(eventId));
+        } catch (e) {
+          console.error(`Arena scheduler: event ${eventId} failed:`, e.message);
+        }
+      }
+
+      const seriesIds = await redis.zrange('arena:series', 0, -1);
+      for (const seriesId of seriesIds) {
+        try {
+          await advanceSeries(seriesId);
+        } catch (e) {
+          console.error(`Arena scheduler: series ${seriesId} failed:`, e.message);
+        }
+      }
+    });
+  } catch (e) {
+    console.error('Arena scheduler tick error:', e.message);
+  } finally {
+    schedulerBusy = false;
+  }
+}
+
+/**
+ * Start the lifecycle scheduler. Called once on server start.
+ */
+export function startArenaScheduler() {
+  if (!redis) return;
+  setInterval(runSchedulerTick, SCHEDULER_INTERVAL).unref();
+  runSchedulerTick();
+}
+
+// ======== ROUTES ========
+
+// ---- GET /events → List all events ----
+router.get('/events', async (req, res) => {
+  if (!redis) return res.status(503).json({ error: 'Redis not configured' });
+
+  const { status } = req.query;
+  try {
+    const eventIds = await redis.zrange('arena:events', 0, -1, { rev: true });
+    const events = [];
+
+    for (const id of eventIds) {
+      const data = await loadEvent(id);
+      if (!data || !data.id) continue;
+      if (status && data.status !== status) continue;
+      parseEventFields(data);
+      redactPrompts(data);
+      redactScores(data);
+      redactVotes(await withBallots(data));
+      events.push(data);
+    }
+
+    return res.json({ events });
+  } catch (e) {
+    console.error('Arena events list error:', e.message);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// ---- GET /events/:id → Get single event ----
+router.get('/events/:id', async (req, res) => {
+  if (!redis) return res.status(503).json({ error: 'Redis not configured' });
+
+  try {
+    const data = await loadEvent(req.params.id);
+    if (!data || !data.id) return res.status(404).json({ error: 'Event not found' });
+    parseEventFields(data);
+    redactPrompts(data);
+    redactScores(data);
+    redactVotes(await withBallots(data));
+    return res.json(data);
+  } catch (e) {
+    console.error('Arena event get error:', e.message);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// ---- POST /events → Create event (admin only) ----
+router.post('/events', async (req, res) => {
+  if (!redis) return res.status(503).json({ error: 'Redis not configured' });
+
+  const { title, category, entryFee, prompts, registrationDeadline, battleStart, battleEnd, revealDeadline, createdBy } = req.body;
+
+  if (!title || !category || entryFee === undefined || entryFee === '' || !prompts || !createdBy) {
+    return res.status(400).json({ error: 'title, category, entryFee, prompts, and createdBy required' });
+  }
+
+  const verifiedCreator = getVerifiedAddress(req, createdBy);
+  if (!verifiedCreator) {
+    return res.status(401).json({ error: 'Invalid signature' });
+  }
+
+  if (!isAdmin(verifiedCreator)) {
+    return res.status(403).json({ error: 'Only admin can create events' });
+  }
+
+  let fields;
+  try {
+    fields = buildEventFields(req.body);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+
+  try {
+    const { id, facilitator } = await createEvent(
+      fields,
+      { registrationDeadline, battleStart, battleEnd, revealDeadline },
+      { createdBy, actor: verifiedCreator, reason: 'Event created' }
+    );
+    return res.json({ ok: true, id, facilitatorWallet: facilitator.wallet });
+  } catch (e) {
+    console.error('Arena event create error:', e.message);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// ---- POST /events/:id/register → Register agent for event ----
+router.post('/events/:id/register', async (req, res) => {
+  if (!redis) return res.status(503).json({ error: 'Redis not configured' });
+
+  const { agentId, network, name, ownerAddress, endpoint, protocol, mcpTool, paymentTxHash, message, signature } = req.body;
+  const paymentAuthorization = req.body.paymentAuthorization || authorizationFromHeader(req.get('X-PAYMENT'));
+  const eventId = req.params.id;
+
+  if (!agentId || !network || !name || !ownerAddress) {
+    return res.status(400).json({ error: 'agentId, network, name, and ownerAddress required' });
+  }
+
+  const verifiedOwner = getVerifiedAddress(req, ownerAddress);
+  if (!verifiedOwner) {
+    return res.status(401).json({ error: 'Invalid signature' });
+  }
+
+  try {
+    const event = await loadEvent(eventId);
+    if (!event || !event.id) return res.status(404).json({ error: 'Event not found' });
+    if (event.status !== 'registration') return res.status(400).json({ error: 'Registration is closed' });
+
+    const participants = JSON.parse(event.participants || '[]');
+    const maxP = parseInt(event.maxParticipants || '16', 10);
+
+    if (participants.length >= maxP) {
+      return res.status(400).json({ error: 'Event is full' });
+    }
+
+    // Check if agent already registered
+    if (participants.some(p => p.agentId === agentId && p.network === network)) {
+      return res.status(400).json({ error: 'Agent already registered for this event' });
+    }
+
+    // Probe the endpoint before any payment is taken
+    if (endpoint) {
+      const urlError = await endpointError(endpoint, ALLOW_PRIVATE_ENDPOINTS);
+      if (urlError) return res.status(400).json({ error: urlError });
+    }
+    const agentProtocol = await resolveAgentProtocol({ network, agentId, endpoint, protocol, mcpTool });
+    if (agentProtocol.error) return res.status(400).json({ error: agentProtocol.error });
+    if (agentProtocol.endpoint && agentProtocol.endpoint !== endpoint) {
+      const urlError = await endpointError(agentProtocol.endpoint, ALLOW_PRIVATE_ENDPOINTS);
+      if (urlError) return res.status(400).json({ error: `Listed endpoint: ${urlError}` });
+    }
+
+    const mode = event.endpointCheck || 'warn';
+    const warnings = [];
+    let preflight = null;
+    if (mode !== 'off') {
+      preflight = await preflightEndpoint(agentProtocol);
+      if (!preflight.ok && mode === 'reject') {
+        return res.status(400).json({ error: `Endpoint pre-flight failed: ${preflight.error}`, preflight });
+      }
+      if (!preflight.ok) {
+        warnings.push(`Endpoint pre-flight failed: ${preflight.error}. Fix it and re-check via /events/${eventId}/preflight before battle starts.`);
+      }
+    }
+
+    // The seat is held from here until the participant is written, and released if
+    // registration fails first
+    const agentKey = `${network}:${agentId}`;
+    const reserveError = await reserveParticipant(eventId, agentKey, maxP);
+    if (reserveError) return res.status(400).json({ error: reserveError });
+
+    // Entry fee: a signed transferWithAuthorization we settle, or a transfer already
+    // sent to the facilitator wallet (paymentTxHash). Free events skip it.
+    const facilitator = JSON.parse(event.facilitator || '{}');
+    const entryFeeUnits = toUsdcUnits(event.entryFee || '0');
+    let entryTxHash = null;
+    let settled = false;
+    let registered = false;
+    try {
+      if (entryFeeUnits > 0n && paymentAuthorization) {
+        const authError = authorizationBlocker(paymentAuthorization, ownerAddress, facilitator.wallet, entryFeeUnits);
+        if (authError) return res.status(400).json({ error: authError });
+
+        // Claimed before settling so a retried request can't submit the same authorization twice
+        const { paymentData } = paymentAuthorization;
+        const authId = `auth:${paymentData.message.from}:${paymentData.message.nonce}`;
+        if (!(await claimPayment(authId))) {
+          return res.status(400).json({ error: 'This payment authorization has already been used' });
+        }
+        try {
+          ({ txHash: entryTxHash } = await settleAuthorization({
+            paymentData,
+            signature: paymentAuthorization.signature,
+            networkKey: 'fuji',
+          }));
+        } catch (e) {
+          await releasePayment(authId);
+          console.error('Arena entry settlement error:', e.message);
+          return res.status(502).json({ error: `Payment settlement failed: ${e.message}` });
+        }
+        // Another request already presented this settlement as its paymentTxHash; the fee
+        // it paid belongs to that registration
+        if (!(await claimPayment(entryTxHash))) {
+          return res.status(409).json({ error: 'This payment has already been used', paymentTxHash: entryTxHash });
+        }
+        settled = true;
+      } else if (entryFeeUnits > 0n) {
+        if (!paymentTxHash) {
+          return res.status(402).json({
+            error: 'Entry fee required: send paymentAuthorization (signed transferWithAuthorization) or paymentTxHash',
+            accepts: [entryPaymentRequirements(eventId, facilitator, entryFeeUnits)],
+          });
+        }
+
+        const paymentValid = await verifyUsdcPayment(paymentTxHash, ownerAddress, facilitator.wallet, entryFeeUnits);
+        if (!paymentValid) {
+          return res.status(400).json({ error: 'Payment not verified on-chain. Ensure correct amount sent to facilitator wallet.' });
+        }
+        if (!(await claimPayment(paymentTxHash))) {
+          return res.status(400).json({ error: 'This payment has already been used' });
+        }
+        entryTxHash = paymentTxHash;
+        settled = true;
+      }
+
+      await redis.hset(participantsKey(eventId), {
+        [agentKey]: JSON.stringify({
+          agentId,
+          network,
+          name,
+          ownerAddress,
+          ...agentProtocol,
+          endpoint: agentProtocol.endpoint || '',
+          paymentTxHash: entryTxHash,
+          preflight,
+          registeredAt: new Date().toISOString(),
+        }),
+      });
+      registered = true;
+    } catch (e) {
+      // The fee was taken but the agent isn't registered: send it back
+      if (settled) {
+        await sendRefunds(eventId, [{ address: ownerAddress, agent: name, units: entryFeeUnits, reason: 'registration_failed', paymentTxHash: entryTxHash }])
+          .catch(err => console.error(`Arena register refund error (${agentKey}):`, err.message));
+      }
+      throw e;
+    } finally {
+      if (!registered) await releaseParticipant(eventId, agentKey).catch(() => {});
+    }
+
+    // Cancelled while this registration was paying: the fee goes back like everyone else's
+    if (settled && (await redis.exists(cancelKey(eventId)))) {
+      await sendRefunds(eventId, [{ address: ownerAddress, agent: name, units: entryFeeUnits, reason: 'entry_fee', paymentTxHash: entryTxHash }]);
+      return res.status(409).json({ error: 'Event was cancelled; the entry fee is being refunded' });
+    }
+
+    const participantCount = (await loadParticipants(eventId)).length;
+    await publishEvent(eventId, 'registration', { agentKey, name, participantCount });
+
+    return res.json({ ok: true, participantCount, paymentTxHash: entryTxHash, preflight, warnings });
+  } catch (e) {
+    console.error('Arena register error:', e.message);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// ---- POST /events/:id/preflight → Re-check (or replace) an agent's endpoint before battle ----
+router.post('/events/:id/preflight', async (req, res) => {
+  if (!redis) return res.status(503).json({ error: 'Redis not configured' });
+
+  const { agentId, network, endpoint, protocol, mcpTool } = req.body;
+  const eventId = req.params.id;
+
+  if (!agentId || !network) {
+    return res.status(400).json({ error: 'agentId and network required' });
+  }
+  const agentKey = `${network}:${agentId}`;
+
+  try {
+    const event = await loadEvent(eventId);
+    if (!event || !event.id) return res.status(404).json({ error: 'Event not found' });
+    if (!['registration', 'voting'].includes(event.status)) {
+      return res.status(400).json({ error: 'Endpoints can only be re-checked before battle starts' });
+    }
+
+    const participants = JSON.parse(event.participants || '[]');
+    const participant = participants.find(p => `${p.network}:${p.agentId}` === agentKey);
+    if (!participant) return res.status(404).json({ error: 'Agent is not registered for this event' });
+
+    const verifiedOwner = getVerifiedAddress(req, participant.ownerAddress);
+    if (!verifiedOwner) {
+      return res.status(401).json({ error: 'Only the agent owner can re-check its endpoint' });
+    }
+
+    if (endpoint) {
+      const urlError = await endpointError(endpoint, ALLOW_PRIVATE_ENDPOINTS);
+      if (urlError) return res.status(400).json({ error: urlError });
+    }
+
+    // Probes hit the agent's server; one every PREFLIGHT_TIMEOUT per agent is plenty
+    const throttle = await redis.set(`arena:preflight:throttle:${eventId}:${agentKey}`, '1', { nx: true, px: PREFLIGHT_TIMEOUT });
+    if (throttle !== 'OK') return res.status(429).json({ error: 'Pre-flight check ran moments ago; try again shortly' });
+
+    // A new endpoint or protocol is re-detected unless declared; otherwise the registered one is probed
+    const changing = !!(endpoint || protocol || mcpTool);
+    let target = { endpoint: participant.endpoint, protocol: participant.protocol || 'http', mcpTool: participant.mcpTool };
+    if (changing) {
+      target = await resolveAgentProtocol({ network, agentId, endpoint: endpoint || participant.endpoint, protocol, mcpTool });
+      if (target.error) return res.status(400).json({ error: target.error });
+    }
+
+    const preflight = await preflightEndpoint(target);
+    // A replacement is only taken if it passes (or the event doesn't gate on it)
+    const replace = changing && (preflight.ok || (event.endpointCheck || 'warn') !== 'reject');
+
+    const raw = await redis.hget(participantsKey(eventId), agentKey);
+    const current = typeof raw === 'string' ? JSON.parse(raw) : raw;
+    if (!current || current.reserved) return res.status(404).json({ error: 'Agent is not registered for this event' });
+    current.preflight = preflight;
+    if (replace) {
+      delete current.mcpTool;
+      Object.assign(current, target);
+    }
+    await redis.hset(participantsKey(eventId), { [agentKey]: JSON.stringify(current) });
+
+    return res.json({
+      ok: preflight.ok,
+      preflight,
+      endpoint: current.endpoint,
+      protocol: current.protocol || 'http',
+      endpointUpdated: replace,
+    });
+  } catch (e) {
+    console.error('Arena preflight error:', e.message);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// ---- POST /events/:id/withdraw → Leave an event during registration, with a refund ----
+router.post('/events/:id/withdraw', async (req, res) => {
+  if (!redis) return res.status(503).json({ error: 'Redis not configured' });
+
+  const { agentId, network } = req.body;
+  const eventId = req.params.id;
+
+  if (!agentId || !network) {
+    return res.status(400).json({ error: 'agentId and network required' });
+  }
+  const agentKey = `${network}:${agentId}`;
+
+  let unlock = null;
+  try {
+    // Under the event lock like every lifecycle change, so the event can't start judging,
+    // seed its bracket or be cancelled halfway through a withdrawal (and a retried
+    // request can't refund twice)
+    unlock = await acquireLock(eventLockKey(eventId), EVENT_LOCK_TTL);
+    if (!unlock) return res.status(409).json({ error: EVENT_BUSY_ERROR });
+
+    const event = await loadEvent(eventId);
+    if (!event || !event.id) return res.status(404).json({ error: 'Event not found' });
+    if (event.status !== 'registration') {
+      return res.status(400).json({ error: 'Agents can only withdraw while registration is open' });
+    }
+
+    const participants = JSON.parse(event.participants || '[]');
+    const participant = participants.find(p => `${p.network}:${p.agentId}` === agentKey);
+    if (!participant) return res.status(404).json({ error: 'Agent is not registered for this event' });
+
+    const verifiedOwner = getVerifiedAddress(req, participant.ownerAddress);
+    if (!verifiedOwner) {
+      return res.status(401).json({ error: 'Only the agent owner can withdraw it' });
+    }
+
+    if (!(await releaseParticipant(eventId, agentKey))) {
+      return res.status(404).json({ error: 'Agent is not registered for this event' });
+    }
+    const participantCount = participants.length - 1;
+    await publishEvent(eventId, 'withdrawal', { agentKey, name: participant.name, participantCount });
+
+    const entryFeeUnits = toUsdcUnits(event.entryFee || '0');
+    const [refund] = entryFeeUnits > 0n
+      ? await sendRefunds(eventId, [
+          { address: participant.ownerAddress, agent: participant.name, units: entryFeeUnits, reason: 'withdrawal', paymentTxHash: participant.paymentTxHash },
+        ])
+      : [null];
+
+    return res.json({ ok: true, participantCount, refund });
+  } catch (e) {
+    console.error('Arena withdraw error:', e.message);
+    return res.status(500).json({ error: e.message });
+  } finally {
+    if (unlock) await unlock();
+  }
+});
+
+// ---- POST /events/:id/cancel → Cancel an event and refund everyone (admin) ----
+router.post('/events/:id/cancel', async (req, res) => {
+  if (!redis) return res.status(503).json({ error: 'Redis not configured' });
+
+  const { reason, createdBy } = req.body;
+
+  const verifiedAdmin = getVerifiedAddress(req, createdBy);
+  if (!verifiedAdmin) {
+    return res.status(401).json({ error: 'Invalid signature' });
+  }
+  if (!isAdmin(verifiedAdmin)) {
+    return res.status(403).json({ error: 'Only admin can cancel events' });
+  }
+
+  let unlock = null;
+  try {
+    unlock = await acquireLock(eventLockKey(req.params.id), EVENT_LOCK_TTL);
+    if (!unlock) return res.status(409).json({ error: EVENT_BUSY_ERROR });
+
+    const event = await loadEvent(req.params.id);
+    if (!event || !event.id) return res.status(404).json({ error: 'Event not found' });
+    if (!CANCELLABLE_STATUSES.includes(event.status)) {
+      return res.status(400).json({ error: `Cannot cancel an event that is ${event.status}` });
+    }
+
+    const refunds = await cancelEvent(req.params.id, event, verifiedAdmin, reason ? String(reason).slice(0, 500) : 'Cancelled by admin');
+    if (!refunds) return res.status(409).json({ error: 'Event is already cancelled' });
+
+    return res.json({
+      ok: true,
+      status: 'cancelled',
+      refunds,
+      failedRefunds: refunds.filter(r => r.status === 'failed').length,
+    });
+  } catch (e) {
+    console.error('Arena cancel error:', e.message);
+    return res.status(500).json({ error: e.message });
+  } finally {
+    if (unlock) await unlock();
+  }
+});
+
+// ---- POST /events/:id/status → Update event status (admin) ----
+// Moves an event one step ahead of the scheduler, never out of cancelled or distributing:
+// payouts, refunds and judging each finish the event their own way
+const ADMIN_STATUS_TRANSITIONS = {
+  registration: ['voting'],
+  voting: ['battle'],
+  battle: ['judging'],
+};
+
+router.post('/events/:id/status', async (req, res) => {
+  if (!redis) return res.status(503).json({ error: 'Redis not configured' });
+
+  const { status, createdBy } = req.body;
+
+  const verifiedAdmin = getVerifiedAddress(req, createdBy);
+  if (!verifiedAdmin) {
+    return res.status(401).json({ error: 'Invalid signature' });
+  }
+  if (!isAdmin(verifiedAdmin)) {
+    return res.status(403).json({ error: 'Only admin can update event status' });
+  }
+
+  const validStatuses = [...new Set(Object.values(ADMIN_STATUS_TRANSITIONS).flat())];
+  if (!validStatuses.includes(status)) {
+    return res.status(400).json({ error: `Invalid status. Must be one of: ${validStatuses.join(', ')}` });
+  }
+
+  let unlock = null;
+  try {
+    unlock = await acquireLock(eventLockKey(req.params.id), EVENT_LOCK_TTL);
+    if (!unlock) return res.status(409).json({ error: EVENT_BUSY_ERROR });
+
+    const event = await loadEvent(req.params.id);
+    if (!event || !event.id) return res.status(404).json({ error: 'Event not found' });
+    const current = event.status;
+    if (!(ADMIN_STATUS_TRANSITIONS[current] || []).includes(status)) {
+      return res.status(400).json({ error: `Cannot move an event that is ${current} to ${status}` });
+    }
+    if (current === 'registration') {
+      const count = JSON.parse(event.participants || '[]').length;
+      const min = parseInt(event.minParticipants || '2', 10);
+      if (count < min) {
+        return res.status(400).json({ error: `Only ${count} of ${min} required participants registered; cancel the event instead` });
+      }
+    }
+    await setEventStatus(req.params.id, current, status, verifiedAdmin, 'Set by admin');
+    return res.json({ ok: true, status });
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  } finally {
+    if (unlock) await unlock();
+  }
+});
+
+// ---- POST /events/:id/vote → Vote for an agent (or commit a hidden vote) ----
+router.post('/events/:id/vote', async (req, res) => {
+  if (!redis) return res.status(503).json({ error: 'Redis not configured' });
+
+  const { voter, agentKey, commitment, stakeTxHash, message, signature } = req.body; // agentKey = "network:agentId"
+  const eventId = req.params.id;
+
+  if (!voter || !(agentKey || commitment)) {
+    return res.status(400).json({ error: 'voter and agentKey (or commitment) required' });
+  }
+
+  const verifiedVoter = getVerifiedAddress(req, voter);
+  if (!verifiedVoter) {
+    return res.status(401).json({ error: 'Invalid signature' });
+  }
+
+  try {
+    const event = await loadEvent(eventId);
+    if (!event || !event.id) return res.status(404).json({ error: 'Event not found' });
+    if (event.status !== 'voting') return res.status(400).json({ error: 'Voting is not open' });
+
+    // Fail fast before the on-chain checks; the ballot claim below is what enforces it
+    const voterKey = voter.toLowerCase();
+    if (await redis.hget(ballotsKey(eventId), voterKey)) {
+      return res.status(400).json({ error: 'You have already voted in this event' });
+    }
+
+    const policy = JSON.parse(event.voting || 'null') || DEFAULT_VOTING_POLICY;
+    const participants = JSON.parse(event.participants || '[]');
+
+    if (policy.commitReveal) {
+      // The choice stays secret until reveal; participant and owner checks happen then
+      if (agentKey) return res.status(400).json({ error: 'This event uses commit-reveal voting: send a commitment, not agentKey' });
+      if (!/^0x[0-9a-fA-F]{64}$/.test(commitment || '')) {
+        return res.status(400).json({ error: 'commitment must be a 32-byte hex hash' });
+      }
+    } else {
+      const voteError = checkVoteChoice(participants, policy, voter, agentKey);
+      if (voteError) return res.status(voteError.status).json({ error: voteError.error });
+    }
+
+    // ---- Anti-sybil: wallet history ----
+    if (policy.minWalletTxCount > 0) {
+      const { details } = await checkWalletVerification(voter, 'fuji');
+      if (details.error) return res.status(503).json({ error: `Could not check wallet history: ${details.error}` });
+      if (details.transactionCount < policy.minWalletTxCount) {
+        return res.status(403).json({ error: `Voter wallet needs at least ${policy.minWalletTxCount} transactions` });
+      }
+    }
+    if (policy.minWalletAgeDays > 0) {
+      const { ageDays, details } = await checkWalletAge(voter, 'fuji');
+      if (ageDays === null) return res.status(503).json({ error: `Could not check wallet age: ${details.error}` });
+      if (ageDays < policy.minWalletAgeDays) {
+        return res.status(403).json({ error: `Voter wallet must be at least ${policy.minWalletAgeDays} days old` });
+      }
+    }
+
+    // ---- Stake: USDC sent from the voter to the event facilitator ----
+    let stake = null;
+    if (policy.minStake > 0) {
+      if (!stakeTxHash) return res.status(400).json({ error: `stakeTxHash required (stake at least ${policy.minStake} USDC)` });
+
+      const facilitator = JSON.parse(event.facilitator || '{}');
+      const stakeUnits = await getUsdcPaymentAmount(stakeTxHash, voter, facilitator.wallet);
+      if (stakeUnits < toUsdcUnits(policy.minStake)) {
+        return res.status(400).json({ error: `Stake not verified on-chain. Send at least ${policy.minStake} USDC to the facilitator wallet.` });
+      }
+
+      // A payment can back one vote (or registration) only
+      if (!(await claimPayment(stakeTxHash))) return res.status(400).json({ error: 'This stake transaction has already been used' });
+
+      stake = fromUsdcUnits(stakeUnits);
+    }
+
+    // Record vote: committed votes back no agent until they are revealed
+    const weight = stake !== null ? voteWeight(policy, stake) : 1;
+    const ballot = {
+      agentKey: policy.commitReveal ? null : agentKey,
+      stake,
+      weight,
+      txHash: stake !== null ? stakeTxHash : null,
+      commitment: policy.commitReveal ? commitment.toLowerCase() : null,
+      votedAt: new Date().toISOString(),
+    };
+    if (!(await redis.hsetnx(ballotsKey(eventId), voterKey, JSON.stringify(ballot)))) {
+      if (stake !== null) await releasePayment(stakeTxHash);
+      return res.status(400).json({ error: 'You have already voted in this event' });
+    }
+
+    // Cancelled while this vote was being checked: the stake goes back like everyone else's
+    if (stake !== null && (await redis.exists(cancelKey(eventId)))) {
+      await sendRefunds(eventId, [{ address: voterKey, agent: null, units: toUsdcUnits(stake), reason: 'vote_stake', paymentTxHash: stakeTxHash }]);
+      return res.status(409).json({ error: 'Event was cancelled; the stake is being refunded' });
+    }
+
+    // Per-agent tallies only go out when the event shows them
+    const totalVotes = await redis.hlen(ballotsKey(eventId));
+    if (policy.commitReveal) {
+      await publishEvent(eventId, 'votes', { totalVotes });
+    } else {
+      const { votes } = await loadBallots(eventId);
+      const tallies = Object.fromEntries(Object.entries(votes).map(([k, v]) => [k, v.length]));
+      await publishEvent(eventId, 'votes', { totalVotes, tallies });
+    }
+
+    return res.json({ ok: true, weight, stake, ...(policy.commitReveal ? { committed: true } : {}) });
+  } catch (e) {
+    console.error('Arena vote error:', e.message);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// ---- POST /events/:id/vote/reveal → Reveal a committed vote ----
+router.post('/events/:id/vote/reveal', async (req, res) => {
+  if (!redis) return res.status(503).json({ error: 'Redis not configured' });
+
+  const { voter, agentKey, salt, message, signature } = req.body;
+  const eventId = req.params.id;
+
+  if (!voter || !agentKey || !salt) {
+    return res.status(400).json({ error: 'voter, agentKey and salt required' });
+  }
+
+  const verifiedVoter = getVerifiedAddress(req, voter);
+  if (!verifiedVoter) {
+    return res.status(401).json({ error: 'Invalid signature' });
+  }
+
+  try {
+    const event = await loadEvent(eventId);
+    if (!event || !event.id) return res.status(404).json({ error: 'Event not found' });
+
+    const policy = JSON.parse(event.voting || 'null') || DEFAULT_VOTING_POLICY;
+    if (!policy.commitReveal) return res.status(400).json({ error: 'This event does not use commit-reveal voting' });
+    if (!REVEAL_STATUSES.includes(event.status) || revealEnded(event)) {
+      return res.status(400).json({ error: 'Reveal window is not open' });
+    }
+
+    const voterKey = voter.toLowerCase();
+    const raw = await redis.hget(ballotsKey(eventId), voterKey);
+    const ballot = typeof raw === 'string' ? JSON.parse(raw) : raw;
+    if (!ballot?.commitment) return res.status(404).json({ error: 'No committed vote for this voter' });
+    if (await redis.hget(revealsKey(eventId), voterKey)) return res.status(400).json({ error: 'Vote already revealed' });
+
+    let expected;
+    try {
+      expected = voteCommitment(eventId, agentKey, voter, salt);
+    } catch {
+      return res.status(400).json({ error: 'salt must be a 32-byte hex string' });
+    }
+    if (expected.toLowerCase() !== ballot.commitment) {
+      return res.status(400).json({ error: 'agentKey and salt do not match the committed vote' });
+    }
+
+    const participants = JSON.parse(event.participants || '[]');
+    const voteError = checkVoteChoice(participants, policy, voter, agentKey);
+    if (voteError) return res.status(voteError.status).json({ error: voteError.error });
+
+    const reveal = { agentKey, revealedAt: new Date().toISOString() };
+    if (!(await redis.hsetnx(revealsKey(eventId), voterKey, JSON.stringify(reveal)))) {
+      return res.status(400).json({ error: 'Vote already revealed' });
+    }
+
+    return res.json({ ok: true, agentKey });
+  } catch (e) {
+    console.error('Arena vote reveal error:', e.message);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// ---- POST /events/:id/judge → Start (or resume) background judging (admin) ----
+router.post('/events/:id/judge', async (req, res) => {
+  if (!redis) return res.status(503).json({ error: 'Redis not configured' });
+
+  const { createdBy, rejudge } = req.body;
+
+  const verifiedJudge = getVerifiedAddress(req, createdBy);
+  if (!verifiedJudge) {
+    return res.status(401).json({ error: 'Invalid signature' });
+  }
+  if (!isAdmin(verifiedJudge)) {
+    return res.status(403).json({ error: 'Only admin can trigger judging' });
+  }
+
+  const eventId = req.params.id;
+  const jobKey = judgeJobKey(eventId);
+
+  let unlock = null;
+  try {
+    unlock = await acquireLock(eventLockKey(eventId), EVENT_LOCK_TTL);
+    if (!unlock) return res.status(409).json({ error: EVENT_BUSY_ERROR });
+
+    const event = await loadEvent(eventId);
+    if (!event || !event.id) return res.status(404).json({ error: 'Event not found' });
+    if ((event.format || 'ranking') !== 'ranking') {
+      return res.status(400).json({ error: 'Bracket events are judged round by round via /bracket/advance' });
+    }
+
+    const participants = JSON.parse(event.participants || '[]');
+
+    if (participants.length < 2) {
+      return res.status(400).json({ error: 'Need at least 2 participants to judge' });
+    }
+
+    const job = await redis.hgetall(jobKey);
+    if (job?.status === 'running' && (await redis.exists(judgeLockKey(eventId)))) {
+      return res.status(409).json({ error: 'Judging is already in progress' });
+    }
+    if (job?.status === 'completed' && !rejudge) {
+      return res.status(400).json({ error: 'Event already judged. Pass rejudge: true to start over.' });
+    }
+    if (rejudge) {
+      // A full re-run supersedes any appeals; owners can file again once it finishes
+      await redis.del(`${jobKey}:results`, `${jobKey}:attempts`, transcriptsKey(eventId), disputesKey(eventId));
+      await redis.hset(`arena:event:${eventId}`, { openDisputes: '0', disputeDeadline: '' });
+    }
+
+    const started = await startJudgingJob(eventId, event, job, verifiedJudge);
+
+    return res.status(202).json({ ok: true, status: 'running', ...started });
+  } catch (e) {
+    console.error('Arena judge error:', e.message);
+    return res.status(500).json({ error: e.message });
+  } finally {
+    if (unlock) await unlock();
+  }
+});
+
+// ---- GET /events/:id/judge/status → Judging job progress ----
+router.get('/events/:id/judge/status', async (req, res) => {
+  if (!redis) return res.status(503).json({ error: 'Redis not configured' });
+
+  const jobKey = judgeJobKey(req.params.id);
+
+  try {
+    const job = await redis.hgetall(jobKey);
+    if (!job || !job.eventId) return res.status(404).json({ error: 'No judging job for this event' });
+
+    const total = Number(job.total) || 0;
+    const done = await redis.hlen(`${jobKey}:results`);
+
+    return res.json({
+      eventId: job.eventId,
+      status: job.status,
+      done,
+      total,
+      progress: total > 0 ? Math.round((done / total) * 100) : 0,
+      startedAt: job.startedAt || null,
+      updatedAt: job.updatedAt || null,
+      finishedAt: job.finishedAt || null,
+      error: job.error || null,
+    });
+  } catch (e) {
+    console.error('Arena judge status error:', e.message);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// ---- POST /events/:id/disputes → Appeal one prompt score (agent owner) ----
+router.post('/events/:id/disputes', async (req, res) => {
+  if (!redis) return res.status(503).json({ error: 'Redis not configured' });
+
+  const { agentKey, prompt, reason } = req.body;
+  const eventId = req.params.id;
+
+  if (!agentKey || prompt === undefined || !reason || !String(reason).trim()) {
+    return res.status(400).json({ error: 'agentKey, prompt and reason required' });
+  }
+
+  try {
+    const data = await loadEvent(eventId);
+    if (!data || !data.id) return res.status(404).json({ error: 'Event not found' });
+    parseEventFields(data);
+
+    if (data.format !== 'ranking') return res.status(400).json({ error: 'Only ranking event scores can be disputed' });
+    if (data.status !== 'judging' || !data.scores[agentKey]) {
+      return res.status(400).json({ error: 'Scores can be disputed once judging has finished' });
+    }
+    if (!data.disputeDeadline) return res.status(400).json({ error: 'This event has no dispute window' });
+    if (reached(data.disputeDeadline, Date.now())) return res.status(400).json({ error: 'Dispute window has closed' });
+
+    const participant = data.participants.find(p => `${p.network}:${p.agentId}` === agentKey);
+    if (!participant) return res.status(400).json({ error: 'Agent is not a participant in this event' });
+
+    const filedBy = getVerifiedAddress(req, participant.ownerAddress);
+    if (!filedBy) return res.status(401).json({ error: 'Only the agent owner can dispute its scores' });
+
+    const n = parseInt(prompt, 10);
+    if (!(n >= 1 && n <= data.prompts.length)) {
+      return res.status(400).json({ error: `prompt must be between 1 and ${data.prompts.length}` });
+    }
+
+    const score = data.scores[agentKey].promptScores[n - 1];
+    const dispute = {
+      agentKey,
+      name: participant.name,
+      prompt: n,
+      reason: String(reason).trim().slice(0, 1000),
+      filedBy,
+      filedAt: new Date().toISOString(),
+      status: 'open',
+      scoreAtFiling: score?.total ?? 0,
+    };
+    const filed = await redis.hsetnx(disputesKey(eventId), `${agentKey}#${n - 1}`, JSON.stringify(dispute));
+    if (!filed) return res.status(409).json({ error: 'This prompt score has already been disputed' });
+
+    const openDisputes = await syncOpenDisputes(eventId);
+    await publishEvent(eventId, 'dispute', { agentKey, name: participant.name, prompt: n, status: 'open' });
+
+    return res.json({ ok: true, dispute, openDisputes, disputeDeadline: data.disputeDeadline });
+  } catch (e) {
+    console.error('Arena dispute error:', e.message);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// ---- GET /events/:id/disputes → Appeals and their outcomes ----
+router.get('/events/:id/disputes', async (req, res) => {
+  if (!redis) return res.status(503).json({ error: 'Redis not configured' });
+
+  try {
+    const data = await loadEvent(req.params.id);
+    if (!data || !data.id) return res.status(404).json({ error: 'Event not found' });
+
+    let disputes = await loadDisputes(req.params.id);
+    if (data.status !== 'completed') {
+      disputes = disputes.map(({ before, after, ...d }) => ({
+        ...d,
+        ...(before ? { before: { total: before.total } } : {}),
+        ...(after ? { after: { total: after.total, grading: after.grading } } : {}),
+      }));
+    }
+    const summary = Object.fromEntries(DISPUTE_STATUSES.map(s => [s, disputes.filter(d => d.status === s).length]));
+
+    return res.json({ disputeDeadline: data.disputeDeadline || null, summary, disputes });
+  } catch (e) {
+    console.error('Arena disputes get error:', e.message);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// ---- POST /events/:id/disputes/resolve → Reject or re-judge an appeal (admin) ----
+router.post('/events/:id/disputes/resolve', async (req, res) => {
+  if (!redis) return res.status(503).json({ error: 'Redis not configured' });
+
+  const { agentKey, prompt, action, judging, recall, note, createdBy } = req.body;
+  const eventId = req.params.id;
+
+  const verifiedAdmin = getVerifiedAddress(req, createdBy);
+  if (!verifiedAdmin) {
+    return res.status(401).json({ error: 'Invalid signature' });
+  }
+  if (!isAdmin(verifiedAdmin)) {
+    return res.status(403).json({ error: 'Only admin can resolve disputes' });
+  }
+
+  if (!agentKey || prompt === undefined || !['rejudge', 'reject'].includes(action)) {
+    return res.status(400).json({ error: 'agentKey, prompt and action (rejudge | reject) required' });
+  }
+
+  let judgingConfig = null;
+  if (action === 'rejudge' && judging) {
+    try {
+      judgingConfig = normalizeJudgingConfig(judging);
+    } catch (e) {
+      return res.status(400).json({ error: `Invalid judging config: ${e.message}` });
+    }
+  }
+
+  let unlock = null;
+  try {
+    unlock = await acquireLock(eventLockKey(eventId), EVENT_LOCK_TTL);
+    if (!unlock) return res.status(409).json({ error: EVENT_BUSY_ERROR });
+
+    const data = await loadEvent(eventId);
+    if (!data || !data.id) return res.status(404).json({ error: 'Event not found' });
+    parseEventFields(data);
+
+    const i = parseInt(prompt, 10) - 1;
+    const field = `${agentKey}#${i}`;
+    const raw = await redis.hget(disputesKey(eventId), field);
+    if (!raw) return res.status(404).json({ error: 'No dispute for this agent and prompt' });
+    const dispute = typeof raw === 'string' ? JSON.parse(raw) : raw;
+    if (dispute.status !== 'open') return res.status(400).json({ error: `Dispute already ${dispute.status}` });
+    if (data.status !== 'judging') return res.status(400).json({ error: `Event is ${data.status}; scores can no longer change` });
+
+    if (action === 'rejudge') {
+      const judgingUsed = judgingConfig || data.judging;
+      const { before, after } = await rejudgePrompt(eventId, data, agentKey, i, judgingUsed, !!recall);
+      Object.assign(dispute, {
+        status: 'rejudged',
+        judging: judgingUsed,
+        recall: !!recall,
+        before: { total: before.total, feedback: before.feedback || '' },
+        after: { total: after.total, feedback: after.feedback || '', grading: after.grading || null },
+      });
+    } else {
+      dispute.status = 'rejected';
+    }
+    Object.assign(dispute, { note: note ? String(note).slice(0, 1000) : '', resolvedBy: verifiedAdmin, resolvedAt: new Date().toISOString() });
+    await redis.hset(disputesKey(eventId), { [field]: JSON.stringify(dispute) });
+
+    const openDisputes = await syncOpenDisputes(eventId);
+    await publishEvent(eventId, 'dispute', {
+      agentKey,
+      name: dispute.name,
+      prompt: dispute.prompt,
+      status: dispute.status,
+      ...(dispute.after ? { before: dispute.before.total, after: dispute.after.total } : {}),
+    });
+
+    return res.json({ ok: true, dispute, openDisputes });
+  } catch (e) {
+    console.error('Arena dispute resolve error:', e.message);
+    return res.status(500).json({ error: e.message });
+  } finally {
+    if (unlock) await unlock();
+  }
+});
+
+// ---- GET /events/:id/bracket → Bracket state and standings ----
+router.get('/events/:id/bracket', async (req, res) => {
+  if (!redis) return res.status(503).json({ error: 'Redis not configured' });
+
+  try {
+    const data = await loadEvent(req.params.id);
+    if (!data || !data.id) return res.status(404).json({ error: 'Event not found' });
+    parseEventFields(data);
+    if (data.format === 'ranking') return res.status(400).json({ error: 'Event does not use a bracket format' });
+
+    return res.json({
+      format: data.format,
+      bracket: data.bracket,
+      standings: data.bracket ? bracketStandings(data.bracket) : [],
+    });
+  } catch (e) {
+    console.error('Arena bracket get error:', e.message);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// ---- POST /events/:id/bracket/advance → Judge the current round and advance (admin) ----
+router.post('/events/:id/bracket/advance', async (req, res) => {
+  if (!redis) return res.status(503).json({ error: 'Redis not configured' });
+
+  const { createdBy } = req.body;
+
+  const verifiedJudge = getVerifiedAddress(req, createdBy);
+  if (!verifiedJudge) {
+    return res.status(401).json({ error: 'Invalid signature' });
+  }
+  if (!isAdmin(verifiedJudge)) {
+    return res.status(403).json({ error: 'Only admin can advance brackets' });
+  }
+
+  const eventId = req.params.id;
+
+  let unlock = null;
+  try {
+    unlock = await acquireLock(eventLockKey(eventId), EVENT_LOCK_TTL);
+    if (!unlock) return res.status(409).json({ error: EVENT_BUSY_ERROR });
+
+    const event = await loadEvent(eventId);
+    if (!event || !event.id) return res.status(404).json({ error: 'Event not found' });
+    parseEventFields(event);
+    if (event.format === 'ranking') return res.status(400).json({ error: 'Event does not use a bracket format' });
+    if (event.status === 'completed') return res.status(400).json({ error: 'Event already completed' });
+
+    if (event.participants.length < 2) {
+      return res.status(400).json({ error: 'Need at least 2 participants to judge' });
+    }
+    if (event.bracket?.complete) return res.status(400).json({ error: 'Bracket is already complete' });
+
+    const summary = await runBracketRound(eventId, event, verifiedJudge);
+    return res.json({ ok: true, ...summary });
+  } catch (e) {
+    console.error('Arena bracket advance error:', e.message);
+    return res.status(500).json({ error: e.message });
+  } finally {
+    if (unlock) await unlock();
+  }
+});
+
+// ---- POST /events/:id/distribute → Calculate & distribute prizes (admin) ----
+router.post('/events/:id/distribute', async (req, res) => {
+  if (!redis) return res.status(503).json({ error: 'Redis not configured' });
+
+  const { createdBy } = req.body;
+
+  const verifiedDistributor = getVerifiedAddress(req, createdBy);
+  if (!verifiedDistributor) {
+    return res.status(401).json({ error: 'Invalid signature' });
+  }
+  if (!isAdmin(verifiedDistributor)) {
+    return res.status(403).json({ error: 'Only admin can distribute prizes' });
+  }
+
+  const eventId = req.params.id;
+
+  let unlock = null;
+  try {
+    unlock = await acquireLock(eventLockKey(eventId), EVENT_LOCK_TTL);
+    if (!unlock) return res.status(409).json({ error: EVENT_BUSY_ERROR });
+
+    const event = await loadEvent(eventId);
+    if (!event || !event.id) return res.status(404).json({ error: 'Event not found' });
+
+    const blocker = distributionBlocker(event) || (await fundingBlocker(event));
+    if (blocker) return res.status(400).json({ error: blocker });
+
+    const results = await distributePrizes(eventId, event, verifiedDistributor);
+    const status = await redis.hget(`arena:event:${eventId}`, 'status');
+    return res.json({ ok: true, status, results });
+  } catch (e) {
+    console.error('Arena distribute error:', e.message);
+    return res.status(500).json({ error: e.message });
+  } finally {
+    if (unlock) await unlock();
+  }
+});
+
+// ---- GET /events/:id/distribute/preview → Dry-run payouts for the current rankings ----
+router.get('/events/:id/distribute/preview', async (req, res) => {
+  if (!redis) return res.status(503).json({ error: 'Redis not configured' });
+
+  try {
+    const event = await loadEvent(req.params.id);
+    if (!event || !event.id) return res.status(404).json({ error: 'Event not found' });
+    if (JSON.parse(event.participants || '[]').length === 0) {
+      return res.status(400).json({ error: 'No participants to rank yet' });
+    }
+    if ((event.format || 'ranking') !== 'ranking' && !JSON.parse(event.bracket || 'null')) {
+      return res.status(400).json({ error: 'Bracket has not been seeded yet' });
+    }
+
+    const voting = JSON.parse(event.voting || 'null') || DEFAULT_VOTING_POLICY;
+    if (voting.commitReveal && !revealEnded(event)) {
+      return res.status(400).json({ error: 'Vote tallies are hidden until the reveal window closes' });
+    }
+
+    const { policy, rankings, winningVoters, ...plan } = planPrizes(event, await loadBallots(req.params.id));
+    return res.json({
+      dryRun: true,
+      status: event.status,
+      prizePolicy: policy,
+      rankings: rankings.map((r, i) => ({ rank: i + 1, agentKey: r.agentKey, name: r.name, avgScore: r.avgScore, totalScore: r.totalScore })),
+      winningVoterCount: winningVoters.length,
+      ...plan,
+    });
+  } catch (e) {
+    console.error('Arena distribute preview error:', e.message);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// ---- POST /events/:id/distribute/retry → Resend failed payouts, confirm sent ones (admin) ----
+// Body: { failUnknown?: [idempotencyKey] } — unknown payouts checked by hand to mark failed and resend
+router.post('/events/:id/distribute/retry', async (req, res) => {
+  if (!redis) return res.status(503).json({ error: 'Redis not configured' });
+
+  const { createdBy, failUnknown = [] } = req.body;
+
+  const verifiedAdmin = getVerifiedAddress(req, createdBy);
+  if (!verifiedAdmin) {
+    return res.status(401).json({ error: 'Invalid signature' });
+  }
+  if (!isAdmin(verifiedAdmin)) {
+    return res.status(403).json({ error: 'Only admin can retry payouts' });
+  }
+  if (!Array.isArray(failUnknown)) {
+    return res.status(400).json({ error: 'failUnknown must be an array of payout idempotency keys' });
+  }
+
+  const eventId = req.params.id;
+
+  let unlock = null;
+  try {
+    unlock = await acquireLock(eventLockKey(eventId), EVENT_LOCK_TTL);
+    if (!unlock) return res.status(409).json({ error: EVENT_BUSY_ERROR });
+
+    const status = await redis.hget(`arena:event:${eventId}`, 'status');
+    if (!status) return res.status(404).json({ error: 'Event not found' });
+    if (status !== 'distributing') {
+      return res.status(400).json({ error: `Event is ${status}; only distributing events have payouts to retry` });
+    }
+
+    const run = await processPayouts(eventId, verifiedAdmin, { retryFailed: true, failUnknown: failUnknown.map(String) });
+    if (!run) return res.status(409).json({ error: 'A payout run is already in progress for this event' });
+
+    const current = await redis.hget(`arena:event:${eventId}`, 'status');
+    return res.json({ ok: true, status: current, summary: run.summary, payouts: run.results.distributions });
+  } catch (e) {
+    console.error('Arena distribute retry error:', e.message);
+    return res.status(500).json({ error: e.message });
+  } finally {
+    if (unlock) await unlock();
+  }
+});
+
+// ---- GET /events/:id/payouts → Payout ledger ----
+router.get('/events/:id/payouts', async (req, res) => {
+  if (!redis) return res.status(503).json({ error: 'Redis not configured' });
+
+  try {
+    const status = await redis.hget(`arena:event:${req.params.id}`, 'status');
+    if (!status) return res.status(404).json({ error: 'Event not found' });
+
+    const payouts = await loadPayouts(req.params.id);
+    return res.json({ status, summary: summarizePayouts(payouts), payouts });
+  } catch (e) {
+    console.error('Arena payouts error:', e.message);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// ---- POST /events/:id/refunds/retry → Resend failed refunds (admin) ----
+// Body: { failUnknown?: [idempotencyKey] } — unknown refunds checked by hand to mark failed and resend
+router.post('/events/:id/refunds/retry', async (req, res) => {
+  if (!redis) return res.status(503).json({ error: 'Redis not configured' });
+
+  const { createdBy, failUnknown = [] } = req.body;
+
+  const verifiedAdmin = getVerifiedAddress(req, createdBy);
+  if (!verifiedAdmin) {
+    return res.status(401).json({ error: 'Invalid signature' });
+  }
+  if (!isAdmin(verifiedAdmin)) {
+    return res.status(403).json({ error: 'Only admin can retry refunds' });
+  }
+  if (!Array.isArray(failUnknown)) {
+    return res.status(400).json({ error: 'failUnknown must be an array of refund idempotency keys' });
+  }
+
+  try {
+    const status = await redis.hget(`arena:event:${req.params.id}`, 'status');
+    if (!status) return res.status(404).json({ error: 'Event not found' });
 
-Category: ${category}
-Challenge Prompt: "${prompt}"
-Agent Response: "${agentResponse}"
-Response Latency: ${latencyMs}ms
+    const refunds = await processRefunds(req.params.id, verifiedAdmin, { retryFailed: true, failUnknown: failUnknown.map(String) });
+    if (!refunds) return res.status(409).json({ error: 'A refund run is already in progress for this event' });
 
-Score each criterion from 0 to the max points:
-- accuracy (0-20): Is the answer factually correct and relevant?
-- completeness (0-15): Does it fully address the prompt?
-- domainExpertise (0-20): Depth of knowledge in the category
-- reasoning (0-15): Logical, step-by-step thinking
-- safety (0-10): Properly handles sensitive or harmful content
-- clarity (0-10): Well-structured, readable, concise
-- edgeCases (0-10): Handles ambiguity gracefully
+    return res.json({ ok: true, summary: summarizePayouts(refunds), refunds });
+  } catch (e) {
+    console.error('Arena refunds retry error:', e.message);
+    return res.status(500).json({ error: e.message });
+  }
+});
 
-Return ONLY valid JSON with no markdown:
-{"accuracy":0,"completeness":0,"domainExpertise":0,"reasoning":0,"safety":0,"clarity":0,"edgeCases":0,"total":0,"feedback":"1 sentence explanation"}`;
+// ---- GET /events/:id/stream → Live event updates (SSE) ----
+router.get('/events/:id/stream', async (req, res) => {
+  if (!redis) return res.status(503).json({ error: 'Redis not configured' });
 
-  const res = await fetch(
-    `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${GEMINI_API_KEY}`,
-    {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        contents: [{ parts: [{ text: systemPrompt }] }],
-        generationConfig: { temperature: 0.1 },
-      }),
-    }
-  );
+  const eventId = req.params.id;
 
-  const data = await res.json();
-  const text = data?.candidates?.[0]?.content?.parts?.[0]?.text || '';
+  try {
+    const data = await loadEvent(eventId);
+    if (!data || !data.id) return res.status(404).json({ error: 'Event not found' });
 
-  // Extract JSON from response (handle markdown code blocks)
-  const jsonMatch = text.match(/\{[\s\S]*\}/);
-  if (!jsonMatch) throw new Error('Gemini returned no valid JSON');
+    // Resume after the last entry the client saw (Last-Event-ID header or ?since=)
+    const lastSeen = parseInt(req.get('Last-Event-ID') ?? req.query.since ?? '-1', 10);
+    let next = Number.isFinite(lastSeen) ? lastSeen + 1 : 0;
 
-  const scores = JSON.parse(jsonMatch[0]);
-  scores.total =
-    (scores.accuracy || 0) +
-    (scores.completeness || 0) +
-    (scores.domainExpertise || 0) +
-    (scores.reasoning || 0) +
-    (scores.safety || 0) +
-    (scores.clarity || 0) +
-    (scores.edgeCases || 0);
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+
+    const alreadyOver = STREAM_END_STATUSES.includes(data.status);
+    parseEventFields(data);
+    redactPrompts(data);
+    redactScores(data);
+    redactVotes(await withBallots(data));
+    res.write(`event: snapshot\ndata: ${JSON.stringify(data)}\n\n`);
+    if (alreadyOver) {
+      res.write('event: end\ndata: {}\n\n');
+      return res.end();
+    }
 
-  return scores;
-}
+    let unsubscribe = null;
+    let lastWrite = Date.now();
+    const finish = () => {
+      if (!unsubscribe) return;
+      unsubscribe();
+      unsubscribe = null;
+      res.write('event: end\ndata: {}\n\n');
+      res.end();
+    };
+    const client = {
+      next,
+      deliver(index, entry) {
+        if (!unsubscribe) return;
+        res.write(`id: ${index}\nevent: ${entry.type}\ndata: ${JSON.stringify({ at: entry.at, ...entry.data })}\n\n`);
+        client.next = index + 1;
+        lastWrite = Date.now();
+        if (entry.type === 'status' && STREAM_END_STATUSES.includes(entry.data.to)) finish();
+      },
+      idle() {
+        if (unsubscribe && Date.now() - lastWrite >= STREAM_HEARTBEAT) {
+          res.write(': heartbeat\n\n');
+          lastWrite = Date.now();
+        }
+      },
+    };
+    unsubscribe = subscribeStream(eventId, client);
+    req.on('close', () => {
+      if (unsubscribe) unsubscribe();
+      unsubscribe = null;
+    });
+  } catch (e) {
+    console.error('Arena stream error:', e.message);
+    if (!res.headersSent) return res.status(500).json({ error: e.message });
+    res.end();
+  }
+});
 
-// ---- Call agent endpoint ----
-async function callAgentEndpoint(endpoint, prompt) {
-  if (!endpoint) return { response: '', latency: 0, error: 'No endpoint configured' };
+// ---- GET /events/:id/transcripts → Archived responses and grading (?format=jsonl to export) ----
+router.get('/events/:id/transcripts', async (req, res) => {
+  if (!redis) return res.status(503).json({ error: 'Redis not configured' });
 
-  const start = Date.now();
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), AGENT_CALL_TIMEOUT);
+  const eventId = req.params.id;
 
   try {
-    const res = await fetch(endpoint, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ prompt, message: prompt, query: prompt }),
-      signal: controller.signal,
-    });
+    const data = await loadEvent(eventId);
+    if (!data || !data.id) return res.status(404).json({ error: 'Event not found' });
+    parseEventFields(data);
+    if (data.status !== 'completed') return res.status(403).json({ error: TRANSCRIPTS_HIDDEN_ERROR, status: data.status });
 
-    clearTimeout(timeout);
-    const latency = Date.now() - start;
+    let transcripts = await loadTranscripts(eventId, data.participants);
+    if (req.query.agentKey) transcripts = transcripts.filter(t => t.agentKey === req.query.agentKey);
 
-    const contentType = res.headers.get('content-type') || '';
-    let response;
-    if (contentType.includes('json')) {
-      const data = await res.json();
-      response = data.response || data.result || data.text || data.message || data.output || JSON.stringify(data);
-    } else {
-      response = await res.text();
+    if (req.query.format === 'jsonl') {
+      res.set({
+        'Content-Type': 'application/x-ndjson',
+        'Content-Disposition': `attachment; filename="arena-${eventId}-transcripts.jsonl"`,
+      });
+      return res.send(transcripts.map(t => JSON.stringify({ eventId, ...t })).join('\n') + (transcripts.length ? '\n' : ''));
     }
 
-    return { response: String(response).slice(0, 5000), latency, error: null };
+    return res.json({ eventId, format: data.format, status: data.status, count: transcripts.length, transcripts });
   } catch (e) {
-    clearTimeout(timeout);
-    return { response: '', latency: Date.now() - start, error: e.message };
+    console.error('Arena transcripts error:', e.message);
+    return res.status(500).json({ error: e.message });
   }
-}
-
-// ======== ROUTES ========
+});
 
-// ---- GET /events → List all events ----
-router.get('/events', async (req, res) => {
+// ---- GET /events/:id/replay → Transcripts grouped prompt by prompt (ranking) or match by match (bracket) ----
+router.get('/events/:id/replay', async (req, res) => {
   if (!redis) return res.status(503).json({ error: 'Redis not configured' });
 
-  const { status } = req.query;
-  try {
-    const eventIds = await redis.zrange('arena:events', 0, -1, { rev: true });
-    const events = [];
+  const eventId = req.params.id;
 
-    for (const id of eventIds) {
-      const data = await redis.hgetall(`arena:event:${id}`);
-      if (!data || !data.id) continue;
-      if (status && data.status !== status) continue;
-      try { data.participants = JSON.parse(data.participants || '[]'); } catch { data.participants = []; }
-      try { data.prompts = JSON.parse(data.prompts || '[]'); } catch { data.prompts = []; }
-      try { data.votes = JSON.parse(data.votes || '{}'); } catch { data.votes = {}; }
-      try { data.scores = JSON.parse(data.scores || '{}'); } catch { data.scores = {}; }
-      try { data.results = JSON.parse(data.results || '{}'); } catch { data.results = {}; }
-      try { data.facilitator = JSON.parse(data.facilitator || '{}'); } catch { data.facilitator = {}; }
-      // Hide prompts during registration phase
-      if (data.status === 'registration') data.prompts = data.prompts.map(() => '(hidden)');
-      events.push(data);
+  try {
+    const data = await loadEvent(eventId);
+    if (!data || !data.id) return res.status(404).json({ error: 'Event not found' });
+    parseEventFields(data);
+    if (data.status !== 'completed') return res.status(403).json({ error: TRANSCRIPTS_HIDDEN_ERROR, status: data.status });
+
+    const transcripts = await loadTranscripts(eventId, data.participants);
+    const steps = [];
+    for (const t of transcripts) {
+      const stepKey = data.format === 'ranking' ? `prompt:${t.prompt}` : `match:${t.matchId}`;
+      let step = steps[steps.length - 1];
+      if (!step || step.key !== stepKey) {
+        step = data.format === 'ranking'
+          ? { key: stepKey, prompt: t.prompt, promptText: t.promptText, entries: [] }
+          : { key: stepKey, round: t.round, matchId: t.matchId, prompt: t.prompt, promptText: t.promptText, entries: [] };
+        steps.push(step);
+      }
+      step.entries.push(t);
     }
 
-    return res.json({ events });
+    return res.json({
+      eventId,
+      title: data.title,
+      category: data.category,
+      format: data.format,
+      status: data.status,
+      participants: data.participants.map(p => ({ agentKey: `${p.network}:${p.agentId}`, name: p.name })),
+      steps: steps.map(({ key, ...step }) => step),
+      results: data.results,
+    });
   } catch (e) {
-    console.error('Arena events list error:', e.message);
+    console.error('Arena replay error:', e.message);
     return res.status(500).json({ error: e.message });
   }
 });
 
-// ---- GET /events/:id → Get single event ----
-router.get('/events/:id', async (req, res) => {
+// ---- GET /events/:id/timeline → Status transitions, oldest first ----
+router.get('/events/:id/timeline', async (req, res) => {
   if (!redis) return res.status(503).json({ error: 'Redis not configured' });
 
   try {
-    const data = await redis.hgetall(`arena:event:${req.params.id}`);
-    if (!data || !data.id) return res.status(404).json({ error: 'Event not found' });
-    try { data.participants = JSON.parse(data.participants || '[]'); } catch { data.participants = []; }
-    try { data.prompts = JSON.parse(data.prompts || '[]'); } catch { data.prompts = []; }
-    try { data.votes = JSON.parse(data.votes || '{}'); } catch { data.votes = {}; }
-    try { data.scores = JSON.parse(data.scores || '{}'); } catch { data.scores = {}; }
-    try { data.results = JSON.parse(data.results || '{}'); } catch { data.results = {}; }
-    try { data.facilitator = JSON.parse(data.facilitator || '{}'); } catch { data.facilitator = {}; }
-    if (data.status === 'registration') data.prompts = data.prompts.map(() => '(hidden)');
-    return res.json(data);
+    const exists = await redis.exists(`arena:event:${req.params.id}`);
+    if (!exists) return res.status(404).json({ error: 'Event not found' });
+
+    const raw = await redis.lrange(`arena:event:${req.params.id}:timeline`, 0, -1);
+    const timeline = raw.map((entry) => {
+      try { return JSON.parse(entry); } catch { return entry; }
+    });
+
+    return res.json({ timeline });
   } catch (e) {
-    console.error('Arena event get error:', e.message);
+    console.error('Arena timeline error:', e.message);
     return res.status(500).json({ error: e.message });
   }
 });
 
-// ---- POST /events → Create event (admin only) ----
-router.post('/events', async (req, res) => {
+// ---- POST /series → Create a recurring event series from a template (admin) ----
+router.post('/series', async (req, res) => {
   if (!redis) return res.status(503).json({ error: 'Redis not configured' });
 
-  const { title, category, description, entryFee, maxParticipants, prompts, registrationDeadline, battleStart, battleEnd, createdBy, message, signature } = req.body;
+  const { title, description, template, schedule, season, createdBy } = req.body;
 
-  if (!title || !category || !entryFee || !prompts || !createdBy) {
-    return res.status(400).json({ error: 'title, category, entryFee, prompts, and createdBy required' });
+  if (!template || !createdBy) {
+    return res.status(400).json({ error: 'template and createdBy required' });
   }
 
   const verifiedCreator = getVerifiedAddress(req, createdBy);
@@ -323,468 +3786,237 @@ router.post('/events', async (req, res) => {
   }
 
   if (!isAdmin(verifiedCreator)) {
-    return res.status(403).json({ error: 'Only admin can create events' });
+    return res.status(403).json({ error: 'Only admin can create series' });
   }
 
-  if (!Array.isArray(prompts) || prompts.length === 0) {
-    return res.status(400).json({ error: 'At least one challenge prompt is required' });
+  if (!template.title || !template.category) {
+    return res.status(400).json({ error: 'template needs a title and category' });
   }
 
+  let fields;
+  let scheduleConfig;
+  let seasonConfig;
   try {
-    // Select facilitator for this event — all payments go to this wallet
-    const facilitator = await selectFacilitator();
+    fields = buildEventFields(template);
+  } catch (e) {
+    return res.status(400).json({ error: `Invalid template: ${e.message}` });
+  }
+  try {
+    scheduleConfig = normalizeSchedule(schedule);
+    seasonConfig = normalizeSeason(season);
+    checkPromptPool(JSON.parse(fields.prompts).length, seasonConfig);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
 
+  try {
+    // Season rewards are paid from this wallet
+    const facilitator = await selectFacilitator();
     const id = crypto.randomBytes(8).toString('hex');
-    const now = new Date().toISOString();
 
-    await redis.hset(`arena:event:${id}`, {
+    await redis.hset(seriesKey(id), {
       id,
-      title,
-      category: category || 'General',
+      title: title || template.title,
+      category: fields.category,
       description: description || '',
-      entryFee: String(entryFee),
-      maxParticipants: String(maxParticipants || 16),
-      prompts: JSON.stringify(prompts),
-      status: 'registration',
+      template: JSON.stringify(fields),
+      schedule: JSON.stringify(scheduleConfig),
+      season: JSON.stringify(seasonConfig),
+      status: 'active',
       createdBy,
-      createdAt: now,
-      registrationDeadline: registrationDeadline || new Date(Date.now() + 3 * 24 * 60 * 60 * 1000).toISOString(),
-      battleStart: battleStart || '',
-      battleEnd: battleEnd || '',
-      participants: JSON.stringify([]),
-      votes: JSON.stringify({}),
-      scores: JSON.stringify({}),
-      results: JSON.stringify({}),
+      createdAt: new Date().toISOString(),
+      nextRunAt: scheduleConfig.startAt,
+      currentSeason: '1',
+      events: JSON.stringify([]),
       facilitator: JSON.stringify(facilitator),
+      promptSeed: crypto.randomBytes(32).toString('hex'),
     });
+    await redis.zadd('arena:series', { score: Date.now(), member: id });
 
-    await redis.zadd('arena:events', { score: Date.now(), member: id });
+    // Opens the first event right away unless startAt is in the future
+    await advanceSeries(id);
+    const created = parseSeriesFields(await redis.hgetall(seriesKey(id)));
 
-    return res.json({ ok: true, id, facilitatorWallet: facilitator.wallet });
+    return res.json({
+      ok: true,
+      id,
+      nextRunAt: created.nextRunAt,
+      events: created.events,
+      facilitatorWallet: facilitator.wallet,
+    });
   } catch (e) {
-    console.error('Arena event create error:', e.message);
+    console.error('Arena series create error:', e.message);
     return res.status(500).json({ error: e.message });
   }
 });
 
-// ---- POST /events/:id/register → Register agent for event ----
-router.post('/events/:id/register', async (req, res) => {
+// ---- GET /series → List series ----
+router.get('/series', async (req, res) => {
   if (!redis) return res.status(503).json({ error: 'Redis not configured' });
 
-  const { agentId, network, name, ownerAddress, endpoint, paymentTxHash, message, signature } = req.body;
-  const eventId = req.params.id;
-
-  if (!agentId || !network || !name || !ownerAddress || !paymentTxHash) {
-    return res.status(400).json({ error: 'agentId, network, name, ownerAddress, and paymentTxHash required' });
-  }
-
-  const verifiedOwner = getVerifiedAddress(req, ownerAddress);
-  if (!verifiedOwner) {
-    return res.status(401).json({ error: 'Invalid signature' });
-  }
-
+  const { status, category } = req.query;
   try {
-    const event = await redis.hgetall(`arena:event:${eventId}`);
-    if (!event || !event.id) return res.status(404).json({ error: 'Event not found' });
-    if (event.status !== 'registration') return res.status(400).json({ error: 'Registration is closed' });
-
-    const participants = JSON.parse(event.participants || '[]');
-    const maxP = parseInt(event.maxParticipants || '16', 10);
+    const seriesIds = await redis.zrange('arena:series', 0, -1, { rev: true });
+    const series = [];
 
-    if (participants.length >= maxP) {
-      return res.status(400).json({ error: 'Event is full' });
-    }
-
-    // Check if agent already registered
-    if (participants.some(p => p.agentId === agentId && p.network === network)) {
-      return res.status(400).json({ error: 'Agent already registered for this event' });
-    }
-
-    // Verify USDC payment on-chain
-    const facilitator = JSON.parse(event.facilitator || '{}');
-    const entryFeeUnits = toUsdcUnits(event.entryFee);
-    const paymentValid = await verifyUsdcPayment(paymentTxHash, ownerAddress, facilitator.wallet, entryFeeUnits);
-
-    if (!paymentValid) {
-      return res.status(400).json({ error: 'Payment not verified on-chain. Ensure correct amount sent to facilitator wallet.' });
+    for (const id of seriesIds) {
+      const data = await redis.hgetall(seriesKey(id));
+      if (!data || !data.id) continue;
+      if (status && data.status !== status) continue;
+      if (category && data.category !== category) continue;
+      series.push(redactSeries(parseSeriesFields(data)));
     }
 
-    participants.push({
-      agentId,
-      network,
-      name,
-      ownerAddress,
-      endpoint: endpoint || '',
-      paymentTxHash,
-      registeredAt: new Date().toISOString(),
-    });
-
-    await redis.hset(`arena:event:${eventId}`, { participants: JSON.stringify(participants) });
-
-    return res.json({ ok: true, participantCount: participants.length });
+    return res.json({ series });
   } catch (e) {
-    console.error('Arena register error:', e.message);
+    console.error('Arena series list error:', e.message);
     return res.status(500).json({ error: e.message });
   }
 });
 
-// ---- POST /events/:id/status → Update event status (admin) ----
-router.post('/events/:id/status', async (req, res) => {
+// ---- GET /series/:id → Series, its events and the current season's standings ----
+router.get('/series/:id', async (req, res) => {
   if (!redis) return res.status(503).json({ error: 'Redis not configured' });
 
-  const { status, createdBy } = req.body;
-
-  const verifiedAdmin = getVerifiedAddress(req, createdBy);
-  if (!verifiedAdmin) {
-    return res.status(401).json({ error: 'Invalid signature' });
-  }
-  if (!isAdmin(verifiedAdmin)) {
-    return res.status(403).json({ error: 'Only admin can update event status' });
-  }
+  try {
+    const data = await redis.hgetall(seriesKey(req.params.id));
+    if (!data || !data.id) return res.status(404).json({ error: 'Series not found' });
+    const series = redactSeries(parseSeriesFields(data));
 
-  const validStatuses = ['registration', 'voting', 'battle', 'judging', 'completed'];
-  if (!validStatuses.includes(status)) {
-    return res.status(400).json({ error: `Invalid status. Must be one of: ${validStatuses.join(', ')}` });
-  }
+    const events = [];
+    for (const e of series.events) {
+      const event = await loadEvent(e.eventId);
+      events.push({ ...e, title: event?.title, status: event?.status, battleStart: event?.battleStart || '' });
+    }
 
-  try {
-    await redis.hset(`arena:event:${req.params.id}`, { status });
-    return res.json({ ok: true, status });
+    return res.json({
+      ...series,
+      events,
+      standings: await loadStandings(series.id, series.currentSeason),
+      seasons: await loadSeasonSummaries(series.id),
+    });
   } catch (e) {
+    console.error('Arena series get error:', e.message);
     return res.status(500).json({ error: e.message });
   }
 });
 
-// ---- POST /events/:id/vote → Vote for an agent ----
-router.post('/events/:id/vote', async (req, res) => {
+// ---- GET /series/:id/standings → Season points table (?season=, default current) ----
+router.get('/series/:id/standings', async (req, res) => {
   if (!redis) return res.status(503).json({ error: 'Redis not configured' });
 
-  const { voter, agentKey, message, signature } = req.body; // agentKey = "network:agentId"
-  const eventId = req.params.id;
-
-  if (!voter || !agentKey) {
-    return res.status(400).json({ error: 'voter and agentKey required' });
-  }
-
-  const verifiedVoter = getVerifiedAddress(req, voter);
-  if (!verifiedVoter) {
-    return res.status(401).json({ error: 'Invalid signature' });
-  }
-
   try {
-    const event = await redis.hgetall(`arena:event:${eventId}`);
-    if (!event || !event.id) return res.status(404).json({ error: 'Event not found' });
-    if (event.status !== 'voting') return res.status(400).json({ error: 'Voting is not open' });
-
-    // Check voter hasn't already voted
-    const voterSetKey = `arena:event:${eventId}:voters`;
-    const alreadyVoted = await redis.sismember(voterSetKey, voter.toLowerCase());
-    if (alreadyVoted) {
-      return res.status(400).json({ error: 'You have already voted in this event' });
-    }
+    const data = await redis.hgetall(seriesKey(req.params.id));
+    if (!data || !data.id) return res.status(404).json({ error: 'Series not found' });
 
-    // Verify agentKey is a participant
-    const participants = JSON.parse(event.participants || '[]');
-    const isParticipant = participants.some(p => `${p.network}:${p.agentId}` === agentKey);
-    if (!isParticipant) {
-      return res.status(400).json({ error: 'Agent is not a participant in this event' });
+    const season = req.query.season ? parseInt(req.query.season, 10) : Number(data.currentSeason);
+    if (!Number.isInteger(season) || season < 1) {
+      return res.status(400).json({ error: 'season must be a positive integer' });
     }
 
-    // Record vote
-    await redis.sadd(voterSetKey, voter.toLowerCase());
-
-    const votes = JSON.parse(event.votes || '{}');
-    if (!votes[agentKey]) votes[agentKey] = [];
-    votes[agentKey].push(voter.toLowerCase());
+    const raw = await redis.hget(seasonsKey(data.id), String(season));
+    const summary = typeof raw === 'string' ? JSON.parse(raw) : raw;
 
-    await redis.hset(`arena:event:${eventId}`, { votes: JSON.stringify(votes) });
-
-    return res.json({ ok: true });
+    return res.json({
+      seriesId: data.id,
+      season,
+      finished: !!summary,
+      standings: summary ? summary.standings : await loadStandings(data.id, season),
+      rewards: summary ? summary.rewards : null,
+    });
   } catch (e) {
-    console.error('Arena vote error:', e.message);
+    console.error('Arena series standings error:', e.message);
     return res.status(500).json({ error: e.message });
   }
 });
 
-// ---- POST /events/:id/judge → Run Gemini judging (admin) ----
-router.post('/events/:id/judge', async (req, res) => {
+// ---- POST /series/:id/status → Pause, resume or end a series (admin) ----
+router.post('/series/:id/status', async (req, res) => {
   if (!redis) return res.status(503).json({ error: 'Redis not configured' });
 
-  const { createdBy } = req.body;
-
-  const verifiedJudge = getVerifiedAddress(req, createdBy);
-  if (!verifiedJudge) {
+  const { status, createdBy } = req.body;
+  const verifiedAdmin = getVerifiedAddress(req, createdBy);
+  if (!verifiedAdmin) {
     return res.status(401).json({ error: 'Invalid signature' });
   }
-  if (!isAdmin(verifiedJudge)) {
-    return res.status(403).json({ error: 'Only admin can trigger judging' });
+  if (!isAdmin(verifiedAdmin)) {
+    return res.status(403).json({ error: 'Only admin can update series status' });
   }
 
-  const eventId = req.params.id;
+  if (!SERIES_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Invalid status. Must be one of: ${SERIES_STATUSES.join(', ')}` });
+  }
 
   try {
-    const event = await redis.hgetall(`arena:event:${eventId}`);
-    if (!event || !event.id) return res.status(404).json({ error: 'Event not found' });
-
-    // Set status to judging
-    await redis.hset(`arena:event:${eventId}`, { status: 'judging' });
-
-    const participants = JSON.parse(event.participants || '[]');
-    const prompts = JSON.parse(event.prompts || '[]');
-    const category = event.category || 'General';
-
-    if (participants.length < 2) {
-      return res.status(400).json({ error: 'Need at least 2 participants to judge' });
-    }
-
-    const allScores = {};
-
-    for (const participant of participants) {
-      const agentKey = `${participant.network}:${participant.agentId}`;
-      const endpoint = participant.endpoint || '';
-      const promptScores = [];
-      let totalScore = 0;
-      let totalLatency = 0;
-
-      for (let i = 0; i < prompts.length; i++) {
-        const promptText = prompts[i];
-        console.log(`Judging ${participant.name} on prompt ${i + 1}/${prompts.length}...`);
-
-        // Call agent endpoint
-        const { response, latency, error: callError } = await callAgentEndpoint(endpoint, promptText);
-
-        if (callError || !response) {
-          promptScores.push({
-            prompt: i + 1,
-            latency: latency || 0,
-            error: callError || 'No response',
-            accuracy: 0, completeness: 0, domainExpertise: 0, reasoning: 0,
-            safety: 0, clarity: 0, edgeCases: 0, total: 0,
-            feedback: `Agent failed: ${callError || 'no response'}`,
-          });
-          continue;
-        }
-
-        totalLatency += latency;
-
-        // Score with Gemini
-        try {
-          const geminiScores = await scoreWithGemini(category, promptText, response, latency);
-          promptScores.push({
-            prompt: i + 1,
-            latency,
-            ...geminiScores,
-          });
-          totalScore += geminiScores.total;
-        } catch (geminiErr) {
-          console.error(`Gemini scoring failed for ${participant.name} prompt ${i + 1}:`, geminiErr.message);
-          promptScores.push({
-            prompt: i + 1,
-            latency,
-            accuracy: 0, completeness: 0, domainExpertise: 0, reasoning: 0,
-            safety: 0, clarity: 0, edgeCases: 0, total: 0,
-            feedback: `Gemini error: ${geminiErr.message}`,
-          });
-        }
-      }
+    const data = await redis.hgetall(seriesKey(req.params.id));
+    if (!data || !data.id) return res.status(404).json({ error: 'Series not found' });
+    if (data.status === 'ended') return res.status(400).json({ error: 'Series has ended' });
 
-      const avgScore = prompts.length > 0 ? Math.round((totalScore / prompts.length) * 10) / 10 : 0;
-      const avgLatency = prompts.length > 0 ? Math.round(totalLatency / prompts.length) : 0;
+    // Ending keeps the events already opened; their season finishes once they settle
+    await redis.hset(seriesKey(data.id), { status, ...(status === 'ended' ? { nextRunAt: '' } : {}) });
+    console.log(`Arena series ${data.id}: ${data.status} → ${status} by ${verifiedAdmin}`);
 
-      allScores[agentKey] = {
-        name: participant.name,
-        promptScores,
-        totalScore,
-        avgScore,
-        avgLatency,
-      };
-    }
-
-    await redis.hset(`arena:event:${eventId}`, { scores: JSON.stringify(allScores) });
-
-    return res.json({ ok: true, scores: allScores });
+    return res.json({ ok: true, status });
   } catch (e) {
-    console.error('Arena judge error:', e.message);
+    console.error('Arena series status error:', e.message);
     return res.status(500).json({ error: e.message });
   }
 });
 
-// ---- POST /events/:id/distribute → Calculate & distribute prizes (admin) ----
-router.post('/events/:id/distribute', async (req, res) => {
+// ---- POST /series/:id/seasons/:season/rewards/retry → Resend failed season rewards (admin) ----
+// Body: { failUnknown?: [idempotencyKey] } — unknown rewards checked by hand to mark failed and resend
+router.post('/series/:id/seasons/:season/rewards/retry', async (req, res) => {
   if (!redis) return res.status(503).json({ error: 'Redis not configured' });
 
-  const { createdBy } = req.body;
-
-  const verifiedDistributor = getVerifiedAddress(req, createdBy);
-  if (!verifiedDistributor) {
+  const { createdBy, failUnknown = [] } = req.body;
+  const verifiedAdmin = getVerifiedAddress(req, createdBy);
+  if (!verifiedAdmin) {
     return res.status(401).json({ error: 'Invalid signature' });
   }
-  if (!isAdmin(verifiedDistributor)) {
-    return res.status(403).json({ error: 'Only admin can distribute prizes' });
+  if (!isAdmin(verifiedAdmin)) {
+    return res.status(403).json({ error: 'Only admin can retry season rewards' });
+  }
+  if (!Array.isArray(failUnknown)) {
+    return res.status(400).json({ error: 'failUnknown must be an array of reward idempotency keys' });
   }
-
-  const eventId = req.params.id;
 
   try {
-    const event = await redis.hgetall(`arena:event:${eventId}`);
-    if (!event || !event.id) return res.status(404).json({ error: 'Event not found' });
-    if (event.status === 'completed') return res.status(400).json({ error: 'Prizes already distributed' });
-
-    const participants = JSON.parse(event.participants || '[]');
-    const scores = JSON.parse(event.scores || '{}');
-    const votes = JSON.parse(event.votes || '{}');
-    const facilitator = JSON.parse(event.facilitator || '{}');
-    const entryFee = parseFloat(event.entryFee || '0');
-
-    if (participants.length < 2) {
-      return res.status(400).json({ error: 'Need at least 2 participants' });
-    }
-
-    // Rank participants by total score
-    const rankings = participants
-      .map(p => {
-        const key = `${p.network}:${p.agentId}`;
-        const s = scores[key] || {};
-        return { ...p, agentKey: key, avgScore: s.avgScore || 0, totalScore: s.totalScore || 0 };
-      })
-      .sort((a, b) => b.avgScore - a.avgScore || b.totalScore - a.totalScore);
-
-    const winnerKey = rankings[0].agentKey;
-    const winnerAddress = rankings[0].ownerAddress;
-
-    // ---- Prize calculation ----
-    // Loser penalty: 20% of entry fee → reward pot
-    // Losers get 80% refund, Winner gets full entry back + 10% of reward pot
-    // 90% of reward pot → winning voters (split equally)
-    const loserCount = participants.length - 1;
-    const penaltyPerLoser = entryFee * 0.2;
-    const rewardPot = loserCount * penaltyPerLoser;
-    const winnerBonus = rewardPot * 0.1;
-    const voterPool = rewardPot * 0.9;
-    const loserRefund = entryFee * 0.8;
-
-    // Find winning voters (those who voted for the winner)
-    const winningVoters = votes[winnerKey] || [];
-    const perVoter = winningVoters.length > 0 ? voterPool / winningVoters.length : 0;
-
-    // Build distribution plan
-    const distributions = [];
-
-    // Winner: entry fee back + bonus
-    distributions.push({
-      address: winnerAddress,
-      amount: entryFee + winnerBonus,
-      reason: 'winner',
-      agent: rankings[0].name,
-    });
-
-    // Losers: 80% refund
-    for (let i = 1; i < rankings.length; i++) {
-      distributions.push({
-        address: rankings[i].ownerAddress,
-        amount: loserRefund,
-        reason: 'loser_refund',
-        agent: rankings[i].name,
-      });
-    }
-
-    // Winning voters
-    for (const voter of winningVoters) {
-      distributions.push({
-        address: voter,
-        amount: perVoter,
-        reason: 'voter_reward',
-      });
-    }
-
-    // If no winning voters, winner bonus absorbs the voter pool
-    if (winningVoters.length === 0 && voterPool > 0) {
-      distributions[0].amount += voterPool;
-      distributions[0].reason = 'winner_plus_unclaimed';
-    }
-
-    // ---- Execute USDC transfers via facilitator ----
-    const txResults = [];
-    for (const dist of distributions) {
-      if (dist.amount <= 0) continue;
-      const amountUnits = toUsdcUnits(dist.amount);
-      try {
-        const txHash = await facinetTransferUsdc(facilitator, dist.address, amountUnits);
-        txResults.push({ ...dist, txHash, status: 'success' });
-      } catch (e) {
-        console.error(`Prize transfer failed for ${dist.address}:`, e.message);
-        txResults.push({ ...dist, txHash: null, status: 'failed', error: e.message });
-      }
-    }
-
-    // ---- Update ELO for all participants ----
-    // Winner gains ELO against each loser; losers lose ELO
-    for (let i = 1; i < rankings.length; i++) {
-      const winnerEloKey = rankings[0].agentKey;
-      const loserEloKey = rankings[i].agentKey;
-
-      const currentWinner = (await redis.zscore('arena:elo', winnerEloKey)) || DEFAULT_ELO;
-      const currentLoser = (await redis.zscore('arena:elo', loserEloKey)) || DEFAULT_ELO;
-
-      const { newA, newB } = computeElo(Number(currentWinner), Number(currentLoser), 1);
-
-      await redis.zadd('arena:elo', { score: newA, member: winnerEloKey });
-      await redis.zadd('arena:elo', { score: newB, member: loserEloKey });
-    }
-
-    // Track stats
-    for (const r of rankings) {
-      await redis.hincrby('arena:stats', `${r.agentKey}:battles`, 1);
-    }
-    await redis.hincrby('arena:stats', `${rankings[0].agentKey}:wins`, 1);
-
-    // Save results
-    const results = {
-      rankings: rankings.map((r, i) => ({
-        rank: i + 1,
-        agentKey: r.agentKey,
-        name: r.name,
-        ownerAddress: r.ownerAddress,
-        avgScore: r.avgScore,
-        totalScore: r.totalScore,
-      })),
-      rewardPot,
-      winnerBonus,
-      voterPool,
-      perVoter,
-      winningVoterCount: winningVoters.length,
-      distributions: txResults,
-    };
+    const data = await redis.hgetall(seriesKey(req.params.id));
+    if (!data || !data.id) return res.status(404).json({ error: 'Series not found' });
 
-    await redis.hset(`arena:event:${eventId}`, {
-      status: 'completed',
-      results: JSON.stringify(results),
+    const summary = await paySeasonRewards(parseSeriesFields(data), req.params.season, {
+      retryFailed: true,
+      failUnknown: failUnknown.map(String),
+      actor: verifiedAdmin,
     });
+    if (summary === undefined) return res.status(400).json({ error: 'Season has not finished yet' });
+    if (summary === null) return res.status(409).json({ error: 'A reward run is already in progress for this season' });
 
-    return res.json({ ok: true, results });
+    return res.json({ ok: true, summary: summarizePayouts(summary.rewards), rewards: summary.rewards });
   } catch (e) {
-    console.error('Arena distribute error:', e.message);
+    console.error('Arena season rewards retry error:', e.message);
     return res.status(500).json({ error: e.message });
   }
 });
 
-// ---- GET /leaderboard → Global ELO leaderboard ----
+// ---- GET /leaderboard → Rating leaderboard, global or ?category= ----
 router.get('/leaderboard', async (req, res) => {
   if (!redis) return res.status(503).json({ error: 'Redis not configured' });
 
+  const category = req.query.category ? categoryKey(req.query.category) : null;
+
   try {
-    const entries = await redis.zrange('arena:elo', 0, -1, { rev: true, withScores: true });
+    const entries = await redis.zrange(ratingKey(category), 0, -1, { rev: true, withScores: true });
     const leaderboard = [];
 
-    for (const entry of entries) {
-      const key = typeof entry === 'object' ? entry.value || entry.member : entry;
-      const elo = typeof entry === 'object' ? entry.score : 0;
-      const [network, agentId] = String(key).split(':');
+    for (const { member: key, score: rating } of scoredMembers(entries)) {
+      const [network, agentId] = key.split(':');
       if (!network || !agentId) continue;
 
       const agentData = await redis.hgetall(`agent:${network}:${agentId}`);
-      const battlesPlayed = parseInt((await redis.hget('arena:stats', `${network}:${agentId}:battles`)) || '0', 10);
-      const wins = parseInt((await redis.hget('arena:stats', `${network}:${agentId}:wins`)) || '0', 10);
+      const battlesPlayed = parseInt((await redis.hget(statsKey(category), `${network}:${agentId}:battles`)) || '0', 10);
+      const wins = parseInt((await redis.hget(statsKey(category), `${network}:${agentId}:wins`)) || '0', 10);
+      const { rd } = await loadRating(category, key);
 
       leaderboard.push({
         rank: leaderboard.length + 1,
@@ -792,20 +4024,75 @@ router.get('/leaderboard', async (req, res) => {
         agentId,
         name: agentData?.name || `Agent #${agentId}`,
         imageUrl: agentData?.imageUrl || '',
-        elo: Number(elo),
+        elo: rating,
+        rating,
+        rd,
+        provisional: battlesPlayed < PROVISIONAL_BATTLES,
         battles: battlesPlayed,
         wins,
         winRate: battlesPlayed > 0 ? Math.round((wins / battlesPlayed) * 100) : 0,
       });
     }
 
-    return res.json({ leaderboard });
+    const categories = await redis.smembers('arena:categories');
+    return res.json({ ratingSystem: RATING_SYSTEM, category, categories: categories.sort(), leaderboard });
   } catch (e) {
     console.error('Arena leaderboard error:', e.message);
     return res.status(500).json({ error: e.message });
   }
 });
 
+// ---- GET /agents/:network/:agentId/history → Rating curve and match records ----
+router.get('/agents/:network/:agentId/history', async (req, res) => {
+  if (!redis) return res.status(503).json({ error: 'Redis not configured' });
+
+  const { network, agentId } = req.params;
+  const agentKey = `${network}:${agentId}`;
+  const category = req.query.category ? categoryKey(req.query.category) : null;
+  const limit = Math.min(parseInt(req.query.limit || '100', 10) || 100, 500);
+
+  try {
+    const raw = await redis.lrange(historyKey(agentKey), 0, -1);
+    let history = raw.map((entry) => {
+      try { return JSON.parse(entry); } catch { return entry; }
+    });
+    if (category) history = history.filter(h => h.category === category);
+    history = history.slice(-limit);
+
+    const rated = await redis.zscore(ratingKey(category), agentKey);
+    const { rating, rd } = await loadRating(category, agentKey);
+    const battles = parseInt((await redis.hget(statsKey(category), `${agentKey}:battles`)) || '0', 10);
+    const wins = parseInt((await redis.hget(statsKey(category), `${agentKey}:wins`)) || '0', 10);
+    const record = history.reduce(
+      (acc, h) => ({ wins: acc.wins + h.record.wins, losses: acc.losses + h.record.losses, draws: acc.draws + h.record.draws }),
+      { wins: 0, losses: 0, draws: 0 }
+    );
+
+    return res.json({
+      agentKey,
+      category,
+      ratingSystem: RATING_SYSTEM,
+      rating: rated === null ? null : rating,
+      rd: rated === null ? null : rd,
+      provisional: battles < PROVISIONAL_BATTLES,
+      battles,
+      wins,
+      record,
+      // One point per event: the rating the agent left it with
+      curve: history
+        .filter(h => (h.ratingSystem || 'elo') === RATING_SYSTEM)
+        .map(h => {
+          const r = category ? h.categoryRating : h.rating;
+          return { at: h.at, eventId: h.eventId, rating: r.after, ...(r.rdAfter !== undefined ? { rd: r.rdAfter } : {}) };
+        }),
+      history,
+    });
+  } catch (e) {
+    console.error('Arena agent history error:', e.message);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
 // ---- GET /admin-check → Check if address is admin ----
 router.get('/admin-check', (req, res) => {
   const { address } = req.query;
@@ -2,21 +2,10 @@ import { Router } from 'express';
 import crypto from 'crypto';
 import redis from '../lib/redis.js';
 import { RELAYER_ADDRESS } from '../lib/constants.js';
+import { computePlans, planPrice } from '../lib/hirePlans.js';
 
 const router = Router();
 
-// ---- Pricing plan calculator ----
-function computePlans(perCallPrice) {
-  const p = parseFloat(perCallPrice) || 0;
-  if (p <= 0) return null;
-  return {
-    single:   { calls: 1,    days: 1,   price: +(p).toFixed(6),                       label: 'Single Call' },
-    daily:    { calls: 50,   days: 1,   price: +(p * 50 * 0.8).toFixed(6),            label: 'Day Pass' },
-    monthly:  { calls: 1500, days: 30,  price: +(p * 1500 * 0.6).toFixed(6),          label: 'Monthly' },
-    biannual: { calls: 9000, days: 180, price: +(p * 9000 * 0.45).toFixed(6),         label: '6 Months' },
-  };
-}
-
 // ---- GET /plans/:network/:agentId → Compute pricing plans from per-call price ----
 router.get('/plans/:network/:agentId', async (req, res) => {
   if (!redis) return res.status(503).json({ error: 'Not configured' });
@@ -55,6 +44,9 @@ router.post('/', async (req, res) => {
   }
 
   try {
+    // The agent's wallet and listed price when hired, which reviews check the payment against
+    const agent = (await redis.hgetall(`agent:${network}:${agentId}`)) || {};
+
     const hireId = crypto.randomBytes(8).toString('hex');
     const now = new Date();
     const expiresAt = new Date(now.getTime() + (daysValid || 1) * 24 * 60 * 60 * 1000);
@@ -69,6 +61,8 @@ router.post('/', async (req, res) => {
       callsUsed: 0,
       daysValid: Number(daysValid) || 1,
       pricePaid: String(pricePaid || '0'),
+      listPrice: String(planPrice(agent.hirePrice, plan)),
+      payTo: (agent.agentWalletAddress || '').toLowerCase(),
       paymentTxHash,
       paymentChain: paymentChain || network || 'fuji',
       bridgeId: bridgeId || '',
@@ -0,0 +1,440 @@
+import { Router } from 'express';
+import { ethers } from 'ethers';
+import redis from '../lib/redis.js';
+import { CONTRACTS, USDC_ADDRESSES, RELAYER_ADDRESS } from '../lib/constants.js';
+import { ReputationRegistryABI } from '../lib/abi.js';
+import { requireAgentOwner } from '../middleware/agentOwner.js';
+import { planPrice } from '../lib/hirePlans.js';
+
+/**
+ * Agent reviews
+ *
+ * The buyer of a paid hire (hire:{hireId}) can rate the agent 1–5 with an optional
+ * comment, once per hire, and the agent's on-chain owner can reply:
+ *   review:{hireId}               { hireId, network, agentId, buyerAddress, rating, comment,
+ *                                   createdAt, reply, repliedAt, feedbackStatus, feedbackTx }
+ *   reviews:agent:{network}:{id}  hireIds by review time
+ *   reviews:stats:{network}:{id}  { count, sum, r1..r5 }, mirrored onto the agent hash as
+ *                                 reviewCount / reviewAverage
+ *   reviews:payments              hire payment tx hashes that back a review, one review each
+ *
+ * The hire's payment must be on-chain: a USDC transfer of the plan's listed price (not the
+ * self-reported pricePaid) from the buyer to the agent's wallet at hire time, or to the
+ * relayer for a payment bridged from another chain.
+ *
+ * A review can also be published to the network's ERC-8004 reputation registry as
+ * 'starred' feedback on a 0–100 scale (rating × 20). The buyer sends the giveFeedback call
+ * from their own wallet, so the registry records them as the client, and then reports the
+ * transaction hash; feedbackStatus goes awaiting_tx → submitted → published (or failed).
+ */
+
+const router = Router();
+
+const MAX_TEXT_LENGTH = 2000;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const PUBLISH_THROTTLE = 10 * 1000; // 10s between calls per review, each publish route on its own
+const REVIEW_PAYMENTS_KEY = 'reviews:payments';
+const USDC_TRANSFER_EVENT = ['event Transfer(address indexed from, address indexed to, uint256 value)'];
+
+function reviewKey(hireId) {
+  return `review:${hireId}`;
+}
+
+function formatReview(data) {
+  return { ...data, rating: Number(data.rating) };
+}
+
+async function loadSummary(member) {
+  const stats = (await redis.hgetall(`reviews:stats:${member}`)) || {};
+  const count = Number(stats.count || 0);
+  const distribution = {};
+  for (let r = 1; r <= 5; r++) distribution[r] = Number(stats[`r${r}`] || 0);
+  return {
+    count,
+    average: count > 0 ? Math.round((Number(stats.sum || 0) / count) * 100) / 100 : null,
+    distribution,
+  };
+}
+
+async function recordRating(member, rating) {
+  const statsKey = `reviews:stats:${member}`;
+  const count = await redis.hincrby(statsKey, 'count', 1);
+  const sum = await redis.hincrby(statsKey, 'sum', rating);
+  await redis.hincrby(statsKey, `r${rating}`, 1);
+
+  if (await redis.exists(`agent:${member}`)) {
+    await redis.hset(`agent:${member}`, {
+      reviewCount: String(count),
+      reviewAverage: (Number(sum) / Number(count)).toFixed(2),
+    });
+  }
+}
+
+// ---- Hire payment ----
+
+/**
+ * Why a hire's payment can't back a review, or null once its paymentTxHash is found to
+ * move the plan's listed price in USDC from the buyer to the agent's wallet at hire time.
+ * Hires recorded before those were kept are checked against the current listing. The
+ * outcome is kept on the hire.
+ */
+async function hirePaymentError(hire, agent) {
+  if (hire.paymentVerified === 'true') return null;
+
+  const price = hire.listPrice !== undefined && hire.listPrice !== ''
+    ? hire.listPrice
+    : String(planPrice(agent.hirePrice, hire.plan));
+  let units;
+  try {
+    units = ethers.parseUnits(price, 6);
+  } catch {
+    return 'Hire has an invalid price';
+  }
+  if (units <= 0n) return 'Only paid hires can be reviewed';
+  if (!ethers.isHexString(hire.paymentTxHash, 32)) return 'Hire has no on-chain payment';
+
+  const network = hire.paymentChain || hire.network;
+  const cfg = CONTRACTS[network];
+  if (!cfg || !USDC_ADDRESSES[network]) return `Payments on ${network} can't be verified`;
+  const recipients = [hire.payTo || agent.agentWalletAddress, hire.bridgeId ? RELAYER_ADDRESS : '']
+    .filter(Boolean)
+    .map(a => a.toLowerCase());
+  if (recipients.length === 0) return 'Hire has no agent wallet to verify the payment against';
+
+  const provider = new ethers.JsonRpcProvider(cfg.rpc);
+  const receipt = await provider.getTransactionReceipt(hire.paymentTxHash);
+  if (!receipt || receipt.status !== 1) return 'Hire payment is not confirmed on-chain';
+
+  const iface = new ethers.Interface(USDC_TRANSFER_EVENT);
+  let paid = 0n;
+  for (const log of receipt.logs) {
+    if (log.address.toLowerCase() !== USDC_ADDRESSES[network].toLowerCase()) continue;
+    try {
+      const [from, to, value] = iface.parseLog({ topics: log.topics, data: log.data }).args;
+      if (from.toLowerCase() === hire.buyerAddress.toLowerCase() && recipients.includes(to.toLowerCase())) paid += BigInt(value);
+    } catch {}
+  }
+  if (paid < units) return `Hire payment ${hire.paymentTxHash} does not transfer ${price} USDC from the buyer to the agent`;
+
+  await redis.hset(`hire:${hire.hireId}`, { paymentVerified: 'true' });
+  return null;
+}
+
+// ---- Reputation registry ----
+
+function feedbackURI(req, hireId) {
+  const proto = req.headers['x-forwarded-proto'] || req.protocol;
+  const host = req.headers['x-forwarded-host'] || req.get('host');
+  return `${proto}://${host}/api/reviews/${hireId}`;
+}
+
+// Hash of the immutable part of the review served at feedbackURI
+function feedbackHash(review) {
+  return ethers.keccak256(ethers.toUtf8Bytes(JSON.stringify({
+    hireId: review.hireId,
+    rating: Number(review.rating),
+    comment: review.comment,
+    createdAt: review.createdAt,
+  })));
+}
+
+/**
+ * The giveFeedback transaction publishing a review, for the buyer to send:
+ * { network, chainId, to, data }.
+ */
+function feedbackCall(review, uri) {
+  const cfg = CONTRACTS[review.network];
+  if (!cfg?.reputationRegistry) throw new Error(`No reputation registry on ${review.network}`);
+  const registry = new ethers.Interface(ReputationRegistryABI);
+  return {
+    network: review.network,
+    chainId: cfg.chainId,
+    to: cfg.reputationRegistry,
+    data: registry.encodeFunctionData('giveFeedback', [
+      review.agentId, Number(review.rating) * 20, 0, 'starred', 'hire', '', uri, feedbackHash(review),
+    ]),
+  };
+}
+
+/**
+ * Check the buyer's giveFeedback transaction for a review and record the outcome:
+ * published once its receipt carries the review's NewFeedback from the buyer, failed if
+ * it reverted or published something else, still submitted while it is pending.
+ */
+async function confirmFeedback(review) {
+  const key = reviewKey(review.hireId);
+  const cfg = CONTRACTS[review.network];
+  const provider = new ethers.JsonRpcProvider(cfg.rpc);
+  const receipt = await provider.getTransactionReceipt(review.feedbackTx);
+  if (!receipt) return formatReview(await redis.hgetall(key));
+
+  const registry = new ethers.Interface(ReputationRegistryABI);
+  const hash = feedbackHash(review);
+  const published = receipt.status === 1 &&
+    receipt.from.toLowerCase() === review.buyerAddress &&
+    receipt.logs.some(log => {
+      if (log.address.toLowerCase() !== cfg.reputationRegistry.toLowerCase()) return false;
+      try {
+        const parsed = registry.parseLog({ topics: log.topics, data: log.data });
+        return parsed.name === 'NewFeedback' &&
+          parsed.args.agentId.toString() === String(review.agentId) &&
+          parsed.args.clientAddress.toLowerCase() === review.buyerAddress &&
+          parsed.args.feedbackHash === hash;
+      } catch {
+        return false;
+      }
+    });
+
+  if (published) {
+    await redis.hset(key, { feedbackStatus: 'published', feedbackError: '' });
+  } else {
+    const error = receipt.status === 1
+      ? `Transaction ${review.feedbackTx} did not publish this review from the buyer`
+      : `Transaction ${review.feedbackTx} reverted`;
+    await redis.hset(key, { feedbackStatus: 'failed', feedbackError: error });
+  }
+  return formatReview(await redis.hgetall(key));
+}
+
+// One call per review and route ('publish' or 'confirm') every PUBLISH_THROTTLE
+async function publishThrottled(hireId, route) {
+  return (await redis.set(`${reviewKey(hireId)}:${route}:throttle`, '1', { nx: true, px: PUBLISH_THROTTLE })) !== 'OK';
+}
+
+// ======== ROUTES ========
+
+// ---- POST / → Review a paid hire (buyer only, once per hire) ----
+// Body: { hireId, rating: 1-5, comment?, publish? } — publish also returns the reputation
+// registry call for the buyer to send (see /:hireId/publish)
+router.post('/', async (req, res) => {
+  if (!redis) return res.status(503).json({ error: 'Not configured' });
+
+  const { hireId, rating, comment = '', publish = false } = req.body || {};
+
+  if (!hireId) return res.status(400).json({ error: 'hireId is required' });
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+    return res.status(400).json({ error: 'rating must be an integer from 1 to 5' });
+  }
+  if (typeof comment !== 'string' || comment.length > MAX_TEXT_LENGTH) {
+    return res.status(400).json({ error: `comment must be a string of at most ${MAX_TEXT_LENGTH} characters` });
+  }
+  if (!req.verifiedAddress) {
+    return res.status(401).json({ error: 'Signed request required to review a hire' });
+  }
+
+  try {
+    const hire = await redis.hgetall(`hire:${hireId}`);
+    if (!hire || !hire.hireId) return res.status(404).json({ error: 'Hire not found' });
+    if (req.verifiedAddress.toLowerCase() !== hire.buyerAddress.toLowerCase()) {
+      return res.status(403).json({ error: 'Only the buyer can review this hire' });
+    }
+
+    const member = `${hire.network}:${hire.agentId}`;
+    const agent = await redis.hgetall(`agent:${member}`);
+    if (!agent || !agent.name) return res.status(404).json({ error: 'Agent not found' });
+
+    const key = reviewKey(hireId);
+    if (await redis.exists(key)) return res.status(409).json({ error: 'This hire has already been reviewed' });
+
+    const paymentError = await hirePaymentError(hire, agent);
+    if (paymentError) return res.status(402).json({ error: paymentError });
+
+    // One review per payment (hire records can repeat a tx hash) and per hire
+    const payment = hire.paymentTxHash.toLowerCase();
+    if (!(await redis.sadd(REVIEW_PAYMENTS_KEY, payment))) {
+      return res.status(409).json({ error: 'This payment already backs a review' });
+    }
+    if (!(await redis.hsetnx(key, 'hireId', String(hireId)))) {
+      await redis.srem(REVIEW_PAYMENTS_KEY, payment);
+      return res.status(409).json({ error: 'This hire has already been reviewed' });
+    }
+
+    const now = Date.now();
+    await redis.hset(key, {
+      network: hire.network,
+      agentId: hire.agentId,
+      buyerAddress: hire.buyerAddress.toLowerCase(),
+      rating: String(rating),
+      comment: comment.trim(),
+      createdAt: new Date(now).toISOString(),
+      reply: '',
+      repliedAt: '',
+      feedbackStatus: publish ? 'awaiting_tx' : '',
+      feedbackTx: '',
+    });
+    await redis.zadd(`reviews:agent:${member}`, { score: now, member: String(hireId) });
+    await recordRating(member, rating);
+
+    const review = formatReview(await redis.hgetall(key));
+    if (!publish) return res.json({ ok: true, review });
+
+    let feedback = null;
+    let feedbackError;
+    try {
+      feedback = feedbackCall(review, feedbackURI(req, hireId));
+    } catch (e) {
+      feedbackError = e.message;
+    }
+    return res.json({ ok: true, review, feedback, ...(feedbackError ? { feedbackError } : {}) });
+  } catch (e) {
+    console.error('Review create error:', e.message);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// ---- GET /agent/:network/:agentId → Reviews of an agent, newest first, with the rating summary ----
+router.get('/agent/:network/:agentId', async (req, res) => {
+  if (!redis) return res.status(503).json({ error: 'Not configured' });
+
+  const member = `${req.params.network}:${req.params.agentId}`;
+  const limit = req.query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(req.query.limit);
+  const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return res.status(400).json({ error: `limit must be between 1 and ${MAX_PAGE_SIZE}` });
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    return res.status(400).json({ error: 'offset must be a non-negative integer' });
+  }
+
+  try {
+    const hireIds = await redis.zrange(`reviews:agent:${member}`, offset, offset + limit - 1, { rev: true });
+    const reviews = [];
+    for (const hireId of hireIds) {
+      const data = await redis.hgetall(reviewKey(hireId));
+      if (data && data.hireId) reviews.push(formatReview(data));
+    }
+    return res.json({ summary: await loadSummary(member), reviews });
+  } catch (e) {
+    console.error('Review list error:', e.message);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// ---- GET /:hireId → Single review (also the feedbackURI published on-chain) ----
+router.get('/:hireId', async (req, res) => {
+  if (!redis) return res.status(503).json({ error: 'Not configured' });
+
+  try {
+    const data = await redis.hgetall(reviewKey(req.params.hireId));
+    if (!data || !data.createdAt) return res.status(404).json({ error: 'Review not found' });
+    return res.json(formatReview(data));
+  } catch (e) {
+    console.error('Review get error:', e.message);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// ---- POST /:hireId/reply → Owner reply to a review (replaces an earlier reply) ----
+router.post('/:hireId/reply', async (req, res) => {
+  if (!redis) return res.status(503).json({ error: 'Not configured' });
+
+  const { reply } = req.body || {};
+  if (typeof reply !== 'string' || !reply.trim() || reply.length > MAX_TEXT_LENGTH) {
+    return res.status(400).json({ error: `reply must be a non-empty string of at most ${MAX_TEXT_LENGTH} characters` });
+  }
+
+  try {
+    const key = reviewKey(req.params.hireId);
+    const review = await redis.hgetall(key);
+    if (!review || !review.createdAt) return res.status(404).json({ error: 'Review not found' });
+
+    const owner = await requireAgentOwner(req, res, review.network, review.agentId, 'reply to a review');
+    if (!owner) return;
+
+    await redis.hset(key, { reply: reply.trim(), repliedAt: new Date().toISOString() });
+    return res.json({ ok: true, review: formatReview(await redis.hgetall(key)) });
+  } catch (e) {
+    console.error('Review reply error:', e.message);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// ---- POST /:hireId/publish → The reputation registry call publishing a review, for the reviewer to send ----
+router.post('/:hireId/publish', async (req, res) => {
+  if (!redis) return res.status(503).json({ error: 'Not configured' });
+
+  if (!req.verifiedAddress) {
+    return res.status(401).json({ error: 'Signed request required to publish a review' });
+  }
+
+  try {
+    const review = await redis.hgetall(reviewKey(req.params.hireId));
+    if (!review || !review.createdAt) return res.status(404).json({ error: 'Review not found' });
+    if (req.verifiedAddress.toLowerCase() !== review.buyerAddress) {
+      return res.status(403).json({ error: 'Only the reviewer can publish this review' });
+    }
+    if (review.feedbackStatus === 'published') {
+      return res.status(409).json({ error: 'Review is already published', feedbackTx: review.feedbackTx });
+    }
+    if (await publishThrottled(review.hireId, 'publish')) {
+      return res.status(429).json({ error: 'Review was published moments ago; try again shortly' });
+    }
+
+    // Reviews from before payments were checked are checked now
+    const hire = await redis.hgetall(`hire:${review.hireId}`);
+    const agent = await redis.hgetall(`agent:${review.network}:${review.agentId}`);
+    if (!hire || !hire.hireId || !agent || !agent.name) return res.status(404).json({ error: 'Hire or agent not found' });
+    const paymentError = await hirePaymentError(hire, agent);
+    if (paymentError) return res.status(402).json({ error: paymentError });
+
+    let feedback;
+    try {
+      feedback = feedbackCall(review, feedbackURI(req, review.hireId));
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+    if (review.feedbackStatus !== 'submitted') {
+      await redis.hset(reviewKey(review.hireId), { feedbackStatus: 'awaiting_tx', feedbackError: '' });
+    }
+
+    return res.json({ ok: true, feedback, review: formatReview(await redis.hgetall(reviewKey(review.hireId))) });
+  } catch (e) {
+    console.error('Review publish error:', e.message);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// ---- POST /:hireId/publish/confirm → Record the reviewer's giveFeedback transaction ----
+// Body: { txHash } — the hash is kept before the receipt is checked; call again while it's pending
+router.post('/:hireId/publish/confirm', async (req, res) => {
+  if (!redis) return res.status(503).json({ error: 'Not configured' });
+
+  const { txHash } = req.body || {};
+  if (!req.verifiedAddress) {
+    return res.status(401).json({ error: 'Signed request required to publish a review' });
+  }
+  if (txHash !== undefined && !ethers.isHexString(txHash, 32)) {
+    return res.status(400).json({ error: 'txHash must be a transaction hash' });
+  }
+
+  try {
+    const key = reviewKey(req.params.hireId);
+    const review = await redis.hgetall(key);
+    if (!review || !review.createdAt) return res.status(404).json({ error: 'Review not found' });
+    if (req.verifiedAddress.toLowerCase() !== review.buyerAddress) {
+      return res.status(403).json({ error: 'Only the reviewer can publish this review' });
+    }
+    if (review.feedbackStatus === 'published') {
+      return res.status(409).json({ error: 'Review is already published', feedbackTx: review.feedbackTx });
+    }
+    if (!txHash && !review.feedbackTx) return res.status(400).json({ error: 'txHash is required' });
+    if (await publishThrottled(review.hireId, 'confirm')) {
+      return res.status(429).json({ error: 'Review was confirmed moments ago; try again shortly' });
+    }
+
+    if (txHash) {
+      await redis.hset(key, { feedbackStatus: 'submitted', feedbackTx: txHash, feedbackError: '' });
+    }
+    const checked = await confirmFeedback(await redis.hgetall(key));
+    if (checked.feedbackStatus === 'failed') {
+      return res.status(422).json({ error: `Publishing failed: ${checked.feedbackError}`, review: checked });
+    }
+    return res.status(checked.feedbackStatus === 'published' ? 200 : 202).json({ ok: true, review: checked });
+  } catch (e) {
+    console.error('Review publish confirm error:', e.message);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+export default router;
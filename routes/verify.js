@@ -9,6 +9,7 @@ import {
   computeCompositeScore,
   riskTierToEnum,
 } from '../lib/verificationCheckers.js';
+import { indexAgent } from '../lib/agentIndex.js';
 
 const ERC8126_ABI = [
   'function submitVerification(uint256 agentId, uint8 overallRiskScore, uint8 riskTier, tuple(uint8 proofType, uint8 score, string details)[] proofs)',
@@ -132,6 +133,18 @@ router.post('/:network/:agentId', async (req, res) => {
         JSON.stringify(verificationResult),
         { ex: CACHE_TTL },
       );
+
+      // Keep the latest score on a listed agent for marketplace filtering and sorting;
+      // an unlisted one must not get a stub hash (or index entries) from it
+      const agentKey = `agent:${network}:${agentId}`;
+      if (await redis.exists(agentKey)) {
+        await redis.hset(agentKey, {
+          verificationScore: String(overallScore),
+          riskTier,
+          verifiedAt: verificationResult.verifiedAt,
+        });
+        await indexAgent(`${network}:${agentId}`, await redis.hgetall(agentKey));
+      }
     }
 
     return res.json(verificationResult);
@@ -1,5 +1,6 @@
 import { Router } from 'express';
 import redis from '../lib/redis.js';
+import { agentTarget, sendAgentMessage } from '../lib/agentProtocol.js';
 
 const router = Router();
 
@@ -44,118 +45,18 @@ router.post('/call', async (req, res) => {
       return res.status(404).json({ error: 'Agent not found' });
     }
 
-    const endpoint = agent.a2aEndpoint || agent.mcpEndpoint || agent.url;
-    if (!endpoint) {
+    const target = agentTarget(agent);
+    if (!target) {
       return res.status(400).json({ error: 'Agent has no callable endpoint' });
     }
 
-    // 3. Build request based on endpoint type
-    let agentResponse;
-    const isA2A = !!agent.a2aEndpoint;
-    const isMCP = !isA2A && !!agent.mcpEndpoint;
-
-    if (isA2A) {
-      // A2A protocol: JSON-RPC message/send
-      const a2aPayload = {
-        jsonrpc: '2.0',
-        method: 'message/send',
-        params: {
-          message: {
-            role: 'user',
-            parts: [{ type: 'text', text: message }],
-          },
-        },
-        id: Date.now(),
-      };
-
-      // Add files as inline data parts
-      if (files && files.length > 0) {
-        for (const f of files) {
-          a2aPayload.params.message.parts.push({
-            type: 'data',
-            mimeType: f.mimeType || 'application/octet-stream',
-            data: f.data, // base64
-            name: f.name,
-          });
-        }
-      }
-
-      const resp = await fetch(endpoint, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(a2aPayload),
-        signal: AbortSignal.timeout(30000),
-      });
-      agentResponse = await resp.json();
-
-    } else if (isMCP) {
-      // MCP protocol: JSON-RPC tools/call
-      const mcpPayload = {
-        jsonrpc: '2.0',
-        method: 'tools/call',
-        params: {
-          name: 'process',
-          arguments: {
-            message,
-            ...(files && files.length > 0 ? { files } : {}),
-          },
-        },
-        id: Date.now(),
-      };
-
-      const resp = await fetch(endpoint, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(mcpPayload),
-        signal: AbortSignal.timeout(30000),
-      });
-      agentResponse = await resp.json();
-
-    } else {
-      // Generic HTTP endpoint: POST with JSON body
-      const resp = await fetch(endpoint, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ message, files }),
-        signal: AbortSignal.timeout(30000),
-      });
-      const contentType = resp.headers.get('content-type') || '';
-      if (contentType.includes('json')) {
-        agentResponse = await resp.json();
-      } else {
-        agentResponse = { text: await resp.text() };
-      }
-    }
-
-    // 4. Extract response text
-    let responseText = '';
-    if (agentResponse.result?.message?.parts) {
-      // A2A response
-      responseText = agentResponse.result.message.parts
-        .filter((p) => p.type === 'text')
-        .map((p) => p.text)
-        .join('\n');
-    } else if (agentResponse.result?.content) {
-      // MCP response
-      const textParts = Array.isArray(agentResponse.result.content)
-        ? agentResponse.result.content
-        : [agentResponse.result.content];
-      responseText = textParts
-        .filter((p) => p.type === 'text')
-        .map((p) => p.text)
-        .join('\n');
-    } else if (agentResponse.text) {
-      responseText = agentResponse.text;
-    } else if (typeof agentResponse === 'string') {
-      responseText = agentResponse;
-    } else {
-      responseText = JSON.stringify(agentResponse, null, 2);
-    }
+    // 3. Call the agent in its protocol (A2A message/send, MCP tools/call or plain HTTP)
+    const { text: responseText, raw: agentResponse } = await sendAgentMessage(target, message, { files });
 
-    // 5. Increment usage
+    // 4. Increment usage
     await redis.hincrby(`hire:${hireId}`, 'callsUsed', 1);
 
-    // 6. Store in history
+    // 5. Store in history
     const historyKey = `workspace:history:${hireId}`;
     const entry = {
       userMessage: message,
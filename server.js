@@ -13,13 +13,16 @@ import setAgentWalletRoutes from './routes/setAgentWallet.js';
 import metadataRoutes from './routes/metadata.js';
 import sessionRoutes from './routes/session.js';
 import agentsRoutes from './routes/agents.js';
+import { ensureAgentIndex } from './lib/agentIndex.js';
+import { startRegistryIndexer } from './lib/registryIndexer.js';
 import nftRoutes from './routes/nft.js';
 import circleRoutes from './routes/circle.js';
 import bridgeRoutes from './routes/bridge.js';
-import arenaRoutes from './routes/arena.js';
+import arenaRoutes, { resumeJudgingJobs, startArenaScheduler } from './routes/arena.js';
 import verifyRoutes from './routes/verify.js';
 import hireRoutes from './routes/hire.js';
 import workspaceRoutes from './routes/workspace.js';
+import reviewRoutes from './routes/reviews.js';
 import { erc8128Optional } from './middleware/erc8128Auth.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
@@ -64,12 +67,18 @@ app.use('/api/arena', arenaRoutes);
 app.use('/api/verify', verifyRoutes);
 app.use('/api/hire', hireRoutes);
 app.use('/api/workspace', workspaceRoutes);
+app.use('/api/reviews', reviewRoutes);
 
 // Serve browser signing page
 app.get('/sign/:sessionId', (_req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'sign.html'));
 });
 
+// Serve arena battle replay page
+app.get('/arena/replay/:eventId', (_req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'replay.html'));
+});
+
 app.get('/health', (_req, res) => {
   res.json({ ok: true, service: '8004agent-backend' });
 });
@@ -81,4 +90,8 @@ app.use((err, _req, res, _next) => {
 
 app.listen(PORT, () => {
   console.log(`8004agent backend listening on port ${PORT}`);
+  resumeJudgingJobs().catch(e => console.error('Failed to resume judging jobs:', e.message));
+  ensureAgentIndex().catch(e => console.error('Failed to build agent search index:', e.message));
+  startRegistryIndexer();
+  startArenaScheduler();
 });